@@ -0,0 +1,208 @@
+import { getProfile } from './profiles.mjs';
+import { rowReviewKey, sectionReviewKey } from './review.mjs';
+
+// --- Änderungshistorie reconciliation ---
+//
+// The Änderungshistorie at the end of an AHB lists the changes BDEW intended
+// for the release: where (Ort), the text before and after (Bisher / Neu) and
+// why. Entries are free text, so they are matched to the detected diffs by
+// the references they contain. Prüfidentifikatoren in Ort narrow the tables;
+// codes, data elements and conditions whose references changed pick the
+// rows; for entries naming none of these, segment groups and segments pick
+// rows that were added or removed.
+
+const PID_RE = /\b\d{5}\b/g;
+const GROUP_RE = /\bSG\d+\b/g;
+const SEGMENT_RE = /\b[A-Z]{3}\b/g;
+const DATA_ELEMENT_RE = /\b(?:DE\s?|[CS]\d{3}\s*-\s*)(\d{4})\b/g;
+const CODE_RE = /\b(?:[A-Z]_\d{4}|Z[0-9A-Z]{2}|[A-Z]\d{2})\b/g;
+const CONDITION_REF_RE = /\[(\d+)\]/g;
+const VERSION_RE = /Version:\s*(\S+)/;
+// Condition definitions quoted after the status ("[149] Wenn in dieser SG14 STS DE1131 …")
+const CONDITION_DEFINITION_RE = /\[\d+\]\s*(?:Wenn|Falls|Sofern|Nur|Hinweis|Format)\b/;
+
+const CHANGED_ROW_TYPES = new Set(['modified', 'added', 'removed', 'moved']);
+
+/**
+ * Match the Änderungshistorie of the new document to a comparison.
+ *
+ * An entry is found when at least one detected change carries a reference
+ * it names: a row in one of its Prüfidentifikatoren (any table when it names
+ * none of the compared ones) with one of its codes or data elements, or
+ * whose status or Bedingung gained or lost one of the conditions it changes;
+ * an added or removed row in one of its segment groups or segments, if it
+ * names no code, data element or changed condition; a whole
+ * table added or removed with one of its Prüfidentifikatoren; a condition
+ * it quotes that was added, removed or reworded. An entry "Version: 2.0g" →
+ * "Version: 2.0h" is found when the new document has that version.
+ *
+ * Changes no entry accounts for are undocumented. Indirect changes follow
+ * from a reworded condition and are not counted on their own.
+ * @param {object[]} changelog - getChangelog() of the new document
+ * @param {object} comparison - Output from compareDocuments() or getComparison()
+ * @param {object} doc1 - Old document metadata (getDocument())
+ * @param {object} doc2 - New document metadata
+ * @returns {{summary: object, entries: object[], undocumented: object[]}|null}
+ *   null when the new document has no Änderungshistorie. `entries` are the
+ *   changelog entries with `found` and the `matches` they account for;
+ *   `undocumented` lists the other changes. Both hold change items
+ *   `{kind: 'section'|'row'|'condition'|'version', type, …}`.
+ */
+export function reconcileChangelog(changelog, comparison, doc1, doc2) {
+  if (!changelog.length) return null;
+
+  const comparedPids = new Set(comparison.sectionDiffs.flatMap(sd => sd.columns.map(c => c.pruefidentifikator)));
+  const segments = getProfile(doc2.messageType).segments;
+  const entries = changelog.map(entry => ({
+    ...entry,
+    refs: entryReferences(entry, comparedPids, segments),
+    matches: [],
+  }));
+  const undocumented = [];
+
+  const account = (item, matching) => {
+    for (const entry of matching) entry.matches.push(item);
+    if (!matching.length) undocumented.push(item);
+  };
+
+  for (const entry of entries) {
+    const { version } = entry.refs;
+    if (version && version.new === doc2.version && doc1.version !== doc2.version) {
+      entry.matches.push({ kind: 'version', type: 'modified', old: doc1.version, new: doc2.version });
+    }
+  }
+
+  for (const sd of comparison.sectionDiffs) {
+    if (sd.type === 'unchanged') continue;
+    const sectionPids = sd.columns.map(c => c.pruefidentifikator);
+    const candidates = entries.filter(e =>
+      !e.refs.pruefidentifikatoren.length || e.refs.pruefidentifikatoren.some(pid => sectionPids.includes(pid)));
+
+    if (sd.type === 'added' || sd.type === 'removed') {
+      account(sectionItem(sd), candidates.filter(e => e.refs.pruefidentifikatoren.length));
+      continue;
+    }
+    for (const rd of sd.rows || []) {
+      if (!CHANGED_ROW_TYPES.has(rd.type)) continue;
+      account(rowItem(sd, rd), candidates.filter(e => rowMatches(rd, e.refs)));
+    }
+  }
+
+  for (const cd of comparison.conditionDiffs || []) {
+    if (cd.type === 'unchanged') continue;
+    account(
+      { kind: 'condition', type: cd.type, number: cd.number },
+      entries.filter(e => e.refs.conditions.has(cd.number))
+    );
+  }
+
+  const result = entries.map(({ refs, ...entry }) => ({ ...entry, found: entry.matches.length > 0 }));
+  const found = result.filter(e => e.found).length;
+  return {
+    summary: {
+      entries: result.length,
+      found,
+      notFound: result.length - found,
+      undocumented: undocumented.length,
+    },
+    entries: result,
+    undocumented,
+  };
+}
+
+/**
+ * References named by a changelog entry. Prüfidentifikatoren are taken from
+ * Ort and kept only when compared; segment groups and segments from Bisher /
+ * Neu, else from Ort. Codes and data elements come from all three, without
+ * the condition definitions quoted below a status; `changedConditions` are
+ * the conditions in only one of Bisher and Neu.
+ */
+function entryReferences(entry, comparedPids, segmentCodes) {
+  const change = `${withoutDefinitions(entry.bisher)} ${withoutDefinitions(entry.neu)}`;
+  const all = `${entry.ort} ${change}`;
+  const structure = matchAll(change, GROUP_RE).length || matchAll(change, SEGMENT_RE).some(s => segmentCodes.has(s))
+    ? change : entry.ort;
+
+  const oldConditions = matchAll(entry.bisher, CONDITION_REF_RE, 1);
+  const newConditions = matchAll(entry.neu, CONDITION_REF_RE, 1);
+  const oldVersion = entry.bisher.match(VERSION_RE);
+  const newVersion = entry.neu.match(VERSION_RE);
+
+  return {
+    pruefidentifikatoren: [...new Set(matchAll(entry.ort, PID_RE))].filter(pid => comparedPids.has(pid)),
+    groups: new Set(matchAll(structure, GROUP_RE)),
+    segments: new Set(matchAll(structure, SEGMENT_RE).filter(s => segmentCodes.has(s))),
+    dataElements: new Set(matchAll(all, DATA_ELEMENT_RE, 1)),
+    codes: new Set(matchAll(all, CODE_RE)),
+    conditions: new Set([...oldConditions, ...newConditions]),
+    changedConditions: new Set([
+      ...oldConditions.filter(n => !newConditions.includes(n)),
+      ...newConditions.filter(n => !oldConditions.includes(n)),
+    ]),
+    version: oldVersion && newVersion ? { old: oldVersion[1], new: newVersion[1] } : null,
+  };
+}
+
+function withoutDefinitions(text) {
+  const match = text.match(CONDITION_DEFINITION_RE);
+  return match ? text.slice(0, match.index) : text;
+}
+
+function matchAll(text, re, group = 0) {
+  return [...String(text || '').matchAll(re)].map(m => m[group]);
+}
+
+function rowMatches(rd, refs) {
+  const rows = [rd.rowOld, rd.rowNew, rd.row].filter(Boolean);
+  if (rows.some(r => r.code && refs.codes.has(r.code))) return true;
+  if (rows.some(r => r.dataElement && refs.dataElements.has(r.dataElement))) return true;
+  if (changedConditions(rd).some(n => refs.changedConditions.has(n))) return true;
+  // Structure only for entries without anything more specific ("SG25 … vorhanden")
+  if ((rd.type === 'added' || rd.type === 'removed') &&
+      !refs.codes.size && !refs.dataElements.size && !refs.changedConditions.size) {
+    return rows.some(r => refs.groups.has(r.segmentGroup) || refs.segments.has(r.segmentCode));
+  }
+  return false;
+}
+
+/**
+ * Conditions a row diff gained or lost: for a changed row those in only one
+ * side of a changed status or Bedingung, for an added or removed row all it
+ * references.
+ */
+function changedConditions(rd) {
+  if (rd.row) {
+    return matchAll(`${rd.row.statusCols.join(' ')} ${rd.row.bedingung}`, CONDITION_REF_RE, 1);
+  }
+  const numbers = [];
+  for (const change of rd.changes || []) {
+    if (change.field !== 'status' && change.field !== 'bedingung') continue;
+    const old = matchAll(change.old, CONDITION_REF_RE, 1);
+    const nu = matchAll(change.new, CONDITION_REF_RE, 1);
+    numbers.push(...old.filter(n => !nu.includes(n)), ...nu.filter(n => !old.includes(n)));
+  }
+  return numbers;
+}
+
+function sectionItem(sd) {
+  return {
+    kind: 'section',
+    type: sd.type,
+    pruefidentifikator: sd.pruefidentifikator,
+    title: sd.section?.title || '',
+    reviewKey: sectionReviewKey(sd),
+  };
+}
+
+function rowItem(sd, rd) {
+  const row = rd.rowNew || rd.row || rd.rowOld;
+  return {
+    kind: 'row',
+    type: rd.type,
+    pruefidentifikator: sd.pruefidentifikator,
+    key: rd.key,
+    beschreibung: row.beschreibung,
+    page: row.page ?? null,
+    reviewKey: rowReviewKey(sd, rd),
+  };
+}
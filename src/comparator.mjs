@@ -1,85 +1,564 @@
-import { getSections, getRows } from './database.mjs';
+import { getSections, getRows, getConditions, getDocument, withPids } from './database.mjs';
+import { compareExpressions, classifyStatusChange, STATUS_IMPACTS } from './expression.mjs';
+
+const CONDITION_REF_RE = /\[(\d+)\]/g;
+const EMPTY_KEY = 'TEXT:';
+
+/** Minimum similarity (0–1) for pairing rows whose key changed. */
+export const DEFAULT_FUZZY_THRESHOLD = 0.6;
 
 /**
  * Compare two documents stored in the database.
  * @param {object} db - sql.js Database
  * @param {number} docId1 - "old" document ID
  * @param {number} docId2 - "new" document ID
+ * @param {object} [options]
+ * @param {number} [options.fuzzyThreshold] - minimum similarity for pairing rows whose key changed
  * @returns {ComparisonResult}
  */
-export function compareDocuments(db, docId1, docId2) {
+export function compareDocuments(db, docId1, docId2, options = {}) {
+  const { fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD } = options;
   const sections1 = getSections(db, docId1);
   const sections2 = getSections(db, docId2);
 
-  // Build maps by Prüfidentifikator for matching
-  const map1 = buildPruefMap(sections1);
-  const map2 = buildPruefMap(sections2);
-
-  const allKeys = new Set([...map1.keys(), ...map2.keys()]);
+  const { conditionSummary, conditionDiffs } = compareConditions(db, docId1, docId2);
+  const reworded = new Set(
+    conditionDiffs.filter(cd => cd.type === 'modified').map(cd => cd.number)
+  );
 
   const sectionDiffs = [];
-  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0, split: 0, merged: 0, regrouped: 0 };
 
-  for (const key of allKeys) {
-    const s1 = map1.get(key);
-    const s2 = map2.get(key);
+  // Sections are matched per Prüfidentifikator: every (old, new) pair sharing
+  // at least one ID is compared on the columns of the shared IDs.
+  for (const group of groupSections(sections1, sections2)) {
+    const reshaped = group.old.length > 1 || group.new.length > 1;
+    const groupType = !reshaped ? null
+      : group.old.length === 1 ? 'split'
+      : group.new.length === 1 ? 'merged'
+      : 'regrouped';
+    if (groupType) summary[groupType]++;
 
-    if (!s1) {
-      // Section added in new version
-      summary.added++;
-      sectionDiffs.push({
-        type: 'added',
-        pruefidentifikator: key,
-        section: s2,
-        rows: getRows(db, s2.id).map(r => ({ type: 'added', row: r })),
-      });
-    } else if (!s2) {
-      // Section removed in new version
+    for (const s1 of group.old) {
+      for (const s2 of group.new) {
+        const shared = s1.pids.filter(pid => s2.pids.includes(pid));
+        if (!shared.length) continue;
+
+        const columns = shared.map(pid => ({
+          pruefidentifikator: pid,
+          oldIndex: s1.pids.indexOf(pid),
+          newIndex: s2.pids.indexOf(pid),
+        }));
+        const rowDiffs = flagIndirectChanges(
+          compareRows(getRows(db, s1.id), getRows(db, s2.id), columns, fuzzyThreshold), reworded
+        );
+        const metaChanges = getMetaChanges(s1, s2, columns);
+        const changed = metaChanges.length > 0 || rowDiffs.some(d => d.type !== 'unchanged');
+
+        const type = groupType || (changed ? 'modified' : 'unchanged');
+        if (!groupType) summary[type]++;
+
+        const diff = {
+          type,
+          pruefidentifikator: shared.join(','),
+          columns,
+          sectionOld: s1,
+          sectionNew: s2,
+          metaChanges,
+          rows: rowDiffs,
+        };
+        if (groupType) {
+          diff.regrouping = {
+            old: group.old.map(s => s.pruefidentifikator),
+            new: group.new.map(s => s.pruefidentifikator),
+          };
+        }
+        sectionDiffs.push(diff);
+      }
+    }
+
+    // IDs without a counterpart: the use case was dropped or introduced
+    for (const s1 of group.old) {
+      const pids = s1.pids.filter(pid => !group.new.some(s2 => s2.pids.includes(pid)));
+      if (!pids.length) continue;
       summary.removed++;
       sectionDiffs.push({
         type: 'removed',
-        pruefidentifikator: key,
+        pruefidentifikator: pids.join(','),
+        columns: pids.map(pid => ({ pruefidentifikator: pid, oldIndex: s1.pids.indexOf(pid), newIndex: null })),
         section: s1,
         rows: getRows(db, s1.id).map(r => ({ type: 'removed', row: r })),
       });
-    } else {
-      // Section exists in both — compare rows
-      const rows1 = getRows(db, s1.id);
-      const rows2 = getRows(db, s2.id);
-      const rowDiffs = compareRows(rows1, rows2);
-
-      const hasChanges = rowDiffs.some(d => d.type !== 'unchanged');
-      const metaChanged = checkMetaChanges(s1, s2);
-
-      if (hasChanges || metaChanged) {
-        summary.modified++;
-      } else {
-        summary.unchanged++;
+    }
+    for (const s2 of group.new) {
+      const pids = s2.pids.filter(pid => !group.old.some(s1 => s1.pids.includes(pid)));
+      if (!pids.length) continue;
+      summary.added++;
+      sectionDiffs.push({
+        type: 'added',
+        pruefidentifikator: pids.join(','),
+        columns: pids.map(pid => ({ pruefidentifikator: pid, oldIndex: null, newIndex: s2.pids.indexOf(pid) })),
+        section: s2,
+        rows: getRows(db, s2.id).map(r => ({ type: 'added', row: r })),
+      });
+    }
+  }
+
+  // Sort: modified first, then split/merged, added, removed, unchanged
+  const order = { modified: 0, split: 1, merged: 2, regrouped: 3, added: 4, removed: 5, unchanged: 6 };
+  sectionDiffs.sort((a, b) => (order[a.type] ?? 9) - (order[b.type] ?? 9));
+
+  return { summary, sectionDiffs, conditionSummary, conditionDiffs };
+}
+
+/**
+ * History of every Prüfidentifikator and row across N stored versions, built
+ * from the comparisons of consecutive versions. A row is followed through
+ * the versions as long as each pairwise comparison matches it (including
+ * rekeyed and moved rows); its values are tracked per Prüfidentifikator, so
+ * `status` is the cell of that ID's own column.
+ * @param {object} db - sql.js Database
+ * @param {number[]} docIds - document IDs, oldest version first (at least two)
+ * @param {object} [options] - as for compareDocuments()
+ * @returns {{documents: object[], comparisons: ComparisonResult[], pruefidentifikatoren: object[]}}
+ *   `comparisons[i]` compares version i with version i + 1. Per Prüfidentifikator:
+ *   `versions[v]` (section in version v or null), `events` and `rows`; per row:
+ *   `path`, `values[v]` ({rowId, path, beschreibung, status, bedingung} or null)
+ *   and `events`. An event is {version, type: introduced | changed | removed},
+ *   changed row events list the changed `fields`.
+ */
+export function compareTimeline(db, docIds, options = {}) {
+  const documents = docIds.map(id => getDocument(db, id));
+  const entries = new Map();
+  const entryFor = pid => {
+    if (!entries.has(pid)) {
+      entries.set(pid, { pruefidentifikator: pid, versions: docIds.map(() => null), events: [], rows: [], metaChanged: new Set() });
+    }
+    return entries.get(pid);
+  };
+  const newChain = () => ({ path: '', values: docIds.map(() => null), events: [] });
+  const sectionRef = section => ({ sectionId: section.id, title: section.title, page: section.pageStart });
+
+  // Version 0: every row starts a chain
+  let chains = new Map();
+  for (const section of getSections(db, docIds[0]).map(withPids)) {
+    const rows = getRows(db, section.id).filter(r => !r.isLabel);
+    section.pids.forEach((pid, index) => {
+      const entry = entryFor(pid);
+      entry.versions[0] = sectionRef(section);
+      for (const row of rows) {
+        const chain = newChain();
+        chain.values[0] = timelineValue(row, index);
+        entry.rows.push(chain);
+        chains.set(`${pid}|${row.id}`, chain);
       }
+    });
+  }
 
-      sectionDiffs.push({
-        type: hasChanges || metaChanged ? 'modified' : 'unchanged',
-        pruefidentifikator: key,
-        sectionOld: s1,
-        sectionNew: s2,
-        metaChanges: metaChanged ? getMetaChanges(s1, s2) : [],
-        rows: rowDiffs,
+  const comparisons = [];
+  for (let v = 1; v < docIds.length; v++) {
+    const comparison = compareDocuments(db, docIds[v - 1], docIds[v], options);
+    comparisons.push(comparison);
+    const next = new Map();
+
+    for (const sd of comparison.sectionDiffs) {
+      const newSection = sd.sectionNew || (sd.type === 'added' ? sd.section : null);
+      for (const { pruefidentifikator: pid } of sd.columns) {
+        const entry = entryFor(pid);
+        if (newSection) entry.versions[v] = sectionRef(newSection);
+        if (sd.type === 'added') entry.events.push({ version: v, type: 'introduced' });
+        if (sd.type === 'removed') entry.events.push({ version: v, type: 'removed' });
+        if (sd.metaChanges?.some(mc => !mc.pruefidentifikator || mc.pruefidentifikator === pid)) {
+          entry.metaChanged.add(v);
+        }
+      }
+
+      const previous = new Map();
+      for (const { rd, oldRow, newRow } of pairRows(db, sd)) {
+        if ((newRow || oldRow).isLabel) continue;
+
+        for (const { pruefidentifikator: pid, oldIndex, newIndex } of sd.columns) {
+          const entry = entryFor(pid);
+          let chain = oldRow ? chains.get(`${pid}|${oldRow.id}`) : null;
+          if (!chain) {
+            chain = newChain();
+            if (oldRow) chain.values[v - 1] = timelineValue(oldRow, oldIndex);
+            const after = previous.get(pid);
+            entry.rows.splice(after ? entry.rows.indexOf(after) + 1 : 0, 0, chain);
+          }
+          previous.set(pid, chain);
+
+          if (!newRow) {
+            chain.events.push({ version: v, type: 'removed' });
+            continue;
+          }
+          chain.values[v] = timelineValue(newRow, newIndex);
+          next.set(`${pid}|${newRow.id}`, chain);
+          if (rd.type === 'added') {
+            chain.events.push({ version: v, type: 'introduced' });
+          } else if (rd.changes) {
+            const fields = timelineFields(rd, pid);
+            if (fields.length) chain.events.push({ version: v, type: 'changed', fields });
+          }
+        }
+      }
+    }
+    chains = next;
+  }
+
+  const pruefidentifikatoren = [...entries.values()]
+    .sort((a, b) => a.pruefidentifikator.localeCompare(b.pruefidentifikator))
+    .map(({ metaChanged, ...entry }) => {
+      for (const chain of entry.rows) {
+        const latest = chain.values.filter(Boolean).pop();
+        chain.path = latest.path;
+      }
+      for (let v = 1; v < docIds.length; v++) {
+        if (!entry.versions[v - 1] || !entry.versions[v]) continue;
+        const rowEvents = entry.rows.filter(chain => chain.events.some(e => e.version === v)).length;
+        if (rowEvents || metaChanged.has(v)) entry.events.push({ version: v, type: 'changed', rows: rowEvents });
+      }
+      entry.events.sort((a, b) => a.version - b.version);
+      return entry;
+    });
+
+  return { documents, comparisons, pruefidentifikatoren };
+}
+
+/** Outcomes of a three-way comparison, most notable first. */
+export const THREE_WAY_TYPES = ['conflict', 'draft-only', 'final-only', 'both', 'unchanged'];
+
+/**
+ * Three-way comparison of a draft (e.g. a Konsultationsfassung) and a final
+ * version derived from the same base version. Both are compared with the
+ * base; every row, Prüfidentifikator and condition is then classified by
+ * the side(s) that changed it:
+ *   draft-only  — changed in the draft only: a proposal the final version dropped
+ *   final-only  — changed in the final version only
+ *   both        — changed on both sides to the same result: an adopted proposal
+ *   conflict    — changed on both sides to different results
+ *   unchanged   — as in the base on both sides
+ * Rows are matched through their base row; rows added on both sides are
+ * matched by key. Values are tracked per Prüfidentifikator, as in compareTimeline().
+ * @param {object} db - sql.js Database
+ * @param {number} baseId - common base version
+ * @param {number} draftId - draft version
+ * @param {number} finalId - final version
+ * @param {object} [options] - as for compareDocuments()
+ * @returns {{documents: object[], comparisons: {draft: ComparisonResult, final: ComparisonResult},
+ *   summary: object, pruefidentifikatoren: object[], conditions: object[]}}
+ *   `documents` is [base, draft, final], index v below. Per Prüfidentifikator:
+ *   `versions[v]` (section or null), `type` and `rows`; per row and condition:
+ *   `values[v]` (row value as in compareTimeline(), condition text, or null),
+ *   `changes[v]` for v = 1, 2 (null when as in the base, else {type: added |
+ *   removed | changed, fields}) and `type`. `summary` counts the types of
+ *   rows, Prüfidentifikatoren and conditions.
+ */
+export function compareThreeWay(db, baseId, draftId, finalId, options = {}) {
+  const documents = [baseId, draftId, finalId].map(id => getDocument(db, id));
+  const comparisons = {
+    draft: compareDocuments(db, baseId, draftId, options),
+    final: compareDocuments(db, baseId, finalId, options),
+  };
+
+  const entries = new Map();
+  const entryFor = pid => {
+    if (!entries.has(pid)) {
+      entries.set(pid, {
+        pruefidentifikator: pid, versions: [null, null, null], rows: [],
+        byBaseRow: new Map(), addedInDraft: new Map(),
       });
     }
+    return entries.get(pid);
+  };
+  const sectionRef = section => ({ sectionId: section.id, title: section.title, page: section.pageStart });
+
+  [comparisons.draft, comparisons.final].forEach((comparison, i) => {
+    const side = i + 1;
+    for (const sd of comparison.sectionDiffs) {
+      const oldSection = sd.sectionOld || (sd.type === 'removed' ? sd.section : null);
+      const newSection = sd.sectionNew || (sd.type === 'added' ? sd.section : null);
+      for (const { pruefidentifikator: pid } of sd.columns) {
+        const entry = entryFor(pid);
+        if (oldSection) entry.versions[0] = sectionRef(oldSection);
+        if (newSection) entry.versions[side] = sectionRef(newSection);
+      }
+
+      const previous = new Map();
+      for (const { rd, oldRow, newRow } of pairRows(db, sd)) {
+        if ((newRow || oldRow).isLabel) continue;
+
+        for (const { pruefidentifikator: pid, oldIndex, newIndex } of sd.columns) {
+          const entry = entryFor(pid);
+          let row = oldRow
+            ? entry.byBaseRow.get(oldRow.id)
+            : side === 2 ? entry.addedInDraft.get(rowKey(newRow))?.shift() : null;
+          if (!row) {
+            row = { path: '', values: [null, null, null], changes: [null, null, null], type: 'unchanged' };
+            if (oldRow) {
+              row.values[0] = timelineValue(oldRow, oldIndex);
+              entry.byBaseRow.set(oldRow.id, row);
+            }
+            const after = previous.get(pid);
+            entry.rows.splice(after ? entry.rows.indexOf(after) + 1 : 0, 0, row);
+          }
+          previous.set(pid, row);
+
+          if (newRow) row.values[side] = timelineValue(newRow, newIndex);
+          if (rd.type === 'added' || rd.type === 'removed') {
+            row.changes[side] = { type: rd.type, fields: [] };
+            if (rd.type === 'added' && side === 1) {
+              const key = rowKey(newRow);
+              if (!entry.addedInDraft.has(key)) entry.addedInDraft.set(key, []);
+              entry.addedInDraft.get(key).push(row);
+            }
+          } else if (rd.changes) {
+            const fields = timelineFields(rd, pid);
+            if (fields.length) row.changes[side] = { type: 'changed', fields };
+          }
+        }
+      }
+    }
+  });
+
+  const summary = {
+    rows: countBy(THREE_WAY_TYPES, []),
+    pruefidentifikatoren: countBy(THREE_WAY_TYPES, []),
+    conditions: null,
+  };
+  const pruefidentifikatoren = [...entries.values()]
+    .sort((a, b) => a.pruefidentifikator.localeCompare(b.pruefidentifikator))
+    .map(({ byBaseRow, addedInDraft, ...entry }) => {
+      for (const row of entry.rows) {
+        row.path = (row.values[2] || row.values[1] || row.values[0]).path;
+        row.type = threeWayType(row.changes, () => sameThreeWayValue(row.values[1], row.values[2]));
+        summary.rows[row.type]++;
+      }
+      // A Prüfidentifikator introduced or dropped on one side counts like a row
+      const presence = [1, 2].map(side => !entry.versions[0] !== !entry.versions[side]);
+      const types = [
+        threeWayType([null, ...presence], () => true),
+        ...entry.rows.map(row => row.type),
+      ];
+      entry.type = THREE_WAY_TYPES.find(type => types.includes(type));
+      summary.pruefidentifikatoren[entry.type]++;
+      return entry;
+    });
+
+  const conditions = compareConditionsThreeWay(db, [baseId, draftId, finalId]);
+  summary.conditions = countBy(THREE_WAY_TYPES, conditions.map(c => c.type));
+
+  return { documents, comparisons, summary, pruefidentifikatoren, conditions };
+}
+
+/**
+ * Condition catalogues of base, draft and final version, matched by number.
+ */
+function compareConditionsThreeWay(db, docIds) {
+  const maps = docIds.map(id => new Map(getConditions(db, id).map(c => [c.number, c.text])));
+  const numbers = [...new Set(maps.flatMap(map => [...map.keys()]))]
+    .sort((a, b) => Number(a) - Number(b));
+
+  return numbers.map(number => {
+    const values = maps.map(map => map.has(number) ? map.get(number) : null);
+    const changes = values.map((text, v) => {
+      if (!v || normalizeForComparison(text) === normalizeForComparison(values[0])) return null;
+      return { type: values[0] === null ? 'added' : text === null ? 'removed' : 'changed', fields: [] };
+    });
+    const type = threeWayType(changes,
+      () => normalizeForComparison(values[1]) === normalizeForComparison(values[2]));
+    return { number, values, changes, type };
+  });
+}
+
+/**
+ * Classify by the changes of draft (`changes[1]`) and final (`changes[2]`);
+ * `sameResult` tells whether both sides ended up with the same value.
+ */
+function threeWayType(changes, sameResult) {
+  if (!changes[1] && !changes[2]) return 'unchanged';
+  if (!changes[2]) return 'draft-only';
+  if (!changes[1]) return 'final-only';
+  return sameResult() ? 'both' : 'conflict';
+}
+
+function sameThreeWayValue(a, b) {
+  if (!a || !b) return !a && !b;
+  const sameText = (t1, t2) => normalizeForComparison(t1) === normalizeForComparison(t2);
+  const sameCondition = (t1, t2) => sameText(t1, t2)
+    || compareExpressions(normalizeForComparison(t1), normalizeForComparison(t2))?.outcome === 'equivalent';
+  return sameText(a.path, b.path)
+    && sameText(a.beschreibung, b.beschreibung)
+    && sameCondition(a.status, b.status)
+    && sameCondition(a.bedingung, b.bedingung);
+}
+
+function countBy(keys, values) {
+  const counts = Object.fromEntries(keys.map(key => [key, 0]));
+  for (const value of values) counts[value]++;
+  return counts;
+}
+
+/**
+ * Old and new row of every row diff of a section diff. Row diffs follow the
+ * new section with removed rows interleaved, so every other diff stands for
+ * the next row of the new section; that gives unchanged rows (which only
+ * carry the old row) their new row.
+ * @returns {Array<{rd: object, oldRow: object|null, newRow: object|null}>}
+ */
+function pairRows(db, sd) {
+  const newSection = sd.sectionNew || (sd.type === 'added' ? sd.section : null);
+  const newRows = newSection && sd.type !== 'added' ? getRows(db, newSection.id) : [];
+  let j = 0;
+  return sd.rows.map(rd => {
+    const oldRow = rd.rowOld || (rd.type === 'added' ? null : rd.row);
+    const newRow = rd.type === 'removed' ? null : rd.rowNew || (rd.type === 'added' ? rd.row : newRows[j]);
+    if (rd.type !== 'removed') j++;
+    return { rd, oldRow, newRow };
+  });
+}
+
+function timelineValue(row, statusIndex) {
+  return {
+    rowId: row.id,
+    path: row.segmentPath,
+    beschreibung: row.beschreibung,
+    status: row.statusCols[statusIndex] || '',
+    bedingung: row.bedingung,
+  };
+}
+
+/**
+ * Fields of a row diff that changed for one Prüfidentifikator: status
+ * changes of other columns do not count, a changed key counts as `path`.
+ */
+function timelineFields(rd, pid) {
+  const fields = rd.changes
+    .filter(c => c.field !== 'status' || c.pruefidentifikator === pid)
+    .map(c => c.field);
+  if (rd.keyChanged) fields.push('path');
+  return [...new Set(fields)];
+}
+
+/**
+ * Group old and new sections that share Prüfidentifikatoren (connected
+ * components). A group of one old and one new section is a plain match;
+ * 1 → n is a split, n → 1 a merge, n → m a regrouping. Sections without any
+ * shared ID form groups with an empty other side.
+ * @returns {Array<{old: object[], new: object[]}>} in document order
+ */
+function groupSections(sections1, sections2) {
+  const nodes = [
+    ...sections1.map(s => ({ side: 'old', section: withPids(s) })),
+    ...sections2.map(s => ({ side: 'new', section: withPids(s) })),
+  ];
+  const parent = nodes.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  const firstByPid = new Map();
+  nodes.forEach((node, i) => {
+    for (const pid of node.section.pids) {
+      if (firstByPid.has(pid)) parent[find(i)] = find(firstByPid.get(pid));
+      else firstByPid.set(pid, i);
+    }
+  });
+
+  const groups = new Map();
+  nodes.forEach((node, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { old: [], new: [] });
+    groups.get(root)[node.side].push(node.section);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Compare the condition catalogues (Bedingungen / Hinweise) of two documents.
+ * Conditions are matched by number. Each diff lists the sections whose rows
+ * reference the condition — in the new version, or the old one for removed
+ * conditions — since a reworded condition changes the meaning of every such row.
+ */
+export function compareConditions(db, docId1, docId2) {
+  const map1 = new Map(getConditions(db, docId1).map(c => [c.number, c]));
+  const map2 = new Map(getConditions(db, docId2).map(c => [c.number, c]));
+  const refs1 = buildConditionReferences(db, docId1);
+  const refs2 = buildConditionReferences(db, docId2);
+
+  const allNumbers = [...new Set([...map1.keys(), ...map2.keys()])]
+    .sort((a, b) => Number(a) - Number(b));
+
+  const conditionDiffs = [];
+  const conditionSummary = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+
+  for (const number of allNumbers) {
+    const c1 = map1.get(number);
+    const c2 = map2.get(number);
+
+    let type;
+    if (!c1) type = 'added';
+    else if (!c2) type = 'removed';
+    else if (normalizeForComparison(c1.text) !== normalizeForComparison(c2.text)) type = 'modified';
+    else type = 'unchanged';
+
+    conditionSummary[type]++;
+    conditionDiffs.push({
+      type,
+      number,
+      old: c1 ? c1.text : null,
+      new: c2 ? c2.text : null,
+      references: (type === 'removed' ? refs1 : refs2).get(number) || [],
+    });
   }
 
-  // Sort: modified first, then added, then removed, then unchanged
   const order = { modified: 0, added: 1, removed: 2, unchanged: 3 };
-  sectionDiffs.sort((a, b) => (order[a.type] ?? 9) - (order[b.type] ?? 9));
+  conditionDiffs.sort((a, b) => (order[a.type] ?? 9) - (order[b.type] ?? 9));
 
-  return { summary, sectionDiffs };
+  return { conditionSummary, conditionDiffs };
+}
+
+/**
+ * Mark unchanged rows that reference a reworded condition as "indirect":
+ * their cells are identical, but the meaning of a condition behind them changed.
+ */
+function flagIndirectChanges(rowDiffs, reworded) {
+  if (!reworded.size) return rowDiffs;
+
+  return rowDiffs.map(rd => {
+    if (rd.type !== 'unchanged') return rd;
+    const conditions = [...conditionRefs(rd.row)].filter(n => reworded.has(n));
+    return conditions.length ? { ...rd, type: 'indirect', conditions } : rd;
+  });
+}
+
+function conditionRefs(row) {
+  const text = [...row.statusCols, row.bedingung].join(' ');
+  return new Set([...text.matchAll(CONDITION_REF_RE)].map(m => m[1]));
+}
+
+/**
+ * Map condition number → [{ pruefidentifikator, rowCount }] for all rows
+ * whose status or Bedingung cells mention "[n]".
+ */
+function buildConditionReferences(db, docId) {
+  const refs = new Map();
+  for (const section of getSections(db, docId)) {
+    const counts = new Map();
+    for (const row of getRows(db, section.id)) {
+      for (const n of conditionRefs(row)) counts.set(n, (counts.get(n) || 0) + 1);
+    }
+    for (const [n, rowCount] of counts) {
+      if (!refs.has(n)) refs.set(n, []);
+      refs.get(n).push({ pruefidentifikator: section.pruefidentifikator, rowCount });
+    }
+  }
+  return refs;
 }
 
 /**
  * Normalize text for comparison: strip invisible characters, normalize
  * whitespace variants and dashes so only human-visible differences remain.
  */
-function normalizeForComparison(text) {
+export function normalizeForComparison(text) {
   if (!text) return '';
   let s = text;
   // Strip zero-width characters and soft hyphens
@@ -102,141 +581,331 @@ function normalizeForComparison(text) {
   return s;
 }
 
-function buildPruefMap(sections) {
-  const map = new Map();
-  for (const section of sections) {
-    // A section may have multiple Prüfidentifikatoren (comma-separated)
-    // Use the full string as key, but also try individual values
-    const key = section.pruefidentifikator;
-    if (!map.has(key)) {
-      map.set(key, section);
+/**
+ * Section metadata changes. Kommunikation von and the status column header
+ * are compared per shared Prüfidentifikator.
+ */
+function getMetaChanges(s1, s2, columns) {
+  const changes = [];
+  if (normalizeForComparison(s1.title) !== normalizeForComparison(s2.title)) {
+    changes.push({ field: 'title', old: s1.title, new: s2.title });
+  }
+
+  for (const { pruefidentifikator, oldIndex, newIndex } of columns) {
+    for (const [field, values1, values2] of [
+      ['kommunikationVon', s1.kommunikationVon, s2.kommunikationVon],
+      ['statusColHeader', s1.statusColHeaders, s2.statusColHeaders],
+    ]) {
+      const v1 = (values1[oldIndex] || '').trim();
+      const v2 = (values2[newIndex] || '').trim();
+      if (normalizeForComparison(v1) !== normalizeForComparison(v2)) {
+        changes.push({ field, pruefidentifikator, old: v1, new: v2 });
+      }
     }
   }
-  return map;
+
+  if (s1.pruefidentifikator !== s2.pruefidentifikator) {
+    changes.push({ field: 'pruefidentifikator', old: s1.pruefidentifikator, new: s2.pruefidentifikator });
+  }
+  return changes;
 }
 
-function checkMetaChanges(s1, s2) {
-  return normalizeForComparison(s1.title) !== normalizeForComparison(s2.title) ||
-    normalizeForComparison(s1.kommunikationVon) !== normalizeForComparison(s2.kommunikationVon) ||
-    normalizeForComparison(s1.statusCol1Header) !== normalizeForComparison(s2.statusCol1Header) ||
-    normalizeForComparison(s1.statusCol2Header) !== normalizeForComparison(s2.statusCol2Header);
+/**
+ * Compare rows from two sections, keeping document order.
+ * Strategy: align the row key sequences (full segment path, e.g.
+ * "SG7/STS/4405/Z08") by longest common subsequence. Rows left between two aligned
+ * rows are paired by identical Beschreibung; a row whose key is found out of
+ * sequence is reported as "moved". Rows still unmatched are paired within
+ * their segment group by content similarity (≥ `fuzzyThreshold`) and reported
+ * as modified with `keyChanged`. The result follows the new document, with
+ * removed rows placed where they stood in the old one.
+ * Status cells are compared per entry of `columns` ({ pruefidentifikator, oldIndex, newIndex }).
+ */
+function compareRows(rows1, rows2, columns, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD) {
+  const keys1 = rows1.map(rowKey);
+  const keys2 = rows2.map(rowKey);
+
+  // old index → new index for rows matched in sequence
+  const inOrder = new Map();
+  for (const [i, j] of lcsPairs(keys1, keys2)) inOrder.set(i, j);
+  matchGapsByBeschreibung(rows1, rows2, inOrder);
+
+  const matchedNew = new Map([...inOrder].map(([i, j]) => [j, i]));
+
+  // Same key, but out of sequence → moved
+  const moved = new Map();
+  const unmatchedNew = new Map();
+  keys2.forEach((key, j) => {
+    if (matchedNew.has(j)) return;
+    if (!unmatchedNew.has(key)) unmatchedNew.set(key, []);
+    unmatchedNew.get(key).push(j);
+  });
+  keys1.forEach((key, i) => {
+    if (inOrder.has(i) || key === EMPTY_KEY || !unmatchedNew.get(key)?.length) return;
+    moved.set(unmatchedNew.get(key).shift(), i);
+  });
+  const movedOld = new Set(moved.values());
+
+  const rekeyed = matchBySimilarity(rows1, rows2, columns, fuzzyThreshold,
+    i => !inOrder.has(i) && !movedOld.has(i),
+    j => !matchedNew.has(j) && !moved.has(j));
+  const rekeyedOld = new Set(rekeyed.values());
+
+  const diffs = [];
+  let nextOld = 0;
+  const flushRemoved = upTo => {
+    for (; nextOld < upTo; nextOld++) {
+      if (!inOrder.has(nextOld) && !movedOld.has(nextOld) && !rekeyedOld.has(nextOld)) {
+        diffs.push({ type: 'removed', key: keys1[nextOld], row: rows1[nextOld] });
+      }
+    }
+  };
+
+  rows2.forEach((r2, j) => {
+    if (matchedNew.has(j)) {
+      const i = matchedNew.get(j);
+      flushRemoved(i);
+      nextOld = i + 1;
+      diffs.push(pairDiff(rows1[i], r2, keys1[i], keys2[j], columns));
+    } else if (moved.has(j)) {
+      const i = moved.get(j);
+      const fieldChanges = diffRowFields(rows1[i], r2, columns);
+      diffs.push({
+        type: 'moved',
+        key: keys2[j],
+        rowOld: rows1[i],
+        rowNew: r2,
+        changes: fieldChanges,
+        impact: rowImpact(fieldChanges),
+      });
+    } else if (rekeyed.has(j)) {
+      const i = rekeyed.get(j);
+      diffs.push(pairDiff(rows1[i], r2, keys1[i], keys2[j], columns));
+    } else {
+      diffs.push({ type: 'added', key: keys2[j], row: r2 });
+    }
+  });
+  flushRemoved(rows1.length);
+
+  return diffs;
 }
 
-function getMetaChanges(s1, s2) {
-  const changes = [];
-  if (normalizeForComparison(s1.title) !== normalizeForComparison(s2.title)) {
-    changes.push({ field: 'title', old: s1.title, new: s2.title });
+function pairDiff(r1, r2, key1, key2, columns) {
+  const fieldChanges = diffRowFields(r1, r2, columns);
+  const keyChanged = key1 !== key2;
+  if (!fieldChanges.length && !keyChanged) return { type: 'unchanged', key: key2, row: r1 };
+
+  const diff = {
+    type: 'modified',
+    key: key2,
+    rowOld: r1,
+    rowNew: r2,
+    changes: fieldChanges,
+    impact: rowImpact(fieldChanges),
+  };
+  if (keyChanged) {
+    diff.keyChanged = true;
+    diff.keyOld = key1;
+    diff.similarity = Math.round(rowSimilarity(r1, r2, columns) * 100) / 100;
   }
-  if (normalizeForComparison(s1.kommunikationVon) !== normalizeForComparison(s2.kommunikationVon)) {
-    changes.push({ field: 'kommunikationVon', old: s1.kommunikationVon, new: s2.kommunikationVon });
+  return diff;
+}
+
+/**
+ * Pair leftover rows of the same segment group by content similarity,
+ * best-scoring pairs first. Label rows are never paired.
+ * @returns {Map<number, number>} new index → old index
+ */
+function matchBySimilarity(rows1, rows2, columns, threshold, isOpenOld, isOpenNew) {
+  const candidates = [];
+  rows1.forEach((r1, i) => {
+    if (r1.isLabel || !isOpenOld(i)) return;
+    const group = normalizeForComparison(r1.segmentGroup);
+    rows2.forEach((r2, j) => {
+      if (r2.isLabel || !isOpenNew(j)) return;
+      if (normalizeForComparison(r2.segmentGroup) !== group) return;
+      const score = rowSimilarity(r1, r2, columns);
+      if (score >= threshold) candidates.push({ i, j, score });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.j - b.j);
+
+  const pairs = new Map();
+  const usedOld = new Set();
+  for (const { i, j } of candidates) {
+    if (pairs.has(j) || usedOld.has(i)) continue;
+    pairs.set(j, i);
+    usedOld.add(i);
   }
-  if (normalizeForComparison(s1.statusCol1Header) !== normalizeForComparison(s2.statusCol1Header)) {
-    changes.push({ field: 'statusCol1Header', old: s1.statusCol1Header, new: s2.statusCol1Header });
+  return pairs;
+}
+
+const SIMILARITY_WEIGHTS = { beschreibung: 0.5, status: 0.25, bedingung: 0.25 };
+
+/**
+ * Content similarity of two rows (0–1): word-level Dice coefficient of
+ * Beschreibung, status cells and Bedingung, weighted. Fields empty on both
+ * sides carry no evidence and are left out; rows with nothing but status
+ * cells score 0.
+ */
+export function rowSimilarity(r1, r2, columns) {
+  const status = (row, side) => columns
+    .map(c => (row.statusCols[side === 'old' ? c.oldIndex : c.newIndex] || ''))
+    .join(' ');
+  const fields = {
+    beschreibung: [r1.beschreibung, r2.beschreibung],
+    status: [status(r1, 'old'), status(r2, 'new')],
+    bedingung: [r1.bedingung, r2.bedingung],
+  };
+
+  let total = 0;
+  let weights = 0;
+  const populated = [];
+  for (const [field, [a, b]] of Object.entries(fields)) {
+    const wordsA = words(a);
+    const wordsB = words(b);
+    if (!wordsA.length && !wordsB.length) continue;
+    total += SIMILARITY_WEIGHTS[field] * dice(wordsA, wordsB);
+    weights += SIMILARITY_WEIGHTS[field];
+    populated.push(field);
   }
-  if (normalizeForComparison(s1.statusCol2Header) !== normalizeForComparison(s2.statusCol2Header)) {
-    changes.push({ field: 'statusCol2Header', old: s1.statusCol2Header, new: s2.statusCol2Header });
+  // Status values alone ("X", "Muss") are too uniform to identify a row
+  if (!populated.length || populated.every(field => field === 'status')) return 0;
+  return total / weights;
+}
+
+function words(text) {
+  return normalizeForComparison(text).toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function dice(a, b) {
+  if (!a.length || !b.length) return 0;
+  const counts = new Map();
+  for (const w of a) counts.set(w, (counts.get(w) || 0) + 1);
+  let common = 0;
+  for (const w of b) {
+    if (counts.get(w)) {
+      common++;
+      counts.set(w, counts.get(w) - 1);
+    }
   }
-  return changes;
+  return (2 * common) / (a.length + b.length);
 }
 
 /**
- * Compare rows from two sections.
- * Strategy: match by compound key (segmentGroup + segmentCode + dataElement),
- * then fall back to position-based matching for duplicates.
+ * Longest common subsequence of two key sequences as [oldIndex, newIndex] pairs.
  */
-function compareRows(rows1, rows2) {
-  const diffs = [];
-
-  // Build lookup: key → array of rows (handles duplicates)
-  const map1 = buildRowMap(rows1);
-  const map2 = buildRowMap(rows2);
-
-  const allKeys = new Set([...map1.keys(), ...map2.keys()]);
-  const matched2 = new Set();
-
-  for (const key of allKeys) {
-    const list1 = map1.get(key) || [];
-    const list2 = map2.get(key) || [];
-
-    const maxLen = Math.max(list1.length, list2.length);
-
-    for (let i = 0; i < maxLen; i++) {
-      const r1 = list1[i];
-      const r2 = list2[i];
-
-      if (r1 && r2) {
-        // Both exist — compare fields
-        const fieldChanges = diffRowFields(r1, r2);
-        if (fieldChanges.length > 0) {
-          diffs.push({
-            type: 'modified',
-            key,
-            rowOld: r1,
-            rowNew: r2,
-            changes: fieldChanges,
-          });
-        } else {
-          diffs.push({ type: 'unchanged', key, row: r1 });
-        }
-        if (r2) matched2.add(r2.id);
-      } else if (r1 && !r2) {
-        diffs.push({ type: 'removed', key, row: r1 });
-      } else {
-        diffs.push({ type: 'added', key, row: r2 });
-        matched2.add(r2.id);
-      }
+function lcsPairs(a, b) {
+  const m = a.length;
+  const n = b.length;
+  const width = n + 1;
+  const dp = new Uint32Array((m + 1) * width);
+  for (let i = m - 1; i >= 0; i--) {
+    for (let j = n - 1; j >= 0; j--) {
+      dp[i * width + j] = a[i] === b[j]
+        ? dp[(i + 1) * width + j + 1] + 1
+        : Math.max(dp[(i + 1) * width + j], dp[i * width + j + 1]);
     }
   }
 
-  return diffs;
+  const pairs = [];
+  let i = 0, j = 0;
+  while (i < m && j < n) {
+    if (a[i] === b[j]) {
+      pairs.push([i, j]);
+      i++; j++;
+    } else if (dp[(i + 1) * width + j] >= dp[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
 }
 
-function buildRowMap(rows) {
-  const map = new Map();
-  for (const row of rows) {
-    const key = rowKey(row);
-    if (!map.has(key)) {
-      map.set(key, []);
+/**
+ * Fallback for rows whose key changed in place: between two aligned rows,
+ * pair the remaining old and new rows with the same non-empty Beschreibung, in order.
+ */
+function matchGapsByBeschreibung(rows1, rows2, inOrder) {
+  const anchors = [...inOrder].sort((x, y) => x[0] - y[0]);
+  anchors.push([rows1.length, rows2.length]);
+
+  let prevOld = -1;
+  let prevNew = -1;
+  for (const [anchorOld, anchorNew] of anchors) {
+    let j = prevNew + 1;
+    for (let i = prevOld + 1; i < anchorOld && j < anchorNew; i++) {
+      const text = normalizeForComparison(rows1[i].beschreibung);
+      if (!text) continue;
+      for (let k = j; k < anchorNew; k++) {
+        if (normalizeForComparison(rows2[k].beschreibung) === text) {
+          inOrder.set(i, k);
+          j = k + 1;
+          break;
+        }
+      }
     }
-    map.get(key).push(row);
+    prevOld = anchorOld;
+    prevNew = anchorNew;
   }
-  return map;
 }
 
 function rowKey(row) {
   if (row.isLabel) {
     return `LABEL:${normalizeForComparison(row.beschreibung)}`;
   }
-  // Primary key: segmentGroup + segmentCode + dataElement
-  // Include beschreibung snippet for disambiguation when data_element is empty
-  const sg = normalizeForComparison(row.segmentGroup);
-  const sc = normalizeForComparison(row.segmentCode);
-  const de = normalizeForComparison(row.dataElement);
-  const parts = [sg, sc, de].filter(Boolean);
-  if (parts.length === 0) {
-    return `POS:${row.rowOrder}`;
-  }
-  // Add code value from beschreibung (first word if it looks like a code)
-  const beschr = normalizeForComparison(row.beschreibung);
-  const firstWord = beschr.split(/\s+/)[0] || '';
-  if (/^[A-Z0-9_]{1,10}$/.test(firstWord) && de) {
-    parts.push(firstWord);
+  // Primary key: position in the EDIFACT tree (SG / segment / data element / code)
+  const path = normalizeForComparison(row.segmentPath);
+  if (!path) {
+    // No EDIFACT reference: the text is all there is to align on
+    return `TEXT:${normalizeForComparison(row.beschreibung)}`;
   }
-  return parts.join('|');
+  return path;
+}
+
+const EXPRESSION_FIELDS = new Set(['status', 'bedingung']);
+
+/**
+ * Most severe status impact among a row's field changes, or null.
+ */
+export function rowImpact(changes) {
+  const ranks = changes
+    .filter(c => c.status)
+    .map(c => STATUS_IMPACTS.indexOf(c.status.impact));
+  return ranks.length ? STATUS_IMPACTS[Math.min(...ranks)] : null;
 }
 
-function diffRowFields(r1, r2) {
-  const fields = ['beschreibung', 'statusCol1', 'statusCol2', 'bedingung'];
+function diffRowFields(r1, r2, columns) {
   const changes = [];
 
-  for (const field of fields) {
-    const v1 = (r1[field] || '').trim();
-    const v2 = (r2[field] || '').trim();
-    if (normalizeForComparison(v1) !== normalizeForComparison(v2)) {
-      changes.push({ field, old: v1, new: v2 });
+  const fieldChange = (field, v1, v2) => {
+    if (normalizeForComparison(v1) === normalizeForComparison(v2)) return null;
+    // Condition expressions are compared by logic, not by text
+    const expression = EXPRESSION_FIELDS.has(field)
+      ? compareExpressions(normalizeForComparison(v1), normalizeForComparison(v2))
+      : null;
+    if (expression?.outcome === 'equivalent') return null;
+    const change = { field, old: v1, new: v2 };
+    if (expression) change.expression = expression;
+    return change;
+  };
+
+  const beschreibung = fieldChange('beschreibung', (r1.beschreibung || '').trim(), (r2.beschreibung || '').trim());
+  if (beschreibung) changes.push(beschreibung);
+
+  for (const { pruefidentifikator, oldIndex, newIndex } of columns) {
+    const v1 = (r1.statusCols[oldIndex] || '').trim();
+    const v2 = (r2.statusCols[newIndex] || '').trim();
+    const change = fieldChange('status', v1, v2);
+    if (change) {
+      changes.push({ ...change, pruefidentifikator, status: classifyStatusChange(v1, v2) });
     }
   }
 
+  const bedingung = fieldChange('bedingung', (r1.bedingung || '').trim(), (r2.bedingung || '').trim());
+  if (bedingung) changes.push(bedingung);
+
   // Also check structural changes
   if (normalizeForComparison(r1.segmentGroup) !== normalizeForComparison(r2.segmentGroup)) {
     changes.push({ field: 'segmentGroup', old: r1.segmentGroup, new: r2.segmentGroup });
@@ -244,6 +913,12 @@ function diffRowFields(r1, r2) {
   if (normalizeForComparison(r1.segmentCode) !== normalizeForComparison(r2.segmentCode)) {
     changes.push({ field: 'segmentCode', old: r1.segmentCode, new: r2.segmentCode });
   }
+  if (normalizeForComparison(r1.dataElement) !== normalizeForComparison(r2.dataElement)) {
+    changes.push({ field: 'dataElement', old: r1.dataElement, new: r2.dataElement });
+  }
+  if (normalizeForComparison(r1.code) !== normalizeForComparison(r2.code)) {
+    changes.push({ field: 'code', old: r1.code || '', new: r2.code || '' });
+  }
 
   return changes;
 }
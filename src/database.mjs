@@ -2,6 +2,11 @@ import fs from 'fs';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 import path from 'path';
+import { parseStatus } from './expression.mjs';
+import { migrate } from './migrations.mjs';
+import { REVIEW_STATUSES, REVIEW_TARGETS, reviewMapKey } from './review.mjs';
+
+export { SCHEMA_VERSION, getSchemaVersion } from './migrations.mjs';
 
 // sql.js needs dynamic import for WASM
 let SQL;
@@ -16,16 +21,27 @@ export async function initDatabase() {
  */
 export function createDatabase() {
   const db = new SQL.Database();
-  db.run(SCHEMA);
+  migrate(db);
   return db;
 }
 
 /**
- * Load a database from a file.
+ * Load a database from a file and migrate it to the current schema version.
+ * @throws {Error} if the file was written by a newer PDFCompare
  */
 export function loadDatabase(filePath) {
   const buffer = fs.readFileSync(filePath);
-  return new SQL.Database(buffer);
+  const db = new SQL.Database(buffer);
+  migrate(db);
+  return db;
+}
+
+/**
+ * Open a document library: load the file if it exists, otherwise start an
+ * empty database that is written to `filePath` on the next save.
+ */
+export function openDatabase(filePath) {
+  return fs.existsSync(filePath) ? loadDatabase(filePath) : createDatabase();
 }
 
 /**
@@ -36,75 +52,68 @@ export function saveDatabase(db, filePath) {
   fs.writeFileSync(filePath, Buffer.from(data));
 }
 
-const SCHEMA = `
-  CREATE TABLE IF NOT EXISTS documents (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    version TEXT NOT NULL,
-    filename TEXT NOT NULL,
-    page_count INTEGER,
-    parsed_at TEXT NOT NULL DEFAULT (datetime('now'))
-  );
-
-  CREATE TABLE IF NOT EXISTS sections (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    document_id INTEGER NOT NULL,
-    section_order INTEGER NOT NULL,
-    title TEXT,
-    pruefidentifikator TEXT NOT NULL,
-    kommunikation_von TEXT,
-    status_col1_header TEXT,
-    status_col2_header TEXT,
-    page_start INTEGER,
-    FOREIGN KEY (document_id) REFERENCES documents(id)
-  );
-
-  CREATE TABLE IF NOT EXISTS rows (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    section_id INTEGER NOT NULL,
-    row_order INTEGER NOT NULL,
-    segment_group TEXT,
-    segment_code TEXT,
-    data_element TEXT,
-    beschreibung TEXT,
-    status_col1 TEXT,
-    status_col2 TEXT,
-    bedingung TEXT,
-    is_label INTEGER DEFAULT 0,
-    FOREIGN KEY (section_id) REFERENCES sections(id)
-  );
-
-  CREATE INDEX IF NOT EXISTS idx_sections_document ON sections(document_id);
-  CREATE INDEX IF NOT EXISTS idx_sections_pruefid ON sections(pruefidentifikator);
-  CREATE INDEX IF NOT EXISTS idx_rows_section ON rows(section_id);
-`;
-
 /**
  * Insert a parsed document into the database.
+ * A document whose content hash is already stored is replaced by the new
+ * parse: it keeps its ID, file name and reviews (row reviews are keyed by
+ * segment path, not row ID), and its stored comparisons are dropped since
+ * they point at the old sections and rows.
  * @param {object} db - sql.js Database instance
  * @param {string} filename - Source PDF filename
  * @param {object} parsed - Output from parsePDF()
- * @returns {number} document ID
+ * @param {string} [contentHash] - SHA-256 of the PDF file (see hashFile in library.mjs)
+ * @returns {number} document ID (of the stored copy for a known hash)
  */
-export function insertDocument(db, filename, parsed) {
-  db.run(
-    `INSERT INTO documents (version, filename, page_count) VALUES (?, ?, ?)`,
-    [parsed.version, filename, parsed.pageCount]
-  );
-
-  const docId = db.exec(`SELECT last_insert_rowid() as id`)[0].values[0][0];
+export function insertDocument(db, filename, parsed, contentHash = null) {
+  const existing = contentHash ? findDocumentByHash(db, contentHash) : null;
+  let docId;
+  if (existing) {
+    docId = existing.id;
+    deleteDocumentContent(db, docId);
+    db.run(
+      `UPDATE documents SET version = ?, page_count = ?, message_type = ?, parser_version = ?,
+         parsed_at = datetime('now')
+       WHERE id = ?`,
+      [parsed.version, parsed.pageCount, parsed.messageType ?? null, parsed.parserVersion ?? null, docId]
+    );
+  } else {
+    db.run(
+      `INSERT INTO documents (version, filename, page_count, content_hash, message_type, parser_version)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [parsed.version, filename, parsed.pageCount, contentHash, parsed.messageType ?? null, parsed.parserVersion ?? null]
+    );
+    docId = lastInsertId(db);
+  }
 
   const sectionStmt = db.prepare(`
     INSERT INTO sections (document_id, section_order, title, pruefidentifikator,
-      kommunikation_von, status_col1_header, status_col2_header, page_start)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      kommunikation_von, status_col1_header, status_col2_header, page_start,
+      kommunikation_von_cols, status_col_headers)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
   const rowStmt = db.prepare(`
     INSERT INTO rows (section_id, row_order, segment_group, segment_code,
-      data_element, beschreibung, status_col1, status_col2, bedingung, is_label)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      data_element, beschreibung, status_col1, status_col2, status_cols, bedingung, is_label,
+      code, segment_path, parent_path, node_type, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
 
+  const pidRowStmt = db.prepare(`
+    INSERT INTO pruefidentifikator_rows (document_id, pruefidentifikator, row_id,
+      segment_path, status, status_level, status_condition)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  const indexStmt = db.prepare(`
+    INSERT INTO search_index (text, field, document_id, section_id, row_id, pruefidentifikator,
+      condition_number, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const index = (text, field, sectionId, rowId, pruefidentifikator, conditionNumber, page) => {
+    if (text) indexStmt.run([text, field, docId, sectionId, rowId, pruefidentifikator, conditionNumber, page]);
+  };
+
   for (let si = 0; si < parsed.sections.length; si++) {
     const section = parsed.sections[si];
 
@@ -117,9 +126,13 @@ export function insertDocument(db, filename, parsed) {
       section.statusCol1Header || '',
       section.statusCol2Header || '',
       section.pageStart || 0,
+      JSON.stringify(section.kommunikationVon),
+      JSON.stringify(section.statusColHeaders || [section.statusCol1Header || '', section.statusCol2Header || '']),
     ]);
 
     const sectionId = db.exec(`SELECT last_insert_rowid() as id`)[0].values[0][0];
+    const pids = section.pruefidentifikator.join(',');
+    index(section.title, 'title', sectionId, null, pids, null, section.pageStart || 0);
 
     for (let ri = 0; ri < section.rows.length; ri++) {
       const row = section.rows[ri];
@@ -132,57 +145,249 @@ export function insertDocument(db, filename, parsed) {
         row.beschreibung || '',
         row.statusCol1 || '',
         row.statusCol2 || '',
+        JSON.stringify(row.statusCols || [row.statusCol1 || '', row.statusCol2 || '']),
         row.bedingung || '',
         row.isLabel ? 1 : 0,
+        row.code || '',
+        row.segmentPath || '',
+        row.parentPath || '',
+        row.nodeType || '',
+        row.pageNum || null,
       ]);
+
+      const rowId = db.exec(`SELECT last_insert_rowid() as id`)[0].values[0][0];
+      const page = row.pageNum || section.pageStart || 0;
+      index(row.beschreibung, 'beschreibung', sectionId, rowId, pids, null, page);
+      index(row.bedingung, 'bedingung', sectionId, rowId, pids, null, page);
+
+      // Column projection: one logical row per Prüfidentifikator of the table
+      if (row.isLabel) continue;
+      const statusCols = row.statusCols || [row.statusCol1 || '', row.statusCol2 || ''];
+      section.pruefidentifikator.forEach((pid, i) => {
+        const status = (statusCols[i] || '').trim();
+        const { level, condition } = parseStatus(status);
+        pidRowStmt.run([docId, pid, rowId, row.segmentPath || '', status, level, condition]);
+        index(status, 'status', sectionId, rowId, pid, null, page);
+      });
     }
   }
 
   sectionStmt.free();
   rowStmt.free();
+  pidRowStmt.free();
+
+  const conditionStmt = db.prepare(`
+    INSERT INTO conditions (document_id, condition_number, text, source, page)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  for (const condition of parsed.conditions || []) {
+    conditionStmt.run([
+      docId,
+      condition.number,
+      condition.text || '',
+      condition.source || '',
+      condition.pageNum || 0,
+    ]);
+    index(condition.text, 'condition', null, null, null, condition.number, condition.pageNum || 0);
+  }
+
+  conditionStmt.free();
+  indexStmt.free();
+
+  const changelogStmt = db.prepare(`
+    INSERT INTO changelog_entries (document_id, entry_order, change_id, ort, bisher, neu, grund, status, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  (parsed.changelog || []).forEach((entry, i) => {
+    changelogStmt.run([
+      docId,
+      i,
+      entry.changeId,
+      entry.ort || '',
+      entry.bisher || '',
+      entry.neu || '',
+      entry.grund || '',
+      entry.status || '',
+      entry.pageNum || 0,
+    ]);
+  });
+
+  changelogStmt.free();
+
+  const useCaseStmt = db.prepare(`
+    INSERT INTO use_cases (document_id, entry_order, pruefidentifikator, anwendungsfall, kommunikation_von, source, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  (parsed.useCases || []).forEach((useCase, i) => {
+    useCaseStmt.run([
+      docId,
+      i,
+      useCase.pruefidentifikator,
+      useCase.anwendungsfall || '',
+      useCase.kommunikationVon || '',
+      useCase.source || 'overview',
+      useCase.pageNum || 0,
+    ]);
+  });
+
+  useCaseStmt.free();
+
+  const issueStmt = db.prepare(`
+    INSERT INTO use_case_issues (document_id, kind, pruefidentifikator, message, overview, table_value, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const issue of parsed.useCaseIssues || []) {
+    issueStmt.run([
+      docId,
+      issue.kind,
+      issue.pruefidentifikator,
+      issue.message,
+      issue.overview || '',
+      issue.table || '',
+      issue.pageNum || 0,
+    ]);
+  }
+
+  issueStmt.free();
 
   return docId;
 }
 
+/**
+ * Remove everything parsed from a document, and the stored comparisons that
+ * involve it, before it is parsed again. The documents row and its reviews stay.
+ */
+function deleteDocumentContent(db, documentId) {
+  deleteComparisons(db, 'old_document_id = ? OR new_document_id = ?', [documentId, documentId]);
+  db.run(`DELETE FROM rows WHERE section_id IN (SELECT id FROM sections WHERE document_id = ?)`, [documentId]);
+  for (const table of ['sections', 'pruefidentifikator_rows', 'conditions', 'search_index',
+    'changelog_entries', 'use_cases', 'use_case_issues']) {
+    db.run(`DELETE FROM ${table} WHERE document_id = ?`, [documentId]);
+  }
+}
+
 /**
  * Get all sections for a document.
  */
 export function getSections(db, documentId) {
   const result = db.exec(
     `SELECT id, section_order, title, pruefidentifikator, kommunikation_von,
-            status_col1_header, status_col2_header, page_start
+            status_col1_header, status_col2_header, page_start,
+            kommunikation_von_cols, status_col_headers
      FROM sections WHERE document_id = ? ORDER BY section_order`,
     [documentId]
   );
 
   if (!result.length) return [];
 
-  return result[0].values.map(row => ({
+  return result[0].values.map(sectionFromRow);
+}
+
+/**
+ * Section with its Prüfidentifikatoren as a de-duplicated array (`pids`).
+ */
+export function withPids(section) {
+  const pids = section.pruefidentifikator.split(',').map(p => p.trim()).filter(Boolean);
+  return { ...section, pids: [...new Set(pids)] };
+}
+
+/**
+ * Get one section with its document ID.
+ */
+export function getSection(db, sectionId) {
+  const result = db.exec(
+    `SELECT id, section_order, title, pruefidentifikator, kommunikation_von,
+            status_col1_header, status_col2_header, page_start,
+            kommunikation_von_cols, status_col_headers, document_id
+     FROM sections WHERE id = ?`,
+    [sectionId]
+  );
+
+  if (!result.length || !result[0].values.length) return null;
+  const row = result[0].values[0];
+  return { ...sectionFromRow(row), documentId: row[10] };
+}
+
+/**
+ * `kommunikationVon` and `statusColHeaders` hold one entry per
+ * Prüfidentifikator. Sections stored before they were kept as JSON fall back
+ * to the comma-joined text and the two header columns.
+ */
+function sectionFromRow(row) {
+  return {
     id: row[0],
     sectionOrder: row[1],
     title: row[2],
     pruefidentifikator: row[3],
-    kommunikationVon: row[4],
+    kommunikationVon: row[8] ? JSON.parse(row[8]) : (row[4] || '').split(',').map(v => v.trim()),
+    statusColHeaders: row[9] ? JSON.parse(row[9]) : [row[5], row[6]],
     statusCol1Header: row[5],
     statusCol2Header: row[6],
     pageStart: row[7],
-  }));
+  };
 }
 
 /**
  * Get all rows for a section.
+ * `statusCols` holds one status cell per Prüfidentifikator of the section,
+ * in the order of `sections.pruefidentifikator`.
+ * `segmentPath` / `parentPath` place the row in the EDIFACT tree
+ * (e.g. "SG7/STS/4405/Z08" under "SG7/STS/4405"), `nodeType` is one of
+ * group, segment, element, code, label or text. `page` is null for rows
+ * stored before page numbers were recorded. `occurrence` counts the rows
+ * before it in the section with the same segment path (see rowReviewKey).
  */
 export function getRows(db, sectionId) {
   const result = db.exec(
     `SELECT id, row_order, segment_group, segment_code, data_element,
-            beschreibung, status_col1, status_col2, bedingung, is_label
+            beschreibung, status_col1, status_col2, bedingung, is_label, status_cols,
+            code, segment_path, parent_path, node_type, page
      FROM rows WHERE section_id = ? ORDER BY row_order`,
     [sectionId]
   );
 
   if (!result.length) return [];
 
+  const seen = new Map();
+  return result[0].values.map(values => {
+    const row = rowFromValues(values);
+    const occurrence = seen.get(row.segmentPath) || 0;
+    seen.set(row.segmentPath, occurrence + 1);
+    return { ...row, occurrence };
+  });
+}
+
+/**
+ * Get the rows of a document printed on one page, with the section
+ * (`sectionId`, `pruefidentifikator`) each belongs to. Rows stored without
+ * a page number count as printed on their section's first page.
+ */
+export function getRowsOnPage(db, documentId, page) {
+  const result = db.exec(
+    `SELECT r.id, r.row_order, r.segment_group, r.segment_code, r.data_element,
+            r.beschreibung, r.status_col1, r.status_col2, r.bedingung, r.is_label, r.status_cols,
+            r.code, r.segment_path, r.parent_path, r.node_type, r.page, s.id, s.pruefidentifikator
+     FROM rows r JOIN sections s ON r.section_id = s.id
+     WHERE s.document_id = ? AND COALESCE(r.page, s.page_start) = ?
+     ORDER BY s.section_order, r.row_order`,
+    [documentId, page]
+  );
+
+  if (!result.length) return [];
+
   return result[0].values.map(row => ({
+    ...rowFromValues(row),
+    sectionId: row[16],
+    pruefidentifikator: row[17],
+  }));
+}
+
+function rowFromValues(row) {
+  return {
     id: row[0],
     rowOrder: row[1],
     segmentGroup: row[2],
@@ -193,6 +398,162 @@ export function getRows(db, sectionId) {
     statusCol2: row[7],
     bedingung: row[8],
     isLabel: row[9] === 1,
+    statusCols: row[10] ? JSON.parse(row[10]) : [row[6], row[7]],
+    code: row[11] || '',
+    segmentPath: row[12] || '',
+    parentPath: row[13] || '',
+    nodeType: row[14] || '',
+    page: row[15],
+  };
+}
+
+/**
+ * Get the Prüfidentifikatoren of a document with the section (table) holding each.
+ */
+export function getPruefidentifikatoren(db, documentId) {
+  const list = [];
+  for (const section of getSections(db, documentId)) {
+    for (const pid of section.pruefidentifikator.split(',').filter(Boolean)) {
+      list.push({
+        pruefidentifikator: pid,
+        sectionId: section.id,
+        sectionPruefidentifikator: section.pruefidentifikator,
+        title: section.title,
+      });
+    }
+  }
+  return list;
+}
+
+/**
+ * Get the rows of one Prüfidentifikator: its own status column projected out
+ * of the (possibly multi-ID) section table, in table order.
+ * `status` is the full cell, split into `level` (Muss/Soll/Kann/X) and `condition`.
+ */
+export function getRowsForPruefidentifikator(db, documentId, pruefidentifikator) {
+  const result = db.exec(
+    `SELECT r.id, r.row_order, p.segment_path, r.segment_group, r.segment_code,
+            r.data_element, r.beschreibung, p.status, p.status_level,
+            p.status_condition, r.bedingung, r.section_id
+     FROM pruefidentifikator_rows p
+     JOIN rows r ON p.row_id = r.id
+     JOIN sections s ON r.section_id = s.id
+     WHERE p.document_id = ? AND p.pruefidentifikator = ?
+     ORDER BY s.section_order, r.row_order`,
+    [documentId, String(pruefidentifikator)]
+  );
+
+  if (!result.length) return [];
+
+  return result[0].values.map(row => ({
+    rowId: row[0],
+    rowOrder: row[1],
+    segmentPath: row[2],
+    segmentGroup: row[3],
+    segmentCode: row[4],
+    dataElement: row[5],
+    beschreibung: row[6],
+    status: row[7],
+    level: row[8],
+    condition: row[9],
+    bedingung: row[10],
+    sectionId: row[11],
+  }));
+}
+
+/**
+ * Get the condition catalogue (Bedingungen / Hinweise) of a document.
+ */
+export function getConditions(db, documentId) {
+  const result = db.exec(
+    `SELECT id, condition_number, text, source, page
+     FROM conditions WHERE document_id = ?
+     ORDER BY CAST(condition_number AS INTEGER)`,
+    [documentId]
+  );
+
+  if (!result.length) return [];
+
+  return result[0].values.map(row => ({
+    id: row[0],
+    number: row[1],
+    text: row[2],
+    source: row[3],
+    page: row[4],
+  }));
+}
+
+/**
+ * Get the Änderungshistorie of a document, in document order. Empty for
+ * documents without one and for documents stored before it was extracted.
+ */
+export function getChangelog(db, documentId) {
+  const result = db.exec(
+    `SELECT id, change_id, ort, bisher, neu, grund, status, page
+     FROM changelog_entries WHERE document_id = ? ORDER BY entry_order`,
+    [documentId]
+  );
+
+  if (!result.length) return [];
+
+  return result[0].values.map(row => ({
+    id: row[0],
+    changeId: row[1],
+    ort: row[2],
+    bisher: row[3],
+    neu: row[4],
+    grund: row[5],
+    status: row[6],
+    page: row[7],
+  }));
+}
+
+/**
+ * Get the use cases of a document, in document order: the Anwendungsfall
+ * overview (`source: 'overview'`), else the chapter headings above the
+ * tables (`source: 'chapter'`). Empty for documents stored before they were
+ * read.
+ */
+export function getUseCases(db, documentId) {
+  const result = db.exec(
+    `SELECT id, pruefidentifikator, anwendungsfall, kommunikation_von, source, page
+     FROM use_cases WHERE document_id = ? ORDER BY entry_order`,
+    [documentId]
+  );
+
+  if (!result.length) return [];
+
+  return result[0].values.map(row => ({
+    id: row[0],
+    pruefidentifikator: row[1],
+    anwendungsfall: row[2],
+    kommunikationVon: row[3],
+    source: row[4] || 'overview',
+    page: row[5],
+  }));
+}
+
+/**
+ * Get the inconsistencies between the use cases of a document and its
+ * tables, in the order parsePDF() reported them.
+ */
+export function getUseCaseIssues(db, documentId) {
+  const result = db.exec(
+    `SELECT id, kind, pruefidentifikator, message, overview, table_value, page
+     FROM use_case_issues WHERE document_id = ? ORDER BY id`,
+    [documentId]
+  );
+
+  if (!result.length) return [];
+
+  return result[0].values.map(row => ({
+    id: row[0],
+    kind: row[1],
+    pruefidentifikator: row[2],
+    message: row[3],
+    overview: row[4],
+    table: row[5],
+    page: row[6],
   }));
 }
 
@@ -201,20 +562,52 @@ export function getRows(db, sectionId) {
  */
 export function getDocument(db, documentId) {
   const result = db.exec(
-    `SELECT id, version, filename, page_count, parsed_at
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type, parser_version
      FROM documents WHERE id = ?`,
     [documentId]
   );
 
   if (!result.length || !result[0].values.length) return null;
+  return documentFromRow(result[0].values[0]);
+}
 
-  const row = result[0].values[0];
+/**
+ * Find the stored document parsed from a PDF with this content hash.
+ */
+export function findDocumentByHash(db, contentHash) {
+  const result = db.exec(
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type, parser_version
+     FROM documents WHERE content_hash = ? ORDER BY id LIMIT 1`,
+    [contentHash]
+  );
+
+  if (!result.length || !result[0].values.length) return null;
+  return documentFromRow(result[0].values[0]);
+}
+
+/**
+ * List all stored documents, oldest first.
+ */
+export function listDocuments(db) {
+  const result = db.exec(
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type, parser_version
+     FROM documents ORDER BY id`
+  );
+
+  if (!result.length) return [];
+  return result[0].values.map(documentFromRow);
+}
+
+function documentFromRow(row) {
   return {
     id: row[0],
     version: row[1],
     filename: row[2],
     pageCount: row[3],
     parsedAt: row[4],
+    contentHash: row[5],
+    messageType: row[6],
+    parserVersion: row[7],
   };
 }
 
@@ -232,5 +625,551 @@ export function getDocumentStats(db, documentId) {
      WHERE s.document_id = ?`, [documentId]
   )[0].values[0][0];
 
-  return { sectionCount, rowCount };
+  const conditionCount = db.exec(
+    `SELECT COUNT(*) FROM conditions WHERE document_id = ?`, [documentId]
+  )[0].values[0][0];
+
+  return { sectionCount, rowCount, conditionCount };
+}
+
+// --- Search ---
+
+/**
+ * Fields covered by the full-text search index.
+ */
+export const SEARCH_FIELDS = ['title', 'beschreibung', 'bedingung', 'status', 'condition'];
+
+/**
+ * Full-text search across all stored documents: section titles, Beschreibung,
+ * Bedingung, status cells (one hit per Prüfidentifikator) and the condition
+ * catalogue. Case-insensitive; every term must occur.
+ *
+ * Query syntax: plain words, "quoted phrases", `word*` for a prefix and
+ * `[503]` for a condition reference (matches the bracketed number only).
+ * @param {object} db - sql.js Database instance
+ * @param {string} query
+ * @param {object} [options]
+ * @param {number[]} [options.documentIds] - Search only these documents
+ * @param {string[]} [options.fields] - Search only these SEARCH_FIELDS
+ * @returns {object[]} hits in document and page order, each with the document,
+ *   section (`sectionId`, `pruefidentifikator`, `sectionTitle`) and `page`,
+ *   the matched `text` and a `snippet` with the terms marked «…»
+ * @throws {Error} for a query without search terms
+ */
+export function searchDocuments(db, query, options = {}) {
+  const { match, references } = buildMatchExpression(query);
+  const conditions = ['search_index MATCH ?'];
+  const params = [match];
+  if (options.documentIds?.length) {
+    conditions.push(`si.document_id IN (${options.documentIds.map(() => '?').join(', ')})`);
+    params.push(...options.documentIds);
+  }
+  if (options.fields?.length) {
+    conditions.push(`si.field IN (${options.fields.map(() => '?').join(', ')})`);
+    params.push(...options.fields);
+  }
+
+  const result = db.exec(
+    `SELECT si.document_id, d.version, d.filename, si.field, si.text,
+            snippet(search_index, '«', '»', '…', 0, 16),
+            si.section_id, si.pruefidentifikator, s.title, si.page,
+            si.row_id, r.segment_path, si.condition_number
+     FROM search_index si
+     JOIN documents d ON d.id = si.document_id
+     LEFT JOIN sections s ON s.id = si.section_id
+     LEFT JOIN rows r ON r.id = si.row_id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY si.document_id, si.page, s.section_order, r.row_order, si.docid`,
+    params
+  );
+  if (!result.length) return [];
+
+  return result[0].values
+    .filter(row => references.every(ref => row[4].includes(ref)))
+    .map(row => ({
+      documentId: row[0],
+      version: row[1],
+      filename: row[2],
+      field: row[3],
+      text: row[4],
+      snippet: row[5],
+      sectionId: row[6],
+      pruefidentifikator: row[7],
+      sectionTitle: row[8],
+      page: row[9],
+      rowId: row[10],
+      segmentPath: row[11],
+      conditionNumber: row[12],
+    }));
+}
+
+/**
+ * Turn a user query into an FTS MATCH expression. Every term is quoted so
+ * FTS operators in the input are taken literally; condition references
+ * are searched by number and returned for an exact check on the hit text.
+ */
+function buildMatchExpression(query) {
+  const terms = [];
+  const references = [];
+  for (const [, phrase, word] of String(query || '').matchAll(/"([^"]*)"|(\S+)/g)) {
+    const text = (phrase ?? word).replace(/"/g, '').trim();
+    const reference = text.match(/^\[(\w+)\]$/);
+    if (reference) {
+      references.push(text);
+      terms.push(`"${reference[1]}"`);
+    } else if (word && /^[\p{L}\p{N}_]+\*$/u.test(text)) {
+      terms.push(text);
+    } else if (/[\p{L}\p{N}]/u.test(text)) {
+      terms.push(`"${text}"`);
+    }
+  }
+  if (!terms.length) throw new Error('Empty search query');
+  return { match: terms.join(' '), references };
+}
+
+// --- Stored comparisons ---
+
+/**
+ * Store a compareDocuments() result: one row per section diff, row diff and
+ * field-level change, so changes can be queried with SQL and the report
+ * rebuilt later (getComparison) without running the diff again. A stored
+ * comparison of the same pair with the same options is replaced.
+ * @param {object} db - sql.js Database instance
+ * @param {number} docId1 - "old" document ID
+ * @param {number} docId2 - "new" document ID
+ * @param {object} comparison - Output from compareDocuments()
+ * @param {object} [options] - Options the comparison ran with (e.g. fuzzyThreshold)
+ * @returns {number} comparison ID
+ */
+export function saveComparison(db, docId1, docId2, comparison, options = {}) {
+  deleteComparisons(db, 'old_document_id = ? AND new_document_id = ? AND options = ?',
+    [docId1, docId2, JSON.stringify(options)]);
+  db.run(
+    `INSERT INTO comparisons (old_document_id, new_document_id, options, summary, condition_summary)
+     VALUES (?, ?, ?, ?, ?)`,
+    [docId1, docId2, JSON.stringify(options), JSON.stringify(comparison.summary),
+      JSON.stringify(comparison.conditionSummary)]
+  );
+  const comparisonId = lastInsertId(db);
+
+  const sectionStmt = db.prepare(`
+    INSERT INTO section_diffs (comparison_id, diff_order, type, pruefidentifikator,
+      old_section_id, new_section_id, columns, regrouping, meta_changes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const rowStmt = db.prepare(`
+    INSERT INTO row_diffs (section_diff_id, diff_order, type, row_key, key_old, similarity,
+      old_row_id, new_row_id, impact, conditions)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const changeStmt = db.prepare(`
+    INSERT INTO field_changes (row_diff_id, change_order, field, pruefidentifikator,
+      old_value, new_value, status_impact, expression_outcome, detail)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const conditionStmt = db.prepare(`
+    INSERT INTO condition_diffs (comparison_id, diff_order, type, condition_number,
+      old_text, new_text, referenced_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  comparison.sectionDiffs.forEach((sd, si) => {
+    const oldSection = sd.sectionOld || (sd.type === 'removed' ? sd.section : null);
+    const newSection = sd.sectionNew || (sd.type === 'added' ? sd.section : null);
+    sectionStmt.run([
+      comparisonId, si, sd.type, sd.pruefidentifikator,
+      oldSection?.id ?? null, newSection?.id ?? null,
+      JSON.stringify(sd.columns),
+      sd.regrouping ? JSON.stringify(sd.regrouping) : null,
+      JSON.stringify(sd.metaChanges || []),
+    ]);
+    const sectionDiffId = lastInsertId(db);
+
+    (sd.rows || []).forEach((rd, ri) => {
+      // unchanged / indirect rows carry the old row, added ones the new row
+      const oldRow = rd.rowOld || (rd.type === 'added' ? null : rd.row);
+      const newRow = rd.rowNew || (rd.type === 'added' ? rd.row : null);
+      rowStmt.run([
+        sectionDiffId, ri, rd.type, rd.key ?? null, rd.keyOld ?? null, rd.similarity ?? null,
+        oldRow?.id ?? null, newRow?.id ?? null, rd.impact ?? null,
+        rd.conditions ? rd.conditions.join(',') : null,
+      ]);
+      const rowDiffId = lastInsertId(db);
+
+      (rd.changes || []).forEach((change, ci) => {
+        const { field, pruefidentifikator, old: oldValue, new: newValue, expression, status } = change;
+        changeStmt.run([
+          rowDiffId, ci, field, pruefidentifikator ?? null, oldValue ?? '', newValue ?? '',
+          status?.impact ?? null, expression?.outcome ?? null,
+          expression || status ? JSON.stringify({ expression, status }) : null,
+        ]);
+      });
+    });
+  });
+
+  comparison.conditionDiffs.forEach((cd, i) => {
+    conditionStmt.run([comparisonId, i, cd.type, cd.number, cd.old, cd.new, JSON.stringify(cd.references)]);
+  });
+
+  sectionStmt.free();
+  rowStmt.free();
+  changeStmt.free();
+  conditionStmt.free();
+
+  return comparisonId;
+}
+
+/**
+ * Remove the stored comparisons matching `where` (on the comparisons table)
+ * with their section, row, field and condition diffs.
+ */
+function deleteComparisons(db, where, params) {
+  const ids = `SELECT id FROM comparisons WHERE ${where}`;
+  const sectionDiffs = `SELECT id FROM section_diffs WHERE comparison_id IN (${ids})`;
+  const rowDiffs = `SELECT id FROM row_diffs WHERE section_diff_id IN (${sectionDiffs})`;
+  db.run(`DELETE FROM field_changes WHERE row_diff_id IN (${rowDiffs})`, params);
+  db.run(`DELETE FROM row_diffs WHERE section_diff_id IN (${sectionDiffs})`, params);
+  db.run(`DELETE FROM section_diffs WHERE comparison_id IN (${ids})`, params);
+  db.run(`DELETE FROM condition_diffs WHERE comparison_id IN (${ids})`, params);
+  db.run(`DELETE FROM comparisons WHERE ${where}`, params);
+}
+
+/**
+ * Rebuild a stored comparison in the shape compareDocuments() returns.
+ * @returns {object|null} ComparisonResult plus `id`, `oldDocumentId`,
+ *   `newDocumentId`, `options` and `createdAt`; null for an unknown ID
+ */
+export function getComparison(db, comparisonId) {
+  const result = db.exec(
+    `SELECT id, old_document_id, new_document_id, options, summary, condition_summary, created_at
+     FROM comparisons WHERE id = ?`,
+    [comparisonId]
+  );
+  if (!result.length || !result[0].values.length) return null;
+  const [id, oldDocumentId, newDocumentId, options, summary, conditionSummary, createdAt] = result[0].values[0];
+
+  const sections = new Map(
+    [...getSections(db, oldDocumentId), ...getSections(db, newDocumentId)].map(s => [s.id, withPids(s)])
+  );
+  const rowCache = new Map();
+  const rowsById = sectionId => {
+    if (!rowCache.has(sectionId)) {
+      rowCache.set(sectionId, new Map(getRows(db, sectionId).map(r => [r.id, r])));
+    }
+    return rowCache.get(sectionId);
+  };
+
+  const changesByRowDiff = new Map();
+  const changeResult = db.exec(
+    `SELECT fc.row_diff_id, fc.field, fc.pruefidentifikator, fc.old_value, fc.new_value, fc.detail
+     FROM field_changes fc
+     JOIN row_diffs rd ON fc.row_diff_id = rd.id
+     JOIN section_diffs sd ON rd.section_diff_id = sd.id
+     WHERE sd.comparison_id = ?
+     ORDER BY fc.row_diff_id, fc.change_order`,
+    [id]
+  );
+  for (const [rowDiffId, field, pruefidentifikator, oldValue, newValue, detail] of changeResult[0]?.values || []) {
+    const change = { field, old: oldValue, new: newValue };
+    if (pruefidentifikator !== null) change.pruefidentifikator = pruefidentifikator;
+    const { expression, status } = detail ? JSON.parse(detail) : {};
+    if (expression) change.expression = expression;
+    if (status) change.status = status;
+    if (!changesByRowDiff.has(rowDiffId)) changesByRowDiff.set(rowDiffId, []);
+    changesByRowDiff.get(rowDiffId).push(change);
+  }
+
+  const rowDiffsBySection = new Map();
+  const rowResult = db.exec(
+    `SELECT rd.id, rd.section_diff_id, rd.type, rd.row_key, rd.key_old, rd.similarity,
+            rd.old_row_id, rd.new_row_id, rd.impact, rd.conditions, sd.old_section_id, sd.new_section_id
+     FROM row_diffs rd JOIN section_diffs sd ON rd.section_diff_id = sd.id
+     WHERE sd.comparison_id = ?
+     ORDER BY rd.section_diff_id, rd.diff_order`,
+    [id]
+  );
+  for (const [rowDiffId, sectionDiffId, type, key, keyOld, similarity, oldRowId, newRowId, impact, conditions,
+    oldSectionId, newSectionId] of rowResult[0]?.values || []) {
+    const oldRow = oldRowId !== null ? rowsById(oldSectionId).get(oldRowId) : null;
+    const newRow = newRowId !== null ? rowsById(newSectionId).get(newRowId) : null;
+    let rd;
+    if (type === 'modified' || type === 'moved') {
+      rd = { type, key, rowOld: oldRow, rowNew: newRow, changes: changesByRowDiff.get(rowDiffId) || [], impact };
+      if (keyOld !== null) Object.assign(rd, { keyChanged: true, keyOld, similarity });
+    } else {
+      rd = { type, key, row: oldRow || newRow };
+      if (conditions) rd.conditions = conditions.split(',');
+    }
+    if (!rowDiffsBySection.has(sectionDiffId)) rowDiffsBySection.set(sectionDiffId, []);
+    rowDiffsBySection.get(sectionDiffId).push(rd);
+  }
+
+  const sectionResult = db.exec(
+    `SELECT id, type, pruefidentifikator, old_section_id, new_section_id, columns, regrouping, meta_changes
+     FROM section_diffs WHERE comparison_id = ? ORDER BY diff_order`,
+    [id]
+  );
+  const sectionDiffs = (sectionResult[0]?.values || []).map(
+    ([sectionDiffId, type, pruefidentifikator, oldSectionId, newSectionId, columns, regrouping, metaChanges]) => {
+      const sd = { type, pruefidentifikator, columns: JSON.parse(columns) };
+      if (type === 'added' || type === 'removed') {
+        sd.section = sections.get(type === 'added' ? newSectionId : oldSectionId);
+      } else {
+        sd.sectionOld = sections.get(oldSectionId);
+        sd.sectionNew = sections.get(newSectionId);
+        sd.metaChanges = JSON.parse(metaChanges);
+      }
+      sd.rows = rowDiffsBySection.get(sectionDiffId) || [];
+      if (regrouping) sd.regrouping = JSON.parse(regrouping);
+      return sd;
+    }
+  );
+
+  const conditionResult = db.exec(
+    `SELECT type, condition_number, old_text, new_text, referenced_by
+     FROM condition_diffs WHERE comparison_id = ? ORDER BY diff_order`,
+    [id]
+  );
+  const conditionDiffs = (conditionResult[0]?.values || []).map(([type, number, oldText, newText, references]) => ({
+    type, number, old: oldText, new: newText, references: JSON.parse(references),
+  }));
+
+  return {
+    id,
+    oldDocumentId,
+    newDocumentId,
+    options: JSON.parse(options),
+    createdAt,
+    summary: JSON.parse(summary),
+    conditionSummary: JSON.parse(conditionSummary),
+    sectionDiffs,
+    conditionDiffs,
+  };
+}
+
+/**
+ * List stored comparisons, oldest first.
+ */
+export function listComparisons(db) {
+  const result = db.exec(
+    `SELECT id, old_document_id, new_document_id, summary, created_at
+     FROM comparisons ORDER BY id`
+  );
+  if (!result.length) return [];
+  return result[0].values.map(row => ({
+    id: row[0],
+    oldDocumentId: row[1],
+    newDocumentId: row[2],
+    summary: JSON.parse(row[3]),
+    createdAt: row[4],
+  }));
+}
+
+/**
+ * Store the review state of one section or row diff for a document pair.
+ * Fields not given keep their stored value (or the default for a new review).
+ * @param {object} db - sql.js Database instance
+ * @param {object} review
+ * @param {number} review.oldDocumentId
+ * @param {number} review.newDocumentId
+ * @param {string} review.targetType - 'section' or 'row'
+ * @param {string} review.targetKey - sectionReviewKey() / rowReviewKey()
+ * @param {string} [review.status] - One of REVIEW_STATUSES
+ * @param {string} [review.assignee]
+ * @param {string} [review.comment]
+ * @returns {object} the stored review
+ * @throws {Error} for an unknown target type or status
+ */
+export function setReview(db, { oldDocumentId, newDocumentId, targetType, targetKey, status, assignee, comment }) {
+  if (!REVIEW_TARGETS.includes(targetType)) throw new Error(`Unknown review target "${targetType}"`);
+  if (status !== undefined && !REVIEW_STATUSES.includes(status)) {
+    throw new Error(`Unknown review status "${status}" (expected ${REVIEW_STATUSES.join(', ')})`);
+  }
+  db.run(
+    `INSERT INTO reviews (old_document_id, new_document_id, target_type, target_key, status, assignee, comment)
+     VALUES (?, ?, ?, ?, COALESCE(?, ?), ?, ?)
+     ON CONFLICT (old_document_id, new_document_id, target_type, target_key) DO UPDATE SET
+       -- excluded.status holds the default for a new review: test the given status
+       status = COALESCE(?, reviews.status),
+       assignee = CASE WHEN ? THEN excluded.assignee ELSE assignee END,
+       comment = CASE WHEN ? THEN excluded.comment ELSE comment END,
+       updated_at = datetime('now')`,
+    [oldDocumentId, newDocumentId, targetType, targetKey, status ?? null, REVIEW_STATUSES[0],
+      assignee || null, comment || null, status ?? null, assignee !== undefined ? 1 : 0, comment !== undefined ? 1 : 0]
+  );
+  return getReviews(db, oldDocumentId, newDocumentId).get(reviewMapKey(targetType, targetKey));
+}
+
+/**
+ * Review state of all changes between two documents.
+ * @returns {Map<string, object>} keyed by reviewMapKey(targetType, targetKey)
+ */
+export function getReviews(db, oldDocumentId, newDocumentId) {
+  const result = db.exec(
+    `SELECT target_type, target_key, status, assignee, comment, updated_at
+     FROM reviews WHERE old_document_id = ? AND new_document_id = ?`,
+    [oldDocumentId, newDocumentId]
+  );
+  const reviews = new Map();
+  for (const [targetType, targetKey, status, assignee, comment, updatedAt] of result[0]?.values || []) {
+    reviews.set(reviewMapKey(targetType, targetKey), {
+      targetType, targetKey, status, assignee, comment, updatedAt,
+    });
+  }
+  return reviews;
+}
+
+// --- MIG documents ---
+
+/**
+ * Insert a parsed MIG into the database. A MIG whose content hash is already
+ * stored is not inserted again.
+ * @param {object} db - sql.js Database instance
+ * @param {string} filename - Source PDF filename
+ * @param {object} parsed - Output from parseMIG()
+ * @param {string} [contentHash] - SHA-256 of the PDF file
+ * @returns {number} MIG document ID (of the stored copy for a known hash)
+ */
+export function insertMIG(db, filename, parsed, contentHash = null) {
+  if (contentHash) {
+    const existing = findMIGByHash(db, contentHash);
+    if (existing) return existing.id;
+  }
+
+  db.run(
+    `INSERT INTO mig_documents (version, message_type, filename, page_count, content_hash) VALUES (?, ?, ?, ?, ?)`,
+    [parsed.version, parsed.messageType ?? null, filename, parsed.pageCount, contentHash]
+  );
+  const docId = lastInsertId(db);
+
+  const segmentStmt = db.prepare(`
+    INSERT INTO mig_segments (document_id, position, counter, number, code, kind, segment_group, path,
+      level, name, standard_status, standard_max_repetition, bdew_status, bdew_max_repetition, page)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  const elementStmt = db.prepare(`
+    INSERT INTO mig_elements (segment_id, position, element_id, name, standard_status, standard_format,
+      bdew_status, bdew_format, note, page, codes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  for (const segment of parsed.segments) {
+    segmentStmt.run([
+      docId, segment.position, segment.counter || '', segment.number || '', segment.code, segment.kind,
+      segment.segmentGroup || '', segment.path || '', segment.level ?? null, segment.name || '',
+      segment.standard.status || '', segment.standard.maxRepetition ?? null,
+      segment.bdew.status || '', segment.bdew.maxRepetition ?? null, segment.pageNum || null,
+    ]);
+    const segmentId = lastInsertId(db);
+    for (const element of segment.elements) {
+      elementStmt.run([
+        segmentId, element.position, element.elementId, element.name || '',
+        element.standard.status || '', element.standard.format || '',
+        element.bdew.status || '', element.bdew.format || '', element.note || '', element.pageNum || null,
+        JSON.stringify(element.codes || []),
+      ]);
+    }
+  }
+
+  segmentStmt.free();
+  elementStmt.free();
+  return docId;
+}
+
+/**
+ * Get MIG document metadata.
+ */
+export function getMIGDocument(db, documentId) {
+  const result = db.exec(
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type
+     FROM mig_documents WHERE id = ?`,
+    [documentId]
+  );
+
+  if (!result.length || !result[0].values.length) return null;
+  return documentFromRow(result[0].values[0]);
+}
+
+/**
+ * Find the stored MIG parsed from a PDF with this content hash.
+ */
+export function findMIGByHash(db, contentHash) {
+  const result = db.exec(
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type
+     FROM mig_documents WHERE content_hash = ? ORDER BY id LIMIT 1`,
+    [contentHash]
+  );
+
+  if (!result.length || !result[0].values.length) return null;
+  return documentFromRow(result[0].values[0]);
+}
+
+/**
+ * List all stored MIGs, oldest first.
+ */
+export function listMIGDocuments(db) {
+  const result = db.exec(
+    `SELECT id, version, filename, page_count, parsed_at, content_hash, message_type
+     FROM mig_documents ORDER BY id`
+  );
+
+  if (!result.length) return [];
+  return result[0].values.map(documentFromRow);
+}
+
+/**
+ * Segment groups and segments of a MIG in structure order, each with its
+ * data elements (in the parseMIG() shape).
+ */
+export function getMIGSegments(db, documentId) {
+  const segments = (db.exec(
+    `SELECT id, position, counter, number, code, kind, segment_group, path, level, name,
+       standard_status, standard_max_repetition, bdew_status, bdew_max_repetition, page
+     FROM mig_segments WHERE document_id = ? ORDER BY position`,
+    [documentId]
+  )[0]?.values || []).map(r => ({
+    id: r[0], position: r[1], counter: r[2], number: r[3], code: r[4], kind: r[5],
+    segmentGroup: r[6], path: r[7], level: r[8], name: r[9],
+    standard: { status: r[10], maxRepetition: r[11] },
+    bdew: { status: r[12], maxRepetition: r[13] },
+    pageNum: r[14],
+    elements: [],
+  }));
+
+  const byId = new Map(segments.map(s => [s.id, s]));
+  const elements = db.exec(
+    `SELECT e.segment_id, e.id, e.position, e.element_id, e.name, e.standard_status, e.standard_format,
+       e.bdew_status, e.bdew_format, e.note, e.page, e.codes
+     FROM mig_elements e JOIN mig_segments s ON e.segment_id = s.id
+     WHERE s.document_id = ? ORDER BY e.segment_id, e.position`,
+    [documentId]
+  )[0]?.values || [];
+  for (const r of elements) {
+    byId.get(r[0]).elements.push({
+      id: r[1], position: r[2], elementId: r[3], name: r[4],
+      standard: { status: r[5], format: r[6] },
+      bdew: { status: r[7], format: r[8] },
+      note: r[9], pageNum: r[10],
+      codes: r[11] ? JSON.parse(r[11]) : [],
+    });
+  }
+  return segments;
+}
+
+/**
+ * Get segment and data element counts of a MIG.
+ */
+export function getMIGStats(db, documentId) {
+  const [segmentCount, groupCount] = db.exec(
+    `SELECT SUM(kind = 'segment'), SUM(kind = 'group') FROM mig_segments WHERE document_id = ?`, [documentId]
+  )[0].values[0];
+  const elementCount = db.exec(
+    `SELECT COUNT(*) FROM mig_elements e JOIN mig_segments s ON e.segment_id = s.id
+     WHERE s.document_id = ?`, [documentId]
+  )[0].values[0][0];
+  return { segmentCount: segmentCount || 0, groupCount: groupCount || 0, elementCount };
+}
+
+function lastInsertId(db) {
+  return db.exec(`SELECT last_insert_rowid() as id`)[0].values[0][0];
 }
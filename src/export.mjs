@@ -0,0 +1,580 @@
+import { sectionReviewKey, rowReviewKey, reviewMapKey } from './review.mjs';
+import { buildXLSX } from './xlsx.mjs';
+import { documentLabel } from './profiles.mjs';
+
+// --- JSON export ---
+//
+// A stable, versioned shape of a compareDocuments() result for other tools
+// (ticketing, mapping generators). The internal result holds database rows
+// and positional status columns; the export names everything explicitly and
+// keys status cells by Prüfidentifikator. See docs/json-export.md.
+//
+// The spreadsheet exports (XLSX, CSV) are flattened from the JSON export:
+// one table per Prüfidentifikator with old / new value columns.
+//
+// A single parsed AHB (parsePDF() output, no diff) is exported the same way
+// by the `extract` command: JSON, CSV or Markdown tables.
+
+/**
+ * Version of the export formats (diff and extract). Raised on incompatible
+ * changes only; new fields may be added without raising it.
+ */
+export const EXPORT_SCHEMA_VERSION = 1;
+
+const ROW_TYPES = ['modified', 'added', 'removed', 'moved', 'indirect', 'unchanged'];
+
+/**
+ * Build the JSON export of a comparison.
+ * @param {object} comparison - Output from compareDocuments() or getComparison()
+ * @param {object} doc1 - Old document metadata (getDocument())
+ * @param {object} doc2 - New document metadata
+ * @param {object} stats1 - Old document stats (getDocumentStats())
+ * @param {object} stats2 - New document stats
+ * @param {object} [options]
+ * @param {Map} [options.reviews] - getReviews() of the document pair; adds `review` to reviewed changes
+ * @param {number} [options.comparisonId] - ID of the stored comparison
+ * @param {object} [options.changelog] - reconcileChangelog() result of the comparison
+ * @param {{old: object[], new: object[]}} [options.useCaseIssues] - getUseCaseIssues() of both documents
+ * @returns {object} plain object, ready for JSON.stringify()
+ */
+export function buildJSONExport(comparison, doc1, doc2, stats1, stats2, options = {}) {
+  const reviews = options.reviews || new Map();
+  const reviewOf = (type, key) => {
+    const stored = reviews.get(reviewMapKey(type, key));
+    return stored ? { status: stored.status, assignee: stored.assignee, comment: stored.comment, updatedAt: stored.updatedAt } : null;
+  };
+
+  const rowCounts = Object.fromEntries(ROW_TYPES.map(type => [type, 0]));
+  const sections = comparison.sectionDiffs.map(sd => {
+    const oldSection = sd.sectionOld || (sd.type === 'removed' ? sd.section : null);
+    const newSection = sd.sectionNew || (sd.type === 'added' ? sd.section : null);
+    const reviewKey = sectionReviewKey(sd);
+
+    const rows = (sd.rows || []).map(rd => {
+      rowCounts[rd.type]++;
+      const oldRow = rd.rowOld || (rd.type === 'added' ? null : rd.row);
+      const newRow = rd.rowNew || (rd.type === 'added' ? rd.row : null);
+      const rowKey = rowReviewKey(sd, rd);
+      return {
+        type: rd.type,
+        key: rd.key ?? null,
+        keyOld: rd.keyOld ?? null,
+        similarity: rd.similarity ?? null,
+        impact: rd.impact ?? null,
+        old: exportRow(oldRow, sd.columns, 'oldIndex'),
+        new: exportRow(newRow, sd.columns, 'newIndex'),
+        changes: (rd.changes || []).map(exportChange),
+        conditions: rd.conditions || [],
+        reviewKey: rowKey,
+        review: reviewOf('row', rowKey),
+      };
+    });
+
+    return {
+      type: sd.type,
+      pruefidentifikatoren: sd.columns.map(c => c.pruefidentifikator),
+      old: exportSection(oldSection),
+      new: exportSection(newSection),
+      regrouping: sd.regrouping || null,
+      metaChanges: (sd.metaChanges || []).map(mc => ({
+        field: mc.field,
+        pruefidentifikator: mc.pruefidentifikator ?? null,
+        old: mc.old,
+        new: mc.new,
+      })),
+      rows,
+      reviewKey,
+      review: reviewOf('section', reviewKey),
+    };
+  });
+
+  return {
+    schema: 'pdfcompare-diff',
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    comparisonId: options.comparisonId ?? comparison.id ?? null,
+    documents: {
+      old: exportDocument(doc1, stats1),
+      new: exportDocument(doc2, stats2),
+    },
+    summary: {
+      sections: { ...comparison.summary },
+      rows: rowCounts,
+      conditions: comparison.conditionSummary ? { ...comparison.conditionSummary } : null,
+    },
+    sections,
+    conditions: (comparison.conditionDiffs || []).map(cd => ({
+      type: cd.type,
+      number: cd.number,
+      old: cd.old,
+      new: cd.new,
+      references: cd.references,
+    })),
+    changelog: options.changelog
+      ? {
+        summary: { ...options.changelog.summary },
+        entries: options.changelog.entries.map(entry => ({
+          ...exportChangelogEntry(entry),
+          found: entry.found,
+          matches: entry.matches,
+        })),
+        undocumented: options.changelog.undocumented,
+      }
+      : null,
+    useCaseIssues: {
+      old: (options.useCaseIssues?.old || []).map(exportUseCaseIssue),
+      new: (options.useCaseIssues?.new || []).map(exportUseCaseIssue),
+    },
+  };
+}
+
+function exportDocument(doc, stats) {
+  return {
+    id: doc.id,
+    version: doc.version,
+    messageType: doc.messageType ?? null,
+    filename: doc.filename,
+    pageCount: doc.pageCount,
+    contentHash: doc.contentHash ?? null,
+    parsedAt: doc.parsedAt ?? null,
+    sectionCount: stats.sectionCount,
+    rowCount: stats.rowCount,
+    conditionCount: stats.conditionCount ?? 0,
+  };
+}
+
+function exportSection(section) {
+  if (!section) return null;
+  const pids = section.pruefidentifikator.split(',').map(p => p.trim()).filter(Boolean);
+  const byPid = values => Object.fromEntries(pids.map((pid, i) => [pid, values[i] || '']));
+  return {
+    id: section.id,
+    title: section.title,
+    pruefidentifikatoren: pids,
+    kommunikationVon: byPid(section.kommunikationVon),
+    statusColHeaders: byPid(section.statusColHeaders),
+    page: section.pageStart,
+  };
+}
+
+/**
+ * A row with its status cells keyed by Prüfidentifikator. `indexField` picks
+ * the row's side of the section diff columns (oldIndex / newIndex).
+ */
+function exportRow(row, columns, indexField) {
+  if (!row) return null;
+  const status = {};
+  for (const column of columns) {
+    if (column[indexField] !== null) status[column.pruefidentifikator] = row.statusCols[column[indexField]] || '';
+  }
+  return {
+    id: row.id,
+    page: row.page ?? null,
+    path: row.segmentPath,
+    nodeType: row.nodeType,
+    segmentGroup: row.segmentGroup,
+    segmentCode: row.segmentCode,
+    dataElement: row.dataElement,
+    code: row.code,
+    beschreibung: row.beschreibung,
+    status,
+    bedingung: row.bedingung,
+    isLabel: row.isLabel,
+  };
+}
+
+function exportChangelogEntry(entry) {
+  return {
+    changeId: entry.changeId,
+    ort: entry.ort,
+    bisher: entry.bisher,
+    neu: entry.neu,
+    grund: entry.grund,
+    status: entry.status,
+    page: entry.pageNum ?? entry.page ?? null,
+  };
+}
+
+function exportUseCaseIssue(issue) {
+  return {
+    kind: issue.kind,
+    pruefidentifikator: issue.pruefidentifikator,
+    overview: issue.overview,
+    table: issue.table,
+    message: issue.message,
+    page: issue.pageNum ?? issue.page ?? null,
+  };
+}
+
+function exportChange(change) {
+  return {
+    field: change.field,
+    pruefidentifikator: change.pruefidentifikator ?? null,
+    old: change.old,
+    new: change.new,
+    statusImpact: change.status?.impact ?? null,
+    levelOld: change.status?.levelOld ?? null,
+    levelNew: change.status?.levelNew ?? null,
+    expression: change.expression
+      ? { outcome: change.expression.outcome, operator: change.expression.operator ?? null, added: change.expression.added, removed: change.expression.removed }
+      : null,
+  };
+}
+
+// --- Spreadsheet export (XLSX / CSV) ---
+
+const BADGE_COLORS = {
+  green: { color: '22863A', fill: 'DCFFE4' },
+  red: { color: 'CB2431', fill: 'FFEEF0' },
+  yellow: { color: 'B08800', fill: 'FFF8C5' },
+  blue: { color: '0366D6', fill: 'E8F1FB' },
+  purple: { color: '6F42C1', fill: 'F5F0FF' },
+  gray: { color: '586069', fill: 'F6F8FA' },
+};
+
+/** Cell styles matching the HTML badges. */
+const XLSX_STYLES = {
+  title: { bold: true },
+  header: { bold: true, fill: 'E1E4E8' },
+  changed: { fill: BADGE_COLORS.yellow.fill },
+  added: BADGE_COLORS.green,
+  removed: BADGE_COLORS.red,
+  modified: BADGE_COLORS.yellow,
+  unchanged: BADGE_COLORS.gray,
+  indirect: BADGE_COLORS.blue,
+  moved: BADGE_COLORS.purple,
+  split: BADGE_COLORS.blue,
+  merged: BADGE_COLORS.blue,
+  regrouped: BADGE_COLORS.blue,
+};
+
+const IMPACT_STYLES = {
+  tightened: 'removed',
+  relaxed: 'added',
+  introduced: 'modified',
+  dropped: 'modified',
+  'level-changed': 'modified',
+  'condition-changed': 'indirect',
+  cosmetic: 'unchanged',
+};
+
+const ROW_COLUMNS = [
+  ['Change', 11], ['Path', 24], ['Old path', 24],
+  ['Beschreibung (old)', 40], ['Beschreibung (new)', 40],
+  ['Status (old)', 18], ['Status (new)', 18],
+  ['Bedingung (old)', 40], ['Bedingung (new)', 40],
+  ['Changed fields', 20], ['Status impact', 16],
+  ['Page (old)', 9], ['Page (new)', 9],
+  ['Review', 14], ['Assignee', 14], ['Comment', 30],
+];
+
+/**
+ * Rows of a section diff as seen by one of its Prüfidentifikatoren: status
+ * cells of that ID only, and a row whose only changes are status cells of
+ * other IDs counts as unchanged.
+ * @returns {Array<{type: string, cells: Array}>} cells as in ROW_COLUMNS, with styles
+ */
+function pruefidentifikatorRows(section, pid) {
+  return section.rows.map(rd => {
+    const changes = rd.changes.filter(c => c.field !== 'status' || c.pruefidentifikator === pid);
+    const type = rd.type === 'modified' && !changes.length && rd.keyOld === null ? 'unchanged' : rd.type;
+    const oldRow = rd.old;
+    const newRow = rd.new || (rd.type === 'unchanged' || rd.type === 'indirect' ? rd.old : null);
+    const changed = new Set(changes.map(c => c.field));
+    const newCell = (field, value) => ({ value, style: changed.has(field) ? 'changed' : null });
+    const statusChange = changes.find(c => c.field === 'status');
+
+    return {
+      type,
+      cells: [
+        { value: type, style: type },
+        newRow ? newRow.path : oldRow.path,
+        rd.keyOld !== null ? oldRow?.path ?? '' : '',
+        oldRow?.beschreibung ?? '',
+        newCell('beschreibung', newRow?.beschreibung ?? ''),
+        oldRow?.status[pid] ?? '',
+        newCell('status', newRow?.status[pid] ?? ''),
+        oldRow?.bedingung ?? '',
+        newCell('bedingung', newRow?.bedingung ?? ''),
+        [...changed].join(', '),
+        statusChange?.statusImpact
+          ? { value: statusChange.statusImpact, style: IMPACT_STYLES[statusChange.statusImpact] }
+          : '',
+        oldRow?.page ?? '',
+        newRow?.page ?? '',
+        rd.review?.status ?? '',
+        rd.review?.assignee ?? '',
+        rd.review?.comment ?? '',
+      ],
+    };
+  });
+}
+
+/**
+ * Every Prüfidentifikator of the export with its section diff, its rows and
+ * whether anything changed for it.
+ */
+function pruefidentifikatorTables(exported) {
+  return exported.sections.flatMap(section => section.pruefidentifikatoren.map(pid => {
+    const rows = pruefidentifikatorRows(section, pid);
+    const changed = section.type !== 'unchanged' && (
+      section.type === 'added' || section.type === 'removed' || section.regrouping !== null
+      || section.metaChanges.some(mc => mc.pruefidentifikator === null || mc.pruefidentifikator === pid)
+      || rows.some(row => row.type !== 'unchanged'));
+    return { pid, section, rows, changed };
+  })).sort((a, b) => a.pid.localeCompare(b.pid));
+}
+
+const countRows = (rows, type) => rows.filter(row => row.type === type).length;
+
+/**
+ * Build the XLSX workbook of a JSON export: an overview sheet, one sheet per
+ * changed Prüfidentifikator and a sheet of changed conditions.
+ * @param {object} exported - buildJSONExport() result
+ * @returns {Buffer}
+ */
+export function buildXLSXExport(exported) {
+  const { documents, summary } = exported;
+  const tables = pruefidentifikatorTables(exported);
+  const header = labels => labels.map(label => ({ value: label, style: 'header' }));
+  const count = (value, style) => ({ value, style: value ? style : null });
+
+  const overview = [
+    [{ value: `${documentLabel([documents.old, documents.new])} Comparison`, style: 'title' }],
+    ['Old version', documents.old.version, documents.old.filename],
+    ['New version', documents.new.version, documents.new.filename],
+    [],
+    header(['Changes', 'Modified', 'Added', 'Removed', 'Moved', 'Indirect', 'Unchanged']),
+    ['Sections', count(summary.sections.modified, 'modified'), count(summary.sections.added, 'added'),
+      count(summary.sections.removed, 'removed'), '', '', summary.sections.unchanged],
+    ['Rows', count(summary.rows.modified, 'modified'), count(summary.rows.added, 'added'),
+      count(summary.rows.removed, 'removed'), count(summary.rows.moved, 'moved'),
+      count(summary.rows.indirect, 'indirect'), summary.rows.unchanged],
+  ];
+  if (summary.conditions) {
+    overview.push(['Conditions', count(summary.conditions.modified, 'modified'), count(summary.conditions.added, 'added'),
+      count(summary.conditions.removed, 'removed'), '', '', summary.conditions.unchanged]);
+  }
+  overview.push([]);
+  const filterRow = overview.length;
+  overview.push(header(['Prüfidentifikator', 'Title', 'Section change', 'Modified', 'Added', 'Removed', 'Moved', 'Indirect', 'Sheet']));
+  for (const { pid, section, rows, changed } of tables) {
+    const title = (section.new || section.old).title;
+    overview.push([
+      pid, title, { value: section.type, style: section.type },
+      count(countRows(rows, 'modified'), 'modified'), count(countRows(rows, 'added'), 'added'),
+      count(countRows(rows, 'removed'), 'removed'), count(countRows(rows, 'moved'), 'moved'),
+      count(countRows(rows, 'indirect'), 'indirect'),
+      changed ? pid : '',
+    ]);
+  }
+
+  const sheets = [{ name: 'Overview', rows: overview, widths: [18, 50, 15, 10, 10, 10, 10, 10, 10], filterRow }];
+
+  for (const { pid, section, rows, changed } of tables) {
+    if (!changed) continue;
+    const title = (section.new || section.old).title;
+    const intro = [
+      [{ value: `Prüfidentifikator ${pid}`, style: 'title' }, title],
+      ['Section change', { value: section.type, style: section.type }],
+      ...section.metaChanges
+        .filter(mc => mc.pruefidentifikator === null || mc.pruefidentifikator === pid)
+        .map(mc => [mc.field, mc.old, mc.new]),
+      [],
+    ];
+    sheets.push({
+      name: pid,
+      rows: [...intro, header(ROW_COLUMNS.map(([label]) => label)), ...rows.map(row => row.cells)],
+      widths: ROW_COLUMNS.map(([, width]) => width),
+      filterRow: intro.length,
+    });
+  }
+
+  const conditions = exported.conditions.filter(cd => cd.type !== 'unchanged');
+  if (conditions.length) {
+    sheets.push({
+      name: 'Conditions',
+      rows: [
+        header(['Nr.', 'Change', 'Old text', 'New text', 'Referenced by']),
+        ...conditions.map(cd => [
+          `[${cd.number}]`, { value: cd.type, style: cd.type }, cd.old ?? '', cd.new ?? '',
+          cd.references.map(ref => `${ref.pruefidentifikator} (${ref.rowCount})`).join(', '),
+        ]),
+      ],
+      widths: [8, 11, 60, 60, 30],
+      filterRow: 0,
+    });
+  }
+
+  return buildXLSX(sheets, XLSX_STYLES);
+}
+
+/**
+ * Build a flat CSV of a JSON export: one line per row and changed
+ * Prüfidentifikator, with the columns of the XLSX sheets. Semicolon-separated
+ * with a byte order mark, as spreadsheet programs in German locales expect.
+ * @param {object} exported - buildJSONExport() result
+ * @returns {string}
+ */
+export function buildCSVExport(exported) {
+  const lines = [['Prüfidentifikator', 'Title', 'Section change', ...ROW_COLUMNS.map(([label]) => label)]];
+  for (const { pid, section, rows, changed } of pruefidentifikatorTables(exported)) {
+    if (!changed) continue;
+    const title = (section.new || section.old).title;
+    for (const row of rows) {
+      lines.push([pid, title, section.type, ...row.cells.map(cell => cell !== null && typeof cell === 'object' ? cell.value : cell)]);
+    }
+  }
+  return csvDocument(lines);
+}
+
+function csvDocument(lines) {
+  return '\uFEFF' + lines.map(line => line.map(csvField).join(';')).join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  const s = String(value ?? '');
+  return /[";\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// --- Extract: a single parsed AHB ---
+
+/**
+ * Build the JSON export of a parsed AHB.
+ * @param {object} parsed - parsePDF() output
+ * @param {object} [source]
+ * @param {string} [source.filename] - PDF file name
+ * @param {string} [source.contentHash] - SHA-256 of the PDF
+ * @returns {object} plain object, ready for JSON.stringify()
+ */
+export function buildExtractExport(parsed, source = {}) {
+  return {
+    schema: 'pdfcompare-ahb',
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    document: {
+      version: parsed.version,
+      messageType: parsed.messageType ?? null,
+      filename: source.filename ?? null,
+      pageCount: parsed.pageCount,
+      contentHash: source.contentHash ?? null,
+    },
+    sections: parsed.sections.map(section => ({
+      title: section.title,
+      pruefidentifikatoren: section.pruefidentifikator,
+      kommunikationVon: Object.fromEntries(
+        section.pruefidentifikator.map((pid, i) => [pid, section.kommunikationVon[i] || ''])
+      ),
+      page: section.pageStart,
+      rows: section.rows.map(row => ({
+        page: row.pageNum ?? null,
+        path: row.segmentPath,
+        parentPath: row.parentPath,
+        nodeType: row.nodeType,
+        segmentGroup: row.segmentGroup,
+        segmentCode: row.segmentCode,
+        dataElement: row.dataElement,
+        code: row.code,
+        beschreibung: row.beschreibung,
+        status: Object.fromEntries(section.pruefidentifikator.map((pid, i) => [pid, row.statusCols[i] || ''])),
+        bedingung: row.bedingung,
+        isLabel: Boolean(row.isLabel),
+      })),
+    })),
+    conditions: parsed.conditions.map(c => ({
+      number: c.number,
+      text: c.text,
+      source: c.source,
+      page: c.pageNum ?? null,
+    })),
+    useCases: (parsed.useCases || []).map(u => ({
+      pruefidentifikator: u.pruefidentifikator,
+      anwendungsfall: u.anwendungsfall,
+      kommunikationVon: u.kommunikationVon,
+      source: u.source,
+      page: u.pageNum ?? null,
+    })),
+    useCaseIssues: (parsed.useCaseIssues || []).map(exportUseCaseIssue),
+    changelog: (parsed.changelog || []).map(exportChangelogEntry),
+  };
+}
+
+/**
+ * Flat CSV of an extract export: one line per row and Prüfidentifikator,
+ * with that ID's status cell. Separated like buildCSVExport().
+ * @param {object} extracted - buildExtractExport() result
+ * @returns {string}
+ */
+export function buildExtractCSV(extracted) {
+  const lines = [[
+    'Prüfidentifikator', 'Title', 'Kommunikation von', 'Page', 'Path', 'Node type',
+    'Segment group', 'Segment', 'Data element', 'Code', 'Beschreibung', 'Status', 'Bedingung',
+  ]];
+  for (const section of extracted.sections) {
+    for (const pid of section.pruefidentifikatoren) {
+      for (const row of section.rows) {
+        lines.push([
+          pid, section.title, section.kommunikationVon[pid], row.page ?? '', row.path, row.nodeType,
+          row.segmentGroup, row.segmentCode, row.dataElement, row.code, row.beschreibung,
+          row.status[pid], row.bedingung,
+        ]);
+      }
+    }
+  }
+  return csvDocument(lines);
+}
+
+/**
+ * Markdown of an extract export: one table per section in the PDF's
+ * column order, then the use cases with their inconsistencies,
+ * the condition catalogue and the Änderungshistorie.
+ * @param {object} extracted - buildExtractExport() result
+ * @returns {string}
+ */
+export function buildExtractMarkdown(extracted) {
+  const { document, sections, conditions, useCases = [], useCaseIssues = [], changelog = [] } = extracted;
+  const table = (headers, rows) => [
+    `| ${headers.map(mdCell).join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(cells => `| ${cells.map(mdCell).join(' | ')} |`),
+  ].join('\n');
+
+  const parts = [`# ${documentLabel([document])} ${document.version}`, '', `${document.filename ?? ''} (${document.pageCount} pages)`.trim()];
+  for (const section of sections) {
+    const pids = section.pruefidentifikatoren;
+    parts.push('', `## Prüfidentifikator ${pids.join(', ')}${section.title ? ` — ${section.title}` : ''}`, '');
+    parts.push(...pids.map(pid => `- ${pid}: Kommunikation von ${section.kommunikationVon[pid] || '–'}`));
+    parts.push(`- Page ${section.page}`, '');
+    parts.push(table(
+      ['EDIFACT Struktur', 'Beschreibung', ...pids, 'Bedingung'],
+      section.rows.map(row => [
+        row.isLabel ? '' : [row.segmentGroup, row.segmentCode, row.dataElement, row.code].filter(Boolean).join(' '),
+        row.isLabel ? `**${row.beschreibung}**` : row.beschreibung,
+        ...pids.map(pid => row.status[pid]),
+        row.bedingung,
+      ])
+    ));
+  }
+  if (useCases.length) {
+    parts.push('', '## Anwendungsfälle', '');
+    parts.push(table(['Prüfidentifikator', 'Anwendungsfall', 'Kommunikation von'],
+      useCases.map(u => [u.pruefidentifikator, u.anwendungsfall, u.kommunikationVon])));
+    if (useCaseIssues.length) {
+      parts.push('', ...useCaseIssues.map(i => `- ${i.message}${i.page ? ` (page ${i.page})` : ''}`));
+    }
+  }
+  if (conditions.length) {
+    parts.push('', '## Bedingungen', '');
+    parts.push(table(['Nr.', 'Text'], conditions.map(c => [`[${c.number}]`, c.text])));
+  }
+  if (changelog.length) {
+    parts.push('', '## Änderungshistorie', '');
+    parts.push(table(['Änd-ID', 'Ort', 'Bisher', 'Neu', 'Grund der Anpassung', 'Status'],
+      changelog.map(e => [e.changeId, e.ort, e.bisher, e.neu, e.grund, e.status])));
+  }
+  return parts.join('\n') + '\n';
+}
+
+function mdCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
@@ -0,0 +1,272 @@
+// --- AHB condition expression grammar ---
+//
+//   expression := prefix? xor
+//   prefix     := "Muss" | "Soll" | "Kann" | "X"
+//   xor        := or  (("⊻" | "X") or)*
+//   or         := and (("∨" | "O") and)*
+//   and        := primary (("∧" | "U")? primary)*     juxtaposition = AND
+//   primary    := "[" id "]" | "(" xor ")"
+
+const PREFIXES = new Set(['Muss', 'Soll', 'Kann', 'X']);
+const OPERATORS = {
+  '∧': 'and', U: 'and',
+  '∨': 'or', O: 'or',
+  '⊻': 'xor', X: 'xor',
+};
+
+const TOKEN_RE = /\s*(\[[^\]\s]+\]|[()∧∨⊻]|Muss|Soll|Kann|[UOX](?![\wÄÖÜäöüß]))/y;
+
+/**
+ * Parse a status or Bedingung cell such as "Muss [12] ∧ ([3] ∨ [4])".
+ * @param {string} text
+ * @returns {{prefix: string|null, ast: ExprNode|null}|null} null if the text is not an expression
+ */
+export function parseExpression(text) {
+  const tokens = tokenize(text);
+  if (!tokens || !tokens.length) return null;
+
+  let pos = 0;
+  let prefix = null;
+  if (PREFIXES.has(tokens[0])) {
+    prefix = tokens[0];
+    pos = 1;
+  }
+  if (pos === tokens.length) return { prefix, ast: null };
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseBinary(op, parseOperand) {
+    const operands = [parseOperand()];
+    while (pos < tokens.length && OPERATORS[peek()] === op) {
+      next();
+      operands.push(parseOperand());
+    }
+    return operands.length === 1 ? operands[0] : { type: op, operands };
+  }
+
+  function parseXor() { return parseBinary('xor', parseOr); }
+  function parseOr() { return parseBinary('or', parseAnd); }
+
+  function parseAnd() {
+    const operands = [parsePrimary()];
+    while (pos < tokens.length) {
+      if (OPERATORS[peek()] === 'and') {
+        next();
+        operands.push(parsePrimary());
+      } else if (peek() === '(' || peek().startsWith('[')) {
+        operands.push(parsePrimary());
+      } else {
+        break;
+      }
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (token === undefined) throw new SyntaxError('Unexpected end of expression');
+    if (token.startsWith('[')) return { type: 'ref', id: token.slice(1, -1) };
+    if (token === '(') {
+      const inner = parseXor();
+      if (next() !== ')') throw new SyntaxError('Missing closing parenthesis');
+      return inner;
+    }
+    throw new SyntaxError(`Unexpected token ${token}`);
+  }
+
+  try {
+    const ast = parseXor();
+    return pos === tokens.length ? { prefix, ast } : null;
+  } catch {
+    return null;
+  }
+}
+
+function tokenize(text) {
+  const s = String(text || '').trim();
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < s.length) {
+    const match = TOKEN_RE.exec(s);
+    if (!match) return null;
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+/**
+ * Canonical form: nested operators of the same kind are flattened and the
+ * operands of ∧ / ∨ / ⊻ sorted, so "[2] ∧ ([1] ∧ [3])" equals "[1] ∧ [2] ∧ [3]".
+ */
+export function canonicalize(node) {
+  if (!node || node.type === 'ref') return node;
+
+  const operands = [];
+  for (const child of node.operands.map(canonicalize)) {
+    if (child.type === node.type) operands.push(...child.operands);
+    else operands.push(child);
+  }
+  operands.sort((a, b) => exprKey(a).localeCompare(exprKey(b)));
+  return { type: node.type, operands };
+}
+
+export function exprKey(node) {
+  if (!node) return '';
+  if (node.type === 'ref') return `[${node.id}]`;
+  return `${node.type}(${node.operands.map(exprKey).join(',')})`;
+}
+
+export function collectRefs(node, refs = new Set()) {
+  if (!node) return refs;
+  if (node.type === 'ref') refs.add(node.id);
+  else node.operands.forEach(child => collectRefs(child, refs));
+  return refs;
+}
+
+/**
+ * Compare two condition expressions semantically.
+ * Outcomes:
+ *   equivalent         — same logic, only order / brackets / spacing differ
+ *   prefix-changed     — same logic, different Muss/Soll/Kann/X prefix
+ *   condition-added    — new operands joined to the old ones with `operator`
+ *   condition-removed  — operands dropped from an `operator` group
+ *   operator-changed   — same operands, `operator` changed from `oldOperator`
+ *   logic-changed      — anything else
+ * @returns {object|null} null when either side is not an expression
+ */
+export function compareExpressions(oldText, newText) {
+  const a = parseExpression(oldText);
+  const b = parseExpression(newText);
+  if (!a || !b) return null;
+
+  const ca = canonicalize(a.ast);
+  const cb = canonicalize(b.ast);
+  const refsA = collectRefs(ca);
+  const refsB = collectRefs(cb);
+
+  const result = {
+    outcome: 'logic-changed',
+    prefixOld: a.prefix,
+    prefixNew: b.prefix,
+    added: [...refsB].filter(r => !refsA.has(r)),
+    removed: [...refsA].filter(r => !refsB.has(r)),
+  };
+
+  if (exprKey(ca) === exprKey(cb)) {
+    result.outcome = a.prefix === b.prefix ? 'equivalent' : 'prefix-changed';
+    return result;
+  }
+
+  if (!ca || !cb) {
+    const outcome = ca ? 'condition-removed' : 'condition-added';
+    return { ...result, outcome, operator: isOperator(ca || cb) ? (ca || cb).type : null };
+  }
+
+  const opA = isOperator(ca) ? ca.type : null;
+  const opB = isOperator(cb) ? cb.type : null;
+  const keysA = operandKeys(ca);
+  const keysB = operandKeys(cb);
+
+  if (opA && opB && opA !== opB && sameMultiset(keysA, keysB)) {
+    return { ...result, outcome: 'operator-changed', operator: opB, oldOperator: opA };
+  }
+
+  const operator = opB && (!opA || opA === opB) ? opB : opA && !opB ? opA : null;
+  if (operator) {
+    if (isSubMultiset(keysA, keysB)) return { ...result, outcome: 'condition-added', operator };
+    if (isSubMultiset(keysB, keysA)) return { ...result, outcome: 'condition-removed', operator };
+  }
+
+  return result;
+}
+
+function isOperator(node) {
+  return node && node.type !== 'ref';
+}
+
+function operandKeys(node) {
+  if (!node) return [];
+  return isOperator(node) ? node.operands.map(exprKey) : [exprKey(node)];
+}
+
+function sameMultiset(a, b) {
+  return a.length === b.length && isSubMultiset(a, b);
+}
+
+function isSubMultiset(small, large) {
+  const counts = new Map();
+  for (const k of large) counts.set(k, (counts.get(k) || 0) + 1);
+  for (const k of small) {
+    if (!counts.get(k)) return false;
+    counts.set(k, counts.get(k) - 1);
+  }
+  return true;
+}
+
+// --- Status values (Muss / Soll / Kann / X + condition) ---
+
+const LEVEL_RANK = { Kann: 1, Soll: 2, Muss: 3 };
+
+/**
+ * Impact classes of a status change, most severe first.
+ */
+export const STATUS_IMPACTS = [
+  'tightened', 'relaxed', 'introduced', 'dropped',
+  'level-changed', 'condition-changed', 'cosmetic',
+];
+
+/**
+ * Split a status cell into requirement level and condition part.
+ * "Kann [4] ∧ [8]" → { level: 'Kann', condition: '[4] ∧ [8]' }
+ */
+export function parseStatus(text) {
+  const s = String(text || '').trim();
+  const match = s.match(/^(Muss|Soll|Kann|X)(?=[\s[(]|$)\s*(.*)$/);
+  return match ? { level: match[1], condition: match[2].trim() } : { level: '', condition: s };
+}
+
+/**
+ * Classify the change of a status cell:
+ *   tightened / relaxed — level moved along Kann < Soll < Muss
+ *   introduced / dropped — level appeared in / vanished from an empty cell
+ *   level-changed       — X swapped with Muss/Soll/Kann
+ *   condition-changed   — same level, different condition (`expression` when parseable)
+ *   cosmetic            — same level, equivalent condition (for free-text
+ *                         conditions: differs only in spacing, case or punctuation)
+ */
+export function classifyStatusChange(oldText, newText) {
+  const a = parseStatus(oldText);
+  const b = parseStatus(newText);
+  const result = {
+    levelOld: a.level,
+    levelNew: b.level,
+    conditionOld: a.condition,
+    conditionNew: b.condition,
+  };
+
+  if (a.level !== b.level) {
+    let impact = 'level-changed';
+    if (!a.level) impact = 'introduced';
+    else if (!b.level) impact = 'dropped';
+    else if (LEVEL_RANK[a.level] && LEVEL_RANK[b.level]) {
+      impact = LEVEL_RANK[b.level] > LEVEL_RANK[a.level] ? 'tightened' : 'relaxed';
+    }
+    return { ...result, impact };
+  }
+
+  const expression = compareExpressions(a.condition, b.condition);
+  const equivalent = expression
+    ? expression.outcome === 'equivalent'
+    : compact(a.condition) === compact(b.condition);
+  if (equivalent) {
+    return { ...result, impact: 'cosmetic' };
+  }
+  return expression
+    ? { ...result, impact: 'condition-changed', expression }
+    : { ...result, impact: 'condition-changed' };
+}
+
+function compact(text) {
+  return text.replace(/[\s.,;:\-]+/g, '').toLowerCase();
+}
@@ -1,43 +1,161 @@
-import path from 'path';
 import fs from 'fs';
-import { parsePDF } from './parser.mjs';
+import path from 'path';
 import {
   initDatabase,
   createDatabase,
+  openDatabase,
   saveDatabase,
-  insertDocument,
+  listDocuments,
   getDocument as getDoc,
   getDocumentStats,
+  saveComparison,
+  getComparison,
+  listComparisons,
+  getReviews,
+  getChangelog,
+  getUseCaseIssues,
+  searchDocuments,
+  SEARCH_FIELDS,
+  getMIGDocument,
+  listMIGDocuments,
+  getMIGStats,
 } from './database.mjs';
-import { compareDocuments } from './comparator.mjs';
-import { generateHTMLReport } from './reporter.mjs';
+import { parsePDF, PARSER_VERSION } from './parser.mjs';
+import { parseMIG } from './mig-parser.mjs';
+import { checkAgainstMIG, MIG_CHECK_KINDS } from './mig-check.mjs';
+import { reconcileChangelog } from './changelog.mjs';
+import { importPDF, importMIG, hashFile } from './library.mjs';
+import { MESSAGE_TYPES, parseMessageType } from './profiles.mjs';
+import {
+  buildJSONExport,
+  buildXLSXExport,
+  buildCSVExport,
+  buildExtractExport,
+  buildExtractCSV,
+  buildExtractMarkdown,
+} from './export.mjs';
+import { compareDocuments, compareTimeline, compareThreeWay } from './comparator.mjs';
+import { compareMIGs } from './mig-comparator.mjs';
+import {
+  generateHTMLReport,
+  generateTimelineReport,
+  generateThreeWayReport,
+  generateMIGReport,
+  generateMIGCheckReport,
+} from './reporter.mjs';
 
 const args = process.argv.slice(2);
+const COMMANDS = { list: 1, compare: 3, report: 2, search: 2, timeline: 3, 'three-way': 4, extract: 2, validate: 3 };
+const command = Object.hasOwn(COMMANDS, args[0]) ? args[0] : null;
 
-if (args.length < 2 || args.includes('--help') || args.includes('-h')) {
+if (args.length < (command ? COMMANDS[command] : 2) || args.includes('--help') || args.includes('-h')) {
   console.log(`
-PDFCompare - Compare IFTSTA AHB PDF versions
+PDFCompare - Compare AHB PDF versions
 
 Usage:
   node src/index.mjs <old.pdf> <new.pdf> [options]
+  node src/index.mjs <v1.pdf> <v2.pdf> <v3.pdf> ... [options]
+  node src/index.mjs <base.pdf> <draft.pdf> <final.pdf> --three-way [options]
+  node src/index.mjs <old-mig.pdf> <new-mig.pdf> --mig [options]
+  node src/index.mjs list [--db <file>]
+  node src/index.mjs compare <id1> <id2> [options]
+  node src/index.mjs report <comparison-id> [--db <file>] [--output <file>]
+  node src/index.mjs search <query> [--db <file>] [--doc <ids>] [--field <fields>] [--limit <n>]
+  node src/index.mjs extract <file.pdf> [--format json|csv|md] [--output <file>]
+  node src/index.mjs validate <ahb.pdf> <mig.pdf> [--output <file>]
+
+More than two PDFs (oldest first) produce a timeline report: for every
+Prüfidentifikator and row, the version it was introduced, changed or removed in.
+With --three-way, three PDFs are a base version and a draft and final version
+derived from it: the report shows which changes only the draft made (dropped
+proposals), only the final version made, both made alike, or both made differently.
+With --mig, two MIG PDFs (Nachrichtenbeschreibungen) are compared instead: segment
+groups, segments and data elements with their status, repetition and format.
+
+Commands:
+  list              List the documents and comparisons stored in the --db file
+  compare <id1> <id2>
+                    Compare two stored documents by ID, without parsing again
+                    (with --mig: two stored MIGs)
+  timeline <id1> <id2> <id3> ...
+                    Version history of stored documents, oldest first
+  three-way <base-id> <draft-id> <final-id>
+                    Three-way comparison of stored documents
+  report <comparison-id>
+                    Rebuild the HTML report of a stored comparison, without diffing again
+  extract <file.pdf>
+                    Write the parsed sections, rows, conditions, use cases and
+                    Änderungshistorie of one PDF (no diff)
+                    as JSON (default), CSV or Markdown tables; no database involved
+  validate <ahb.pdf> <mig.pdf>
+                    Check an AHB against the MIG of the same release: segment groups,
+                    segments, data elements and codes missing from the MIG, and segments
+                    or groups nested differently; HTML report, no database involved
+  search <query>    Full-text search in all stored documents: words (all must occur),
+                    "quoted phrases", prefix*, [503] for a condition reference
 
 Options:
-  --output <file>   HTML report output path (default: report.html)
+  --output <file>   Report output path (default: report.<format>; extract: <pdf name>.<format>)
+  --format <format> Report format: html (default); json, a documented export for other
+                    tools; xlsx, a workbook with one sheet per changed Prüfidentifikator;
+                    csv, the same rows in one flat table (pairwise comparisons only)
   --db <file>       SQLite database path (default: compare.sqlite)
+  --library         Keep the --db file as a document library: add to it instead
+                    of overwriting it, and reuse PDFs stored already (same content)
+                    unless an older parser version stored them
+  --reparse         With --library: parse AHB PDFs stored already again
+  --three-way       With three PDFs: base, draft and final version instead of a timeline
+  --mig             The PDFs are MIGs, not AHBs: compare message structure and
+                    segment layouts (HTML report only)
+  --message-type <type>
+                    EDIFACT message type of the PDFs to parse (${MESSAGE_TYPES.join(', ')}, ...);
+                    default: read from the cover page ("UTILMD Anwendungshandbuch")
+  --fuzzy-threshold <0..1>
+                    Minimum similarity for pairing rows whose key changed (default: 0.6)
+  --doc <ids>       search: only these document IDs, comma-separated
+  --field <fields>  search: only these fields (${SEARCH_FIELDS.join(', ')})
+  --limit <n>       search: maximum number of hits shown (default: 50)
   --verbose         Show detailed parsing progress
   --help, -h        Show this help
 
 Example:
   node src/index.mjs Test/IFTSTA_AHB_2_0h_20250401.pdf Test/IFTSTA_AHB_2_1_Konsultationsfassung_20260202.pdf
+  node src/index.mjs list --db library.sqlite
+  node src/index.mjs compare 1 2 --db library.sqlite
+  node src/index.mjs timeline 1 2 3 --db library.sqlite --output history.html
+  node src/index.mjs three-way 1 2 3 --db library.sqlite --output consultation.html
+  node src/index.mjs IFTSTA_MIG_2_0e.pdf IFTSTA_MIG_2_1.pdf --mig --output mig.html
+  node src/index.mjs report 1 --db library.sqlite --output 2_0h-vs-2_1.html
+  node src/index.mjs compare 1 2 --db library.sqlite --format json --output 2_0h-vs-2_1.json
+  node src/index.mjs report 1 --db library.sqlite --format xlsx
+  node src/index.mjs search Meldepunkt --db library.sqlite
+  node src/index.mjs extract Test/IFTSTA_AHB_2_0h_20250401.pdf --format md
+  node src/index.mjs validate IFTSTA_AHB_2_1.pdf IFTSTA_MIG_2_1.pdf --output check.html
   `);
   process.exit(0);
 }
 
-const pdf1Path = args[0];
-const pdf2Path = args[1];
-const outputPath = getArg(args, '--output') || 'report.html';
+// PDFs (or, for commands, their arguments) come before the first option
+const firstOption = args.findIndex(a => a.startsWith('--'));
+const positional = firstOption === -1 ? args : args.slice(0, firstOption);
+const pdfPaths = command ? [] : positional;
+const FORMATS = ['html', 'json', 'xlsx', 'csv'];
+const EXTRACT_FORMATS = ['json', 'csv', 'md'];
+const FORMAT_NAMES = { html: 'HTML', json: 'JSON', xlsx: 'XLSX', csv: 'CSV', md: 'Markdown' };
+const format = getArg(args, '--format') || (command === 'extract' ? 'json' : 'html');
+const outputPath = getArg(args, '--output') ||
+  (command === 'extract' ? `${path.basename(args[1], path.extname(args[1]))}.${format}` : `report.${format}`);
 const dbPath = getArg(args, '--db') || 'compare.sqlite';
+const doneHint = format === 'html'
+  ? `Open ${outputPath} in a browser to view the report.`
+  : `${FORMAT_NAMES[format] ?? format} export written to ${outputPath}.`;
 const verbose = args.includes('--verbose');
+const library = args.includes('--library');
+const reparse = args.includes('--reparse');
+const threeWay = args.includes('--three-way');
+const mig = args.includes('--mig');
+const fuzzyThreshold = getArg(args, '--fuzzy-threshold');
+const messageType = getArg(args, '--message-type');
 
 function getArg(args, flag) {
   const idx = args.indexOf(flag);
@@ -53,74 +171,565 @@ function logVerbose(msg) {
 }
 
 async function main() {
+  validateMessageType();
+  if (command === 'extract') return extractCommand();
+  if (command === 'validate') return validateCommand();
+  if (!FORMATS.includes(format)) {
+    console.error(`Error: --format must be one of ${FORMATS.join(', ')}, got: ${format}`);
+    process.exit(1);
+  }
+  if (format !== 'html' && (command === 'timeline' || command === 'three-way' || threeWay || pdfPaths.length > 2)) {
+    console.error(`Error: --format ${format} is available for comparisons of two documents only`);
+    process.exit(1);
+  }
+
+  if (mig) {
+    if (format !== 'html') {
+      console.error(`Error: --format ${format} is not available with --mig (HTML report only)`);
+      process.exit(1);
+    }
+    if (threeWay || (command && command !== 'compare' && command !== 'list') || pdfPaths.length > 2) {
+      console.error('Error: --mig compares two MIGs (PDFs or stored IDs with compare)');
+      process.exit(1);
+    }
+  }
+
+  if (command === 'list') return listCommand();
+  if (command === 'compare') return mig ? compareStoredMIGCommand() : compareStoredCommand();
+  if (command === 'report') return reportCommand();
+  if (command === 'search') return searchCommand();
+  if (command === 'timeline') return timelineStoredCommand();
+  if (command === 'three-way') return threeWayStoredCommand();
+
   // Validate inputs
-  if (!fs.existsSync(pdf1Path)) {
-    console.error(`Error: File not found: ${pdf1Path}`);
+  if (pdfPaths.length < 2) {
+    console.error('Error: At least two PDFs are required before the options');
     process.exit(1);
   }
-  if (!fs.existsSync(pdf2Path)) {
-    console.error(`Error: File not found: ${pdf2Path}`);
+  if (threeWay && pdfPaths.length !== 3) {
+    console.error(`Error: --three-way expects three PDFs (base, draft, final), got ${pdfPaths.length}`);
     process.exit(1);
   }
+  for (const pdfPath of pdfPaths) {
+    if (!fs.existsSync(pdfPath)) {
+      console.error(`Error: File not found: ${pdfPath}`);
+      process.exit(1);
+    }
+  }
+
+  validateFuzzyThreshold();
+  if (mig) return compareMIGFiles();
 
   const startTime = Date.now();
 
   // 1. Initialize SQLite
   log('Initializing database...');
   await initDatabase();
-  const db = createDatabase();
+  const db = library ? openLibrary() : createDatabase();
 
-  // 2. Parse PDFs
-  log(`Parsing old PDF: ${pdf1Path}`);
-  const parsed1 = await parsePDF(pdf1Path);
-  log(`  Version: ${parsed1.version}, Pages: ${parsed1.pageCount}, Sections: ${parsed1.sections.length}`);
-  for (const s of parsed1.sections) {
-    logVerbose(`  Section [${s.pruefidentifikator.join(',')}] - ${s.rows.length} rows`);
+  // 2. Parse PDFs and store them (PDFs already in the library are reused)
+  const docIds = [];
+  for (const [i, pdfPath] of pdfPaths.entries()) {
+    const label = threeWay ? ['base', 'draft', 'final'][i]
+      : pdfPaths.length > 2 ? `version ${i + 1}` : i === 0 ? 'old' : 'new';
+    log(`Parsing ${label} PDF: ${pdfPath}`);
+    docIds.push(await importAndLog(db, pdfPath));
+  }
+
+  if (threeWay) threeWayAndReport(db, docIds);
+  else if (docIds.length > 2) timelineAndReport(db, docIds);
+  else compareAndReport(db, docIds[0], docIds[1]);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+async function importAndLog(db, pdfPath) {
+  const { id, reused, reparsed, parsed } = await importPDF(db, pdfPath, path.basename(pdfPath), parseOptions());
+  if (reparsed) log(`  Stored as document #${id} already; parsed again, its stored comparisons were dropped`);
+  if (reused) {
+    const doc = getDoc(db, id);
+    const stats = getDocumentStats(db, id);
+    log(`  Already stored as document #${id} (${doc.filename}), not parsed again`);
+    log(`  Message type: ${doc.messageType || 'unknown'}, Version: ${doc.version}, Pages: ${doc.pageCount}, Sections: ${stats.sectionCount}, Conditions: ${stats.conditionCount}`);
+    return id;
+  }
+  logParsed(parsed);
+  return id;
+}
+
+async function compareMIGFiles() {
+  const startTime = Date.now();
+
+  // 1. Initialize SQLite
+  log('Initializing database...');
+  await initDatabase();
+  const db = library ? openLibrary() : createDatabase();
+
+  // 2. Parse MIGs and store them (MIGs already in the library are reused)
+  const docIds = [];
+  for (const [i, pdfPath] of pdfPaths.entries()) {
+    log(`Parsing ${i === 0 ? 'old' : 'new'} MIG: ${pdfPath}`);
+    const { id, reused } = await importMIG(db, pdfPath, path.basename(pdfPath), parseOptions());
+    if (reused) log(`  Already stored as MIG #${id}, not parsed again`);
+    logMIG(getMIGDocument(db, id), getMIGStats(db, id));
+    docIds.push(id);
   }
 
-  log(`Parsing new PDF: ${pdf2Path}`);
-  const parsed2 = await parsePDF(pdf2Path);
-  log(`  Version: ${parsed2.version}, Pages: ${parsed2.pageCount}, Sections: ${parsed2.sections.length}`);
-  for (const s of parsed2.sections) {
+  migCompareAndReport(db, docIds[0], docIds[1]);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+function logMIG(doc, stats) {
+  log(`  Message type: ${doc.messageType || 'unknown'}, Version: ${doc.version}, Pages: ${doc.pageCount}, ` +
+    `Segment groups: ${stats.groupCount}, Segments: ${stats.segmentCount}, Data elements: ${stats.elementCount}`);
+}
+
+function logParsed(parsed) {
+  log(`  Message type: ${parsed.messageType || 'unknown'}, Version: ${parsed.version}, Pages: ${parsed.pageCount}, Sections: ${parsed.sections.length}, Conditions: ${parsed.conditions.length}, Änderungshistorie: ${parsed.changelog.length} entries`);
+  if (parsed.useCases.length) {
+    const source = parsed.useCases[0].source === 'overview' ? 'the overview' : 'the chapter headings';
+    log(`  Anwendungsfälle: ${parsed.useCases.length} from ${source}, ${parsed.useCaseIssues.length} inconsistencies with the tables`);
+  }
+  for (const issue of parsed.useCaseIssues) {
+    log(`  Warning: ${issue.message} (page ${issue.pageNum})`);
+  }
+  for (const s of parsed.sections) {
     logVerbose(`  Section [${s.pruefidentifikator.join(',')}] - ${s.rows.length} rows`);
   }
+}
 
-  // 3. Store in database
-  log('Storing in database...');
-  const docId1 = insertDocument(db, path.basename(pdf1Path), parsed1);
-  const docId2 = insertDocument(db, path.basename(pdf2Path), parsed2);
+async function extractCommand() {
+  const pdfPath = args[1];
+  if (!EXTRACT_FORMATS.includes(format)) {
+    console.error(`Error: extract writes ${EXTRACT_FORMATS.join(', ')}, got --format ${format}`);
+    process.exit(1);
+  }
+  if (!fs.existsSync(pdfPath)) {
+    console.error(`Error: File not found: ${pdfPath}`);
+    process.exit(1);
+  }
 
-  // 4. Save database
-  saveDatabase(db, dbPath);
-  log(`Database saved: ${dbPath}`);
+  const startTime = Date.now();
+  log(`Parsing PDF: ${pdfPath}`);
+  const parsed = await parsePDF(pdfPath, parseOptions());
+  logParsed(parsed);
+
+  log(`Generating ${FORMAT_NAMES[format]} export: ${outputPath}`);
+  const extracted = buildExtractExport(parsed, { filename: path.basename(pdfPath), contentHash: hashFile(pdfPath) });
+  if (format === 'csv') fs.writeFileSync(outputPath, buildExtractCSV(extracted), 'utf8');
+  else if (format === 'md') fs.writeFileSync(outputPath, buildExtractMarkdown(extracted), 'utf8');
+  else fs.writeFileSync(outputPath, JSON.stringify(extracted, null, 2), 'utf8');
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+async function validateCommand() {
+  const [ahbPath, migPath] = [args[1], args[2]];
+  if (format !== 'html') {
+    console.error(`Error: validate writes an HTML report, got --format ${format}`);
+    process.exit(1);
+  }
+  for (const pdfPath of [ahbPath, migPath]) {
+    if (!fs.existsSync(pdfPath)) {
+      console.error(`Error: File not found: ${pdfPath}`);
+      process.exit(1);
+    }
+  }
+
+  const startTime = Date.now();
+  log(`Parsing AHB: ${ahbPath}`);
+  const ahb = await parsePDF(ahbPath, parseOptions());
+  logParsed(ahb);
+
+  log(`Parsing MIG: ${migPath}`);
+  const mig = await parseMIG(migPath, parseOptions());
+  const segments = mig.segments.filter(s => s.kind === 'segment');
+  log(`  Message type: ${mig.messageType || 'unknown'}, Version: ${mig.version}, Pages: ${mig.pageCount}, ` +
+    `Segment groups: ${mig.segments.length - segments.length}, Segments: ${segments.length}, ` +
+    `Data elements: ${segments.reduce((n, s) => n + s.elements.length, 0)}`);
+  if (ahb.messageType && mig.messageType && ahb.messageType !== mig.messageType) {
+    log(`  Warning: the AHB is ${ahb.messageType}, the MIG ${mig.messageType}`);
+  }
+
+  log('Checking AHB against MIG...');
+  const check = checkAgainstMIG(ahb, mig);
+  log(`  ${check.rowCount} rows checked: ` +
+    MIG_CHECK_KINDS.map(kind => `${check.summary[kind]} ${kind}`).join(', '));
+
+  log(`Generating consistency report: ${outputPath}`);
+  generateMIGCheckReport(check,
+    { ...ahb, filename: path.basename(ahbPath), sectionCount: ahb.sections.length },
+    { ...mig, filename: path.basename(migPath), segmentCount: segments.length },
+    outputPath);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+async function listCommand() {
+  const db = await openExistingDatabase();
+  const documents = listDocuments(db);
+  const migs = listMIGDocuments(db);
+  if (!documents.length && !migs.length) {
+    log(`No documents stored in ${dbPath}`);
+    return;
+  }
+  if (migs.length) {
+    log(`${migs.length} MIG(s) in ${dbPath}:`);
+    for (const doc of migs) {
+      const stats = getMIGStats(db, doc.id);
+      console.log(`  #${doc.id}  ${(doc.messageType || '?').padEnd(6)} ${doc.version.padEnd(8)} ${doc.filename}  ` +
+        `(${doc.pageCount} pages, ${stats.segmentCount} segments, ${stats.elementCount} data elements, parsed ${doc.parsedAt})`);
+    }
+  }
+  if (!documents.length) return;
+  log(`${documents.length} document(s) in ${dbPath}:`);
+  for (const doc of documents) {
+    const stats = getDocumentStats(db, doc.id);
+    console.log(`  #${doc.id}  ${(doc.messageType || '?').padEnd(6)} ${doc.version.padEnd(8)} ${doc.filename}  ` +
+      `(${doc.pageCount} pages, ${stats.sectionCount} sections, parsed ${doc.parsedAt}` +
+      `${doc.parserVersion >= PARSER_VERSION ? '' : ' by an older parser: add it with --library to parse again'})`);
+  }
+
+  const comparisons = listComparisons(db);
+  if (!comparisons.length) return;
+  log(`${comparisons.length} stored comparison(s):`);
+  for (const c of comparisons) {
+    const { summary } = c;
+    console.log(`  #${c.id}  document #${c.oldDocumentId} → #${c.newDocumentId}  ` +
+      `(${summary.modified} modified, ${summary.added} added, ${summary.removed} removed sections, ${c.createdAt})`);
+  }
+}
+
+async function reportCommand() {
+  const comparisonId = Number(args[1]);
+  const db = await openExistingDatabase();
+  const comparison = Number.isInteger(comparisonId) ? getComparison(db, comparisonId) : null;
+  if (!comparison) {
+    console.error(`Error: No comparison #${args[1]} in ${dbPath} (see: node src/index.mjs list --db ${dbPath})`);
+    process.exit(1);
+  }
+  log(`Comparison #${comparison.id}: document #${comparison.oldDocumentId} → #${comparison.newDocumentId} (${comparison.createdAt})`);
+  writeReport(db, comparison, comparison.oldDocumentId, comparison.newDocumentId);
+  log(`Done. ${doneHint}`);
+}
+
+async function searchCommand() {
+  const query = args[1];
+  const documentIds = (getArg(args, '--doc') || '').split(',').filter(Boolean).map(Number);
+  const fields = (getArg(args, '--field') || '').split(',').filter(Boolean);
+  const limit = Number(getArg(args, '--limit') || 50);
+  const unknownField = fields.find(f => !SEARCH_FIELDS.includes(f));
+  if (unknownField) {
+    console.error(`Error: Unknown search field "${unknownField}" (expected ${SEARCH_FIELDS.join(', ')})`);
+    process.exit(1);
+  }
+  if (documentIds.some(id => !Number.isInteger(id)) || !Number.isInteger(limit) || limit < 1) {
+    console.error('Error: --doc expects document IDs and --limit a positive number');
+    process.exit(1);
+  }
+
+  const db = await openExistingDatabase();
+  let hits;
+  try {
+    hits = searchDocuments(db, query, { documentIds, fields });
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+  log(`${hits.length} hit(s) for ${query} in ${dbPath}${hits.length > limit ? `, showing ${limit}` : ''}`);
+
+  let documentId = null;
+  for (const hit of hits.slice(0, limit)) {
+    if (hit.documentId !== documentId) {
+      documentId = hit.documentId;
+      const count = hits.filter(h => h.documentId === documentId).length;
+      console.log(`  #${documentId} ${hit.version} (${hit.filename}): ${count} hit(s)`);
+    }
+    const where = hit.field === 'condition'
+      ? `[${hit.conditionNumber}]`
+      : [hit.pruefidentifikator, hit.segmentPath].filter(Boolean).join('  ');
+    console.log(`    p. ${String(hit.page).padEnd(4)} ${hit.field.padEnd(12)} ${where}  ${hit.snippet}`);
+  }
+}
+
+async function timelineStoredCommand() {
+  const docIds = positional.slice(1).map(Number);
+  if (docIds.some(id => !Number.isInteger(id))) {
+    console.error(`Error: timeline expects document IDs, got: ${positional.slice(1).join(' ')}`);
+    process.exit(1);
+  }
+  validateFuzzyThreshold();
+
+  const startTime = Date.now();
+  const db = await openExistingDatabase();
+  for (const id of docIds) {
+    if (!getDoc(db, id)) {
+      console.error(`Error: No document #${id} in ${dbPath} (see: node src/index.mjs list --db ${dbPath})`);
+      process.exit(1);
+    }
+  }
+
+  timelineAndReport(db, docIds);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. Open ${outputPath} in a browser to view the report.`);
+}
+
+async function threeWayStoredCommand() {
+  const docIds = positional.slice(1).map(Number);
+  if (docIds.length !== 3 || docIds.some(id => !Number.isInteger(id))) {
+    console.error(`Error: three-way expects three document IDs (base, draft, final), got: ${positional.slice(1).join(' ')}`);
+    process.exit(1);
+  }
+  validateFuzzyThreshold();
+
+  const startTime = Date.now();
+  const db = await openExistingDatabase();
+  for (const id of docIds) {
+    if (!getDoc(db, id)) {
+      console.error(`Error: No document #${id} in ${dbPath} (see: node src/index.mjs list --db ${dbPath})`);
+      process.exit(1);
+    }
+  }
+
+  threeWayAndReport(db, docIds);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. Open ${outputPath} in a browser to view the report.`);
+}
+
+async function compareStoredCommand() {
+  const [id1, id2] = [args[1], args[2]].map(Number);
+  if (!Number.isInteger(id1) || !Number.isInteger(id2)) {
+    console.error(`Error: compare expects two document IDs, got: ${args[1]} ${args[2]}`);
+    process.exit(1);
+  }
+  validateFuzzyThreshold();
+
+  const startTime = Date.now();
+  const db = await openExistingDatabase();
+  for (const id of [id1, id2]) {
+    if (!getDoc(db, id)) {
+      console.error(`Error: No document #${id} in ${dbPath} (see: node src/index.mjs list --db ${dbPath})`);
+      process.exit(1);
+    }
+  }
+
+  compareAndReport(db, id1, id2);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+async function compareStoredMIGCommand() {
+  const [id1, id2] = [args[1], args[2]].map(Number);
+  if (!Number.isInteger(id1) || !Number.isInteger(id2)) {
+    console.error(`Error: compare expects two MIG IDs, got: ${args[1]} ${args[2]}`);
+    process.exit(1);
+  }
 
-  // 5. Compare
+  const startTime = Date.now();
+  const db = await openExistingDatabase();
+  for (const id of [id1, id2]) {
+    if (!getMIGDocument(db, id)) {
+      console.error(`Error: No MIG #${id} in ${dbPath} (see: node src/index.mjs list --db ${dbPath})`);
+      process.exit(1);
+    }
+  }
+
+  migCompareAndReport(db, id1, id2);
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  log(`Done in ${elapsed}s. ${doneHint}`);
+}
+
+async function openExistingDatabase() {
+  if (!fs.existsSync(dbPath)) {
+    console.error(`Error: Database not found: ${dbPath}`);
+    process.exit(1);
+  }
+  await initDatabase();
+  return openLibrary();
+}
+
+function openLibrary() {
+  try {
+    return openDatabase(dbPath);
+  } catch (err) {
+    // Schema too new or failed migration: the message says what to do
+    console.error(`Error: ${dbPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function validateMessageType() {
+  if (messageType === null) return;
+  try {
+    parseMessageType(messageType);
+  } catch (err) {
+    console.error(`Error: --message-type: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+function parseOptions() {
+  const options = messageType !== null ? { messageType } : {};
+  return reparse ? { ...options, reparse } : options;
+}
+
+function validateFuzzyThreshold() {
+  if (fuzzyThreshold !== null && !(parseFloat(fuzzyThreshold) >= 0 && parseFloat(fuzzyThreshold) <= 1)) {
+    console.error(`Error: --fuzzy-threshold must be a number between 0 and 1, got: ${fuzzyThreshold}`);
+    process.exit(1);
+  }
+}
+
+function compareAndReport(db, docId1, docId2) {
+  // 3. Compare
   log('Comparing documents...');
-  const comparison = compareDocuments(db, docId1, docId2);
+  const options = fuzzyThreshold !== null ? { fuzzyThreshold: parseFloat(fuzzyThreshold) } : {};
+  const comparison = compareDocuments(db, docId1, docId2, options);
 
   const { summary } = comparison;
   log(`  Sections: ${summary.modified} modified, ${summary.added} added, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+  if (summary.split || summary.merged || summary.regrouped) {
+    log(`  Regrouped tables: ${summary.split} split, ${summary.merged} merged, ${summary.regrouped} regrouped`);
+  }
 
   // Count row-level changes
   let rowStats = { added: 0, removed: 0, modified: 0, unchanged: 0 };
+  const impactStats = {};
   for (const sd of comparison.sectionDiffs) {
     for (const rd of sd.rows || []) {
       rowStats[rd.type] = (rowStats[rd.type] || 0) + 1;
+      for (const change of rd.changes || []) {
+        if (change.status) impactStats[change.status.impact] = (impactStats[change.status.impact] || 0) + 1;
+      }
     }
   }
-  log(`  Rows: ${rowStats.modified} modified, ${rowStats.added} added, ${rowStats.removed} removed, ${rowStats.unchanged} unchanged`);
+  log(`  Rows: ${rowStats.modified} modified, ${rowStats.added} added, ${rowStats.removed} removed, ${rowStats.unchanged} unchanged, ${rowStats.moved || 0} moved, ${rowStats.indirect || 0} indirectly modified`);
+
+  const impacts = Object.entries(impactStats).map(([impact, count]) => `${count} ${impact}`);
+  if (impacts.length) log(`  Status changes: ${impacts.join(', ')}`);
+
+  const { conditionSummary } = comparison;
+  log(`  Conditions: ${conditionSummary.modified} reworded, ${conditionSummary.added} added, ${conditionSummary.removed} removed, ${conditionSummary.unchanged} unchanged`);
 
-  // 6. Generate report
-  log(`Generating report: ${outputPath}`);
+  // 4. Store the comparison and save the database
+  const comparisonId = saveComparison(db, docId1, docId2, comparison, options);
+  saveDatabase(db, dbPath);
+  log(`Database saved: ${dbPath} (comparison #${comparisonId})`);
+
+  writeReport(db, comparison, docId1, docId2, comparisonId);
+}
+
+function timelineAndReport(db, docIds) {
+  // 3. Compare consecutive versions and follow every row through them
+  log(`Comparing ${docIds.length} versions...`);
+  const options = fuzzyThreshold !== null ? { fuzzyThreshold: parseFloat(fuzzyThreshold) } : {};
+  const timeline = compareTimeline(db, docIds, options);
+
+  // 4. Store the pairwise comparisons and save the database
+  timeline.comparisons.forEach((comparison, i) => {
+    const comparisonId = saveComparison(db, docIds[i], docIds[i + 1], comparison, options);
+    const { summary } = comparison;
+    log(`  ${timeline.documents[i].version} → ${timeline.documents[i + 1].version}: ` +
+      `${summary.modified} modified, ${summary.added} added, ${summary.removed} removed sections (comparison #${comparisonId})`);
+  });
+  const changed = timeline.pruefidentifikatoren.filter(entry => entry.events.length).length;
+  log(`  Prüfidentifikatoren: ${timeline.pruefidentifikatoren.length}, ${changed} with changes`);
+  saveDatabase(db, dbPath);
+  log(`Database saved: ${dbPath}`);
+
+  // 5. Generate report
+  log(`Generating timeline report: ${outputPath}`);
+  generateTimelineReport(timeline, outputPath);
+}
+
+function threeWayAndReport(db, [baseId, draftId, finalId]) {
+  // 3. Compare draft and final version with the base and classify every change
+  log('Comparing draft and final version with the base...');
+  const options = fuzzyThreshold !== null ? { fuzzyThreshold: parseFloat(fuzzyThreshold) } : {};
+  const result = compareThreeWay(db, baseId, draftId, finalId, options);
+
+  const format = counts => `${counts.conflict} conflicting, ${counts['draft-only']} draft only, ` +
+    `${counts['final-only']} final only, ${counts.both} in both, ${counts.unchanged} unchanged`;
+  log(`  Prüfidentifikatoren: ${format(result.summary.pruefidentifikatoren)}`);
+  log(`  Rows: ${format(result.summary.rows)}`);
+  log(`  Conditions: ${format(result.summary.conditions)}`);
+
+  // 4. Store both comparisons with the base and save the database
+  for (const [docId, comparison] of [[draftId, result.comparisons.draft], [finalId, result.comparisons.final]]) {
+    const comparisonId = saveComparison(db, baseId, docId, comparison, options);
+    log(`  Stored ${getDoc(db, baseId).version} → ${getDoc(db, docId).version} as comparison #${comparisonId}`);
+  }
+  saveDatabase(db, dbPath);
+  log(`Database saved: ${dbPath}`);
+
+  // 5. Generate report
+  log(`Generating three-way report: ${outputPath}`);
+  generateThreeWayReport(result, outputPath);
+}
+
+function migCompareAndReport(db, docId1, docId2) {
+  // 3. Compare structure and segment layouts
+  log('Comparing MIGs...');
+  const result = compareMIGs(db, docId1, docId2);
+
+  const counts = c => `${c.modified} modified, ${c.added} added, ${c.removed} removed, ${c.unchanged} unchanged`;
+  log(`  Segment groups: ${counts(result.summary.groups)}`);
+  log(`  Segments: ${counts(result.summary.segments)}`);
+  log(`  Data elements: ${counts(result.summary.elements)}`);
+  const kinds = Object.entries(result.summary.changes).filter(([, n]) => n).map(([kind, n]) => `${n} ${kind}`);
+  if (kinds.length) log(`  Changes: ${kinds.join(', ')}`);
+
+  // 4. Save the database (MIG comparisons are not stored, they are cheap to repeat)
+  saveDatabase(db, dbPath);
+  log(`Database saved: ${dbPath}`);
+
+  // 5. Generate report
+  log(`Generating MIG report: ${outputPath}`);
+  generateMIGReport(result, outputPath);
+}
+
+function writeReport(db, comparison, docId1, docId2, comparisonId) {
+  // 5. Generate report
   const doc1Meta = getDoc(db, docId1);
   const doc2Meta = getDoc(db, docId2);
   const stats1 = getDocumentStats(db, docId1);
   const stats2 = getDocumentStats(db, docId2);
+  const changelog = reconcileChangelog(getChangelog(db, docId2), comparison, doc1Meta, doc2Meta);
+  if (changelog) {
+    const { entries, found, undocumented } = changelog.summary;
+    log(`  Änderungshistorie: ${found} of ${entries} entries found, ${undocumented} changes not documented`);
+  }
+  const useCaseIssues = { old: getUseCaseIssues(db, docId1), new: getUseCaseIssues(db, docId2) };
+  log(`Generating ${format === 'html' ? 'report' : `${FORMAT_NAMES[format]} export`}: ${outputPath}`);
 
-  generateHTMLReport(comparison, doc1Meta, doc2Meta, stats1, stats2, outputPath);
+  if (format !== 'html') {
+    const exported = buildJSONExport(comparison, doc1Meta, doc2Meta, stats1, stats2, {
+      reviews: getReviews(db, docId1, docId2),
+      comparisonId,
+      changelog,
+      useCaseIssues,
+    });
+    if (format === 'xlsx') fs.writeFileSync(outputPath, buildXLSXExport(exported));
+    else if (format === 'csv') fs.writeFileSync(outputPath, buildCSVExport(exported), 'utf8');
+    else fs.writeFileSync(outputPath, JSON.stringify(exported, null, 2), 'utf8');
+    return;
+  }
 
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-  log(`Done in ${elapsed}s. Open ${outputPath} in a browser to view the report.`);
+  // Review state set in the web server is shown read-only
+  generateHTMLReport(comparison, doc1Meta, doc2Meta, stats1, stats2, outputPath, {
+    reviews: getReviews(db, docId1, docId2),
+    changelog,
+    useCaseIssues,
+  });
 }
 
 main().catch(err => {
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parsePDF, PARSER_VERSION } from './parser.mjs';
+import { parseMIG } from './mig-parser.mjs';
+import { insertDocument, findDocumentByHash, insertMIG, findMIGByHash } from './database.mjs';
+
+/**
+ * SHA-256 of a file's bytes, hex-encoded. Identifies a PDF regardless of its name.
+ */
+export function hashFile(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Add a PDF to the document library. A PDF whose content is already stored
+ * is not parsed again and its existing document ID is returned instead,
+ * unless it was parsed by an older parser (or `options.reparse` is set):
+ * then the stored document is replaced by a new parse under the same ID.
+ * @param {object} db - sql.js Database instance
+ * @param {string} filePath - Path of the PDF
+ * @param {string} [filename] - Name to store (default: basename of filePath)
+ * @param {object} [options] - parsePDF() options, e.g. `messageType`, and `reparse`
+ * @returns {Promise<{id: number, reused: boolean, reparsed: boolean, parsed: object|null}>}
+ *   `parsed` is the parsePDF() output, null for a reused document
+ */
+export async function importPDF(db, filePath, filename = path.basename(filePath), options = {}) {
+  const contentHash = hashFile(filePath);
+  const existing = findDocumentByHash(db, contentHash);
+  if (existing && !options.reparse && existing.parserVersion >= PARSER_VERSION) {
+    return { id: existing.id, reused: true, reparsed: false, parsed: null };
+  }
+
+  const parsed = await parsePDF(filePath, options);
+  const id = insertDocument(db, filename, parsed, contentHash);
+  return { id, reused: false, reparsed: Boolean(existing), parsed };
+}
+
+/**
+ * Add a MIG PDF to the library, like importPDF(). MIGs are stored in their
+ * own tables and are numbered separately from AHB documents.
+ * @returns {Promise<{id: number, reused: boolean, parsed: object|null}>}
+ *   `parsed` is the parseMIG() output, null for a reused document
+ */
+export async function importMIG(db, filePath, filename = path.basename(filePath), options = {}) {
+  const contentHash = hashFile(filePath);
+  const existing = findMIGByHash(db, contentHash);
+  if (existing) return { id: existing.id, reused: true, parsed: null };
+
+  const parsed = await parseMIG(filePath, options);
+  const id = insertMIG(db, filename, parsed, contentHash);
+  return { id, reused: false, parsed };
+}
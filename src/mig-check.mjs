@@ -0,0 +1,142 @@
+// Cross-check of an AHB against the MIG of the same release: every segment
+// group, segment, data element and code an AHB table uses must be defined
+// by the MIG, in the same place of the message structure.
+
+const SEGMENT_GROUP_RE = /^SG\d+$/;
+const SEGMENT_CODE_RE = /^[A-Z]{3}$/;
+const ELEMENT_ID_RE = /^(\d{4}|[CS]\d{3})$/;
+// Entscheidungsbaum references (E_0205) are AHB values, not MIG codes
+const EBD_CODE_RE = /^[A-Z]_\d+$/;
+
+/**
+ * Kinds of inconsistencies, outermost first: `segment-group`, `segment`,
+ * `data-element` and `code` are missing from the MIG; `nesting` is a segment
+ * in another group, or a group whose MIG parent group the table lacks.
+ */
+export const MIG_CHECK_KINDS = ['segment-group', 'segment', 'nesting', 'data-element', 'code'];
+
+/**
+ * Check the rows of a parsed AHB against the segment tables of a MIG.
+ *
+ * Rows are checked from the outside in and only as far as the MIG knows the
+ * enclosing level, so a missing segment is reported once and not again for
+ * each of its data elements. Codes are checked only for data elements the
+ * MIG lists codes for; elements without a code list take free values (e.g.
+ * the Prüfidentifikator in `RFF/1154`), and Entscheidungsbaum references
+ * such as `E_0205` are not checked. Each inconsistency is reported once,
+ * with the Prüfidentifikatoren and pages of all rows it occurs in.
+ * @param {object} ahb - Output from parsePDF()
+ * @param {object} mig - Output from parseMIG(), or `{segments}` from getMIGSegments()
+ * @returns {{summary: object, issues: object[], rowCount: number}}
+ *   `summary` counts issues per kind; each issue is
+ *   `{kind, path, message, expected, pruefidentifikatoren, pages}`
+ */
+export function checkAgainstMIG(ahb, mig) {
+  const index = indexMIG(mig.segments);
+  const issues = new Map();
+  let rowCount = 0;
+
+  const report = (kind, path, message, expected, section, row) => {
+    const key = `${kind}|${path}`;
+    if (!issues.has(key)) {
+      issues.set(key, { kind, path, message, expected, pruefidentifikatoren: [], pages: [] });
+    }
+    const issue = issues.get(key);
+    for (const pid of section.pruefidentifikator) {
+      if (!issue.pruefidentifikatoren.includes(pid)) issue.pruefidentifikatoren.push(pid);
+    }
+    if (row.pageNum && !issue.pages.includes(row.pageNum)) issue.pages.push(row.pageNum);
+  };
+
+  for (const section of ahb.sections) {
+    const groupsSeen = new Set();
+    for (const row of section.rows) {
+      const group = row.segmentGroup || '';
+      if (group && !SEGMENT_GROUP_RE.test(group)) continue;
+      if (row.segmentCode && !SEGMENT_CODE_RE.test(row.segmentCode)) continue;
+      if (!group && !row.segmentCode) continue;
+      rowCount++;
+
+      if (group && !index.groups.has(group)) {
+        report('segment-group', group, `Segment group ${group} is not in the MIG`, '', section, row);
+        continue;
+      }
+      if (row.nodeType === 'group') {
+        const parents = index.groups.get(group);
+        if (parents.size && ![...parents].some(p => groupsSeen.has(p))) {
+          report('nesting', group, `${group} is nested in ${[...parents].join(' / ')} in the MIG, but the table has no ${[...parents].join(' / ')} before it`,
+            [...parents].join(', '), section, row);
+        }
+        groupsSeen.add(group);
+        continue;
+      }
+      if (!row.segmentCode) continue;
+
+      const segmentPath = group ? `${group}/${row.segmentCode}` : row.segmentCode;
+      const placements = index.segments.get(row.segmentCode);
+      if (!placements) {
+        report('segment', segmentPath, `Segment ${row.segmentCode} is not in the MIG`, '', section, row);
+        continue;
+      }
+      if (!placements.has(group)) {
+        const expected = [...placements].map(g => g || 'top level').join(', ');
+        report('nesting', segmentPath, `${row.segmentCode} is not in ${group || 'the top level'} in the MIG (MIG: ${expected})`,
+          expected, section, row);
+        continue;
+      }
+
+      if (row.nodeType !== 'element' && row.nodeType !== 'code') continue;
+      if (!ELEMENT_ID_RE.test(row.dataElement)) continue;
+      const elements = index.elements.get(segmentPath);
+      const elementPath = `${segmentPath}/${row.dataElement}`;
+      if (!elements.has(row.dataElement)) {
+        report('data-element', elementPath, `Data element ${row.dataElement} is not in the MIG layout of ${segmentPath}`,
+          [...elements.keys()].join(', '), section, row);
+        continue;
+      }
+
+      const codes = elements.get(row.dataElement);
+      if (row.nodeType === 'code' && row.code && codes.size && !codes.has(row.code) && !EBD_CODE_RE.test(row.code)) {
+        report('code', `${elementPath}/${row.code}`, `Code ${row.code} is not in the MIG code list of ${elementPath}`,
+          [...codes].join(', '), section, row);
+      }
+    }
+  }
+
+  const list = [...issues.values()]
+    .sort((a, b) => MIG_CHECK_KINDS.indexOf(a.kind) - MIG_CHECK_KINDS.indexOf(b.kind));
+  const summary = {};
+  for (const kind of MIG_CHECK_KINDS) summary[kind] = list.filter(i => i.kind === kind).length;
+  return { summary, issues: list, rowCount };
+}
+
+/**
+ * Lookup tables of a MIG: parent groups per group, groups ('' = top level)
+ * per segment code, and data elements with their codes per segment path.
+ * A path that occurs more than once (DTM at the top level) gets the union.
+ */
+function indexMIG(segments) {
+  const groups = new Map();
+  const placements = new Map();
+  const elements = new Map();
+
+  for (const segment of segments) {
+    if (segment.kind === 'group') {
+      if (!groups.has(segment.code)) groups.set(segment.code, new Set());
+      if (segment.segmentGroup) groups.get(segment.code).add(segment.segmentGroup);
+      continue;
+    }
+    if (!placements.has(segment.code)) placements.set(segment.code, new Set());
+    placements.get(segment.code).add(segment.segmentGroup || '');
+
+    const path = segment.segmentGroup ? `${segment.segmentGroup}/${segment.code}` : segment.code;
+    if (!elements.has(path)) elements.set(path, new Map());
+    const byId = elements.get(path);
+    for (const element of segment.elements) {
+      if (!byId.has(element.elementId)) byId.set(element.elementId, new Set());
+      for (const { code } of element.codes || []) byId.get(element.elementId).add(code);
+    }
+  }
+
+  return { groups, segments: placements, elements };
+}
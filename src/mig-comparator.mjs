@@ -0,0 +1,176 @@
+import { getMIGDocument, getMIGSegments } from './database.mjs';
+import { normalizeForComparison } from './comparator.mjs';
+import { parseFormat } from './mig-parser.mjs';
+
+/**
+ * Kinds of MIG changes, most significant first. `max-repetition` and the
+ * format kinds change what a message may contain; `status` whether it must.
+ */
+export const MIG_CHANGE_KINDS = [
+  'max-repetition', 'format-length', 'format-type', 'format', 'status', 'position', 'name', 'note',
+];
+
+/**
+ * Compare two MIGs stored in the database.
+ *
+ * Segment groups and segments are matched by their structure counter and
+ * code (`0090:NAD`); positions without a counter (layout tables missing from
+ * the structure table) by path and occurrence. Data elements of a matched
+ * segment are matched by element ID and occurrence (`3055`, `3055#2`).
+ * @param {object} db - sql.js Database
+ * @param {number} docId1 - "old" MIG document ID
+ * @param {number} docId2 - "new" MIG document ID
+ * @returns {{documents: object[], summary: object, segments: object[]}}
+ *   `segments` in new structure order, removed positions where they stood;
+ *   each `{type, key, old, new, changes, elements}`
+ */
+export function compareMIGs(db, docId1, docId2) {
+  const documents = [getMIGDocument(db, docId1), getMIGDocument(db, docId2)];
+  const oldSegments = keyed(getMIGSegments(db, docId1), segmentKey);
+  const newSegments = keyed(getMIGSegments(db, docId2), segmentKey);
+  const oldByKey = new Map(oldSegments.map(s => [s.key, s]));
+  const newKeys = new Set(newSegments.map(s => s.key));
+
+  const segments = newSegments.map(s => {
+    const old = oldByKey.get(s.key);
+    return old ? compareSegment(old, s) : segmentDiff('added', s.key, null, s);
+  });
+
+  // Removed positions go before the first position with a higher counter
+  for (const old of oldSegments.filter(s => !newKeys.has(s.key))) {
+    const diff = segmentDiff('removed', old.key, old, null);
+    const index = old.counter ? segments.findIndex(d => (d.new || d.old).counter > old.counter) : -1;
+    if (index === -1) segments.push(diff);
+    else segments.splice(index, 0, diff);
+  }
+
+  return { documents, summary: summarize(segments), segments };
+}
+
+function segmentKey(segment, occurrence) {
+  return segment.counter ? `${segment.counter}:${segment.code}` : occurrenceKey(segment.path, occurrence);
+}
+
+function elementKey(element, occurrence) {
+  return occurrenceKey(element.elementId, occurrence);
+}
+
+function occurrenceKey(base, occurrence) {
+  return occurrence > 1 ? `${base}#${occurrence}` : base;
+}
+
+// Attach a unique key; `occurrence` counts entries sharing the same base key
+function keyed(entries, keyOf) {
+  const seen = new Map();
+  return entries.map(entry => {
+    const base = keyOf(entry, 1);
+    const occurrence = (seen.get(base) || 0) + 1;
+    seen.set(base, occurrence);
+    return { ...entry, key: keyOf(entry, occurrence) };
+  });
+}
+
+function segmentDiff(type, key, old, nu, changes = [], elements = null) {
+  const side = old || nu;
+  return {
+    type,
+    key,
+    old,
+    new: nu,
+    changes,
+    elements: elements || keyed(side.elements, elementKey).map(e => elementDiff(type, e.key, old ? e : null, nu ? e : null)),
+  };
+}
+
+function elementDiff(type, key, old, nu, changes = []) {
+  return { type, key, old, new: nu, changes };
+}
+
+function compareSegment(old, nu) {
+  const changes = [
+    ...sideChanges(old, nu, 'standard'),
+    ...sideChanges(old, nu, 'bdew'),
+  ];
+  if (old.path !== nu.path) changes.push({ field: 'path', kind: 'position', old: old.path, new: nu.path });
+  if (!sameText(old.name, nu.name)) changes.push({ field: 'name', kind: 'name', old: old.name, new: nu.name });
+
+  const elements = compareElements(old.elements, nu.elements);
+  const type = changes.length || elements.some(e => e.type !== 'unchanged') ? 'modified' : 'unchanged';
+  return segmentDiff(type, nu.key, old, nu, changes, elements);
+}
+
+function sideChanges(old, nu, side) {
+  const changes = [];
+  if (old[side].status !== nu[side].status) {
+    changes.push({ field: `${side}Status`, kind: 'status', old: old[side].status, new: nu[side].status });
+  }
+  if ('maxRepetition' in old[side] && old[side].maxRepetition !== nu[side].maxRepetition) {
+    changes.push({
+      field: `${side}MaxRepetition`, kind: 'max-repetition',
+      old: old[side].maxRepetition, new: nu[side].maxRepetition,
+    });
+  }
+  if ('format' in old[side] && old[side].format !== nu[side].format) {
+    changes.push({
+      field: `${side}Format`, kind: formatChangeKind(old[side].format, nu[side].format),
+      old: old[side].format, new: nu[side].format,
+    });
+  }
+  return changes;
+}
+
+/**
+ * `format-length` when only the length changed (`an..35` → `an..70`,
+ * `n3` → `n..3` counts too), `format-type` when the character set changed
+ * (`an..3` → `n3`), `format` when a format was added, removed or unreadable.
+ */
+function formatChangeKind(oldFormat, newFormat) {
+  const a = parseFormat(oldFormat);
+  const b = parseFormat(newFormat);
+  if (!a || !b) return 'format';
+  return a.type === b.type ? 'format-length' : 'format-type';
+}
+
+function compareElements(oldElements, newElements) {
+  const olds = keyed(oldElements, elementKey);
+  const news = keyed(newElements, elementKey);
+  const oldByKey = new Map(olds.map(e => [e.key, e]));
+  const newKeys = new Set(news.map(e => e.key));
+
+  const diffs = news.map(nu => {
+    const old = oldByKey.get(nu.key);
+    if (!old) return elementDiff('added', nu.key, null, nu);
+    const changes = [...sideChanges(old, nu, 'standard'), ...sideChanges(old, nu, 'bdew')];
+    if (!sameText(old.name, nu.name)) changes.push({ field: 'name', kind: 'name', old: old.name, new: nu.name });
+    if (!sameText(old.note, nu.note)) changes.push({ field: 'note', kind: 'note', old: old.note, new: nu.note });
+    return elementDiff(changes.length ? 'modified' : 'unchanged', nu.key, old, nu, changes);
+  });
+
+  // Removed elements go after their predecessor in the old segment
+  olds.forEach((old, i) => {
+    if (newKeys.has(old.key)) return;
+    const before = i > 0 ? diffs.findIndex(d => d.key === olds[i - 1].key) : -1;
+    diffs.splice(before + 1, 0, elementDiff('removed', old.key, old, null));
+  });
+  return diffs;
+}
+
+function sameText(a, b) {
+  return normalizeForComparison(a) === normalizeForComparison(b);
+}
+
+function summarize(segmentDiffs) {
+  const count = () => ({ added: 0, removed: 0, modified: 0, unchanged: 0 });
+  const summary = { groups: count(), segments: count(), elements: count(), changes: {} };
+  for (const kind of MIG_CHANGE_KINDS) summary.changes[kind] = 0;
+
+  for (const sd of segmentDiffs) {
+    summary[(sd.new || sd.old).kind === 'group' ? 'groups' : 'segments'][sd.type]++;
+    for (const change of sd.changes) summary.changes[change.kind]++;
+    for (const ed of sd.elements) {
+      summary.elements[ed.type]++;
+      for (const change of ed.changes) summary.changes[change.kind]++;
+    }
+  }
+  return summary;
+}
@@ -0,0 +1,279 @@
+import { readPages, contentRows, pageText, rowText, detectVersion, mergeAdjacentItems } from './parser.mjs';
+import { detectMessageType, parseMessageType } from './profiles.mjs';
+
+// BDEW MIGs (Message Implementation Guides) describe a message in two kinds
+// of tables, each with a Standard and a BDEW column pair:
+//
+//   Nachrichtenstruktur:  Zähler | Nr | Bez | St | MaxWdh | St | MaxWdh | Ebene | Inhalt
+//   Segmentlayout:        Bez | Name | St | Format | St | Format | Anwendung
+//
+// The structure table lists every segment group and segment position with
+// its repetition; one layout table per segment lists its data elements with
+// status and format. Columns are located from the header labels on each page
+// (pages without a header inherit the previous one), like the AHB parser.
+// Code lists are printed in the Anwendung column, one code per line.
+
+const SEGMENT_GROUP_RE = /^SG\d+$/;
+const SEGMENT_CODE_RE = /^[A-Z]{3}$/;
+const COUNTER_RE = /^\d{4}$/;
+const ELEMENT_ID_RE = /^(\d{4}|[CS]\d{3})$/;
+// Text below a layout table, not part of the last element
+const TABLE_END_RE = /^(Bemerkung|Beispiel|Hinweis|Notation)(en)?\s*:/i;
+// Anwendung line that starts with a code value: "MS Absender", "293 DE, BDEW"
+const CODE_LINE_RE = /^([A-Z0-9]+)(?:\s+(.*))?$/;
+
+// Distance kept between a header label and the column boundary before it
+const COLUMN_MARGIN = 4;
+
+// Header label → field; labels occurring twice are Standard, then BDEW
+const STRUCTURE_FIELDS = {
+  zähler: 'counter',
+  nr: 'number',
+  bez: 'code',
+  st: ['standardStatus', 'bdewStatus'],
+  maxwdh: ['standardMaxRepetition', 'bdewMaxRepetition'],
+  ebene: 'level',
+  inhalt: 'name',
+  name: 'name',
+};
+const LAYOUT_FIELDS = {
+  bez: 'id',
+  name: 'name',
+  st: ['standardStatus', 'bdewStatus'],
+  format: ['standardFormat', 'bdewFormat'],
+  anwendung: 'note',
+  bemerkung: 'note',
+};
+
+/**
+ * Parse a MIG PDF: segment groups and segments with their repetition, and
+ * the data elements of every segment with status, format and code list.
+ * @param {string} filePath - Path to the PDF file
+ * @param {object} [options]
+ * @param {string} [options.messageType] - EDIFACT message type; detected from the cover page when omitted
+ * @returns {Promise<{version: string, messageType: string|null, segments: MIGSegment[], pageCount: number}>}
+ */
+export async function parseMIG(filePath, options = {}) {
+  const forcedType = options.messageType ? parseMessageType(options.messageType) : null;
+  const { allPages, pageCount } = await readPages(filePath);
+
+  const version = detectVersion(allPages);
+  const messageType = forcedType || detectMessageType(pageText(allPages[0]));
+  const segments = buildSegments(allPages);
+
+  return { version, messageType, segments, pageCount };
+}
+
+/**
+ * Parse a MIG format such as `an..35` (up to 35 alphanumeric characters) or
+ * `n3` (exactly 3 digits).
+ * @returns {{type: string, variable: boolean, length: number}|null} null for an empty or unknown format
+ */
+export function parseFormat(format) {
+  const match = String(format || '').trim().match(/^(an|a|n)(\.\.)?(\d+)$/);
+  if (!match) return null;
+  return { type: match[1], variable: Boolean(match[2]), length: Number(match[3]) };
+}
+
+function buildSegments(allPages) {
+  const segments = [];
+  const groups = [];      // open segment group per level (index = level - 1)
+  let table = null;       // { kind, columns } of the table being read
+  let last = null;        // entry that continuation rows belong to
+  let current = null;     // segment whose layout table is being read
+  let matched = -1;       // index of the last segment matched to a layout table
+
+  for (const page of allPages) {
+    const { pageNum } = page;
+    for (const rowItems of contentRows(page)) {
+      const header = detectHeader(rowItems);
+      if (header) {
+        table = header;
+        last = null;
+        continue;
+      }
+      if (!table) continue;
+
+      const text = rowText(rowItems);
+      const cells = assignCells(rowItems, table.columns);
+
+      if (table.kind === 'structure' && COUNTER_RE.test(cells.counter) &&
+          (SEGMENT_GROUP_RE.test(cells.code) || SEGMENT_CODE_RE.test(cells.code))) {
+        last = structureEntry(cells, segments.length, groups, pageNum);
+        segments.push(last);
+        continue;
+      }
+
+      if (table.kind === 'layout' && SEGMENT_CODE_RE.test(cells.id)) {
+        // Layout tables follow the structure order: take the next position
+        // with this segment code, else any position without a layout yet
+        let index = segments.findIndex((s, i) => i > matched && s.kind === 'segment' && s.code === cells.id);
+        if (index === -1) index = segments.findIndex(s => s.kind === 'segment' && s.code === cells.id && !s.elements.length);
+        if (index === -1) {
+          index = segments.length;
+          segments.push(layoutOnlySegment(cells, index, pageNum));
+        }
+        matched = index;
+        current = segments[index];
+        last = null;
+        continue;
+      }
+
+      if (table.kind === 'layout' && current && ELEMENT_ID_RE.test(cells.id)) {
+        last = {
+          position: current.elements.length,
+          elementId: cells.id,
+          name: cells.name || '',
+          standard: { status: cells.standardStatus || '', format: cells.standardFormat || '' },
+          bdew: { status: cells.bdewStatus || '', format: cells.bdewFormat || '' },
+          note: cells.note || '',
+          codes: [],
+          pageNum,
+        };
+        addCodeLine(last, cells.note);
+        current.elements.push(last);
+        continue;
+      }
+
+      // Text in the first column that is no entry (a segment or chapter
+      // heading) or a note ends the table. Code lines ("293 DE, BDEW") look
+      // like numbered headings, but stand in the Anwendung column.
+      if (cells[table.columns[0].field] || TABLE_END_RE.test(text)) {
+        table = null;
+        last = null;
+        continue;
+      }
+
+      // Continuation of a wrapped name or note
+      if (last) {
+        if (cells.name) last.name = `${last.name} ${cells.name}`.trim();
+        if (cells.note && 'note' in last) {
+          last.note = `${last.note} ${cells.note}`.trim();
+          // Not a code of its own: the wrapped name of the code above
+          const code = last.codes[last.codes.length - 1];
+          if (!addCodeLine(last, cells.note) && code) code.name = `${code.name} ${cells.note}`.trim();
+        }
+      }
+    }
+  }
+
+  return segments;
+}
+
+function structureEntry(cells, position, groups, pageNum) {
+  const code = cells.code;
+  const level = parseInt(cells.level, 10);
+  const kind = SEGMENT_GROUP_RE.test(code) ? 'group' : 'segment';
+
+  // A group opens at its level; its segments share that level
+  let segmentGroup;
+  if (kind === 'group') {
+    const depth = Number.isInteger(level) && level > 0 ? level : 1;
+    groups.length = depth - 1;
+    segmentGroup = groups[depth - 2] || '';
+    groups[depth - 1] = code;
+  } else {
+    segmentGroup = Number.isInteger(level) && level > 0 ? groups[level - 1] || '' : '';
+  }
+
+  return {
+    position,
+    counter: cells.counter,
+    number: cells.number || '',
+    code,
+    kind,
+    segmentGroup,
+    path: kind === 'segment' && segmentGroup ? `${segmentGroup}/${code}` : code,
+    level: Number.isInteger(level) ? level : null,
+    name: cells.name || '',
+    standard: { status: cells.standardStatus || '', maxRepetition: repetition(cells.standardMaxRepetition) },
+    bdew: { status: cells.bdewStatus || '', maxRepetition: repetition(cells.bdewMaxRepetition) },
+    pageNum,
+    elements: [],
+  };
+}
+
+// A layout table whose segment is missing from the structure table
+function layoutOnlySegment(cells, position, pageNum) {
+  return {
+    position,
+    counter: '',
+    number: '',
+    code: cells.id,
+    kind: 'segment',
+    segmentGroup: '',
+    path: cells.id,
+    level: null,
+    name: cells.name || '',
+    standard: { status: cells.standardStatus || '', maxRepetition: null },
+    bdew: { status: cells.bdewStatus || '', maxRepetition: null },
+    pageNum,
+    elements: [],
+  };
+}
+
+/**
+ * Add the code an Anwendung line starts with to the element's code list. The
+ * code must fit the element's format (BDEW, else Standard), so notes such
+ * as "MP-ID" or "Name" are no codes; without a format, codes are at most
+ * three characters.
+ * @returns {boolean} whether the line listed a code
+ */
+function addCodeLine(element, text) {
+  const match = String(text || '').match(CODE_LINE_RE);
+  if (!match) return false;
+  const [, code, name = ''] = match;
+  const format = parseFormat(element.bdew.format) || parseFormat(element.standard.format);
+  if (format ? !fitsFormat(code, format) : code.length > 3) return false;
+  element.codes.push({ code, name });
+  return true;
+}
+
+function fitsFormat(value, { type, variable, length }) {
+  if (type === 'n' && !/^\d+$/.test(value)) return false;
+  if (type === 'a' && !/^[A-Z]+$/.test(value)) return false;
+  return variable ? value.length <= length : value.length === length;
+}
+
+function repetition(value) {
+  const n = parseInt(value, 10);
+  return Number.isInteger(n) ? n : null;
+}
+
+/**
+ * Column layout of a header row, or null for any other row.
+ * @returns {{kind: 'structure'|'layout', columns: {field: string, start: number}[]}|null}
+ */
+function detectHeader(rowItems) {
+  const labels = mergeAdjacentItems([...rowItems].sort((a, b) => a.x - b.x))
+    .map(item => ({ ...item, label: item.text.toLowerCase().replace(/[\s.\-]/g, '') }));
+  const has = label => labels.some(l => l.label === label);
+  if (!has('bez')) return null;
+
+  const kind = has('format') ? 'layout'
+    : has('maxwdh') && has('zähler') ? 'structure'
+    : null;
+  if (!kind) return null;
+
+  const fields = kind === 'layout' ? LAYOUT_FIELDS : STRUCTURE_FIELDS;
+  const seen = {};
+  const columns = [];
+  for (const { label, x } of labels) {
+    const field = fields[label];
+    if (!field) continue;
+    const occurrence = seen[label] = (seen[label] || 0) + 1;
+    const name = Array.isArray(field) ? field[occurrence - 1] : occurrence === 1 ? field : null;
+    if (name) columns.push({ field: name, start: x - COLUMN_MARGIN });
+  }
+  return { kind, columns };
+}
+
+function assignCells(rowItems, columns) {
+  const cells = {};
+  for (const item of [...rowItems].sort((a, b) => a.x - b.x)) {
+    let column = columns[0];
+    for (const c of columns) if (item.x >= c.start) column = c;
+    cells[column.field] = cells[column.field] ? `${cells[column.field]} ${item.text}` : item.text;
+  }
+  return cells;
+}
@@ -0,0 +1,612 @@
+import { parseStatus } from './expression.mjs';
+
+// --- Database schema migrations ---
+//
+// Every schema change is one step below, applied in order and recorded in
+// `schema_version`. Steps are idempotent (IF NOT EXISTS, missing columns
+// only, backfills limited to rows not filled yet), so files written before
+// version tracking existed are brought up to date by running all of them.
+// Never edit a released step — append a new one.
+
+const SEGMENT_COUNTER_RE = /^\d{5}$/;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'documents, sections and rows',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS documents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version TEXT NOT NULL,
+          filename TEXT NOT NULL,
+          page_count INTEGER,
+          parsed_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS sections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          section_order INTEGER NOT NULL,
+          title TEXT,
+          pruefidentifikator TEXT NOT NULL,
+          kommunikation_von TEXT,
+          status_col1_header TEXT,
+          status_col2_header TEXT,
+          page_start INTEGER,
+          FOREIGN KEY (document_id) REFERENCES documents(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS rows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          section_id INTEGER NOT NULL,
+          row_order INTEGER NOT NULL,
+          segment_group TEXT,
+          segment_code TEXT,
+          data_element TEXT,
+          beschreibung TEXT,
+          status_col1 TEXT,
+          status_col2 TEXT,
+          bedingung TEXT,
+          is_label INTEGER DEFAULT 0,
+          FOREIGN KEY (section_id) REFERENCES sections(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sections_document ON sections(document_id);
+        CREATE INDEX IF NOT EXISTS idx_sections_pruefid ON sections(pruefidentifikator);
+        CREATE INDEX IF NOT EXISTS idx_rows_section ON rows(section_id);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'condition catalogue',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS conditions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          condition_number TEXT NOT NULL,
+          text TEXT NOT NULL,
+          source TEXT,
+          page INTEGER,
+          FOREIGN KEY (document_id) REFERENCES documents(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_conditions_document ON conditions(document_id);
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'rows.status_cols (any number of status columns)',
+    up(db) {
+      addColumn(db, 'rows', 'status_cols', 'TEXT');
+    },
+  },
+  {
+    version: 4,
+    description: 'pruefidentifikator_rows projection',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS pruefidentifikator_rows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          pruefidentifikator TEXT NOT NULL,
+          row_id INTEGER NOT NULL,
+          segment_path TEXT,
+          status TEXT,
+          status_level TEXT,
+          status_condition TEXT,
+          FOREIGN KEY (document_id) REFERENCES documents(id),
+          FOREIGN KEY (row_id) REFERENCES rows(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_pid_rows_lookup ON pruefidentifikator_rows(document_id, pruefidentifikator);
+      `);
+      backfillPruefidentifikatorRows(db);
+    },
+  },
+  {
+    version: 5,
+    description: 'segment tree: rows.code, segment_path, parent_path, node_type',
+    up(db) {
+      addColumn(db, 'rows', 'code', 'TEXT');
+      addColumn(db, 'rows', 'segment_path', 'TEXT');
+      addColumn(db, 'rows', 'parent_path', 'TEXT');
+      addColumn(db, 'rows', 'node_type', 'TEXT');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_rows_segment_path ON rows(segment_path)`);
+      backfillSegmentPaths(db);
+    },
+  },
+  {
+    version: 6,
+    description: 'documents.content_hash (document library)',
+    up(db) {
+      addColumn(db, 'documents', 'content_hash', 'TEXT');
+      db.run(`CREATE INDEX IF NOT EXISTS idx_documents_hash ON documents(content_hash)`);
+    },
+  },
+  {
+    version: 7,
+    description: 'stored comparison results',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS comparisons (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          old_document_id INTEGER NOT NULL,
+          new_document_id INTEGER NOT NULL,
+          options TEXT,
+          summary TEXT,
+          condition_summary TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          FOREIGN KEY (old_document_id) REFERENCES documents(id),
+          FOREIGN KEY (new_document_id) REFERENCES documents(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS section_diffs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          comparison_id INTEGER NOT NULL,
+          diff_order INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          pruefidentifikator TEXT NOT NULL,
+          old_section_id INTEGER,
+          new_section_id INTEGER,
+          columns TEXT,
+          regrouping TEXT,
+          meta_changes TEXT,
+          FOREIGN KEY (comparison_id) REFERENCES comparisons(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS row_diffs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          section_diff_id INTEGER NOT NULL,
+          diff_order INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          row_key TEXT,
+          key_old TEXT,
+          similarity REAL,
+          old_row_id INTEGER,
+          new_row_id INTEGER,
+          impact TEXT,
+          conditions TEXT,
+          FOREIGN KEY (section_diff_id) REFERENCES section_diffs(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS field_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          row_diff_id INTEGER NOT NULL,
+          change_order INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          pruefidentifikator TEXT,
+          old_value TEXT,
+          new_value TEXT,
+          status_impact TEXT,
+          expression_outcome TEXT,
+          detail TEXT,
+          FOREIGN KEY (row_diff_id) REFERENCES row_diffs(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS condition_diffs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          comparison_id INTEGER NOT NULL,
+          diff_order INTEGER NOT NULL,
+          type TEXT NOT NULL,
+          condition_number TEXT NOT NULL,
+          old_text TEXT,
+          new_text TEXT,
+          referenced_by TEXT,
+          FOREIGN KEY (comparison_id) REFERENCES comparisons(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_section_diffs_comparison ON section_diffs(comparison_id);
+        CREATE INDEX IF NOT EXISTS idx_row_diffs_section_diff ON row_diffs(section_diff_id);
+        CREATE INDEX IF NOT EXISTS idx_field_changes_row_diff ON field_changes(row_diff_id);
+        CREATE INDEX IF NOT EXISTS idx_field_changes_field ON field_changes(field);
+        CREATE INDEX IF NOT EXISTS idx_condition_diffs_comparison ON condition_diffs(comparison_id);
+      `);
+    },
+  },
+  {
+    version: 8,
+    description: 'review state per document pair',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS reviews (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          old_document_id INTEGER NOT NULL,
+          new_document_id INTEGER NOT NULL,
+          target_type TEXT NOT NULL,
+          target_key TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          assignee TEXT,
+          comment TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          UNIQUE (old_document_id, new_document_id, target_type, target_key),
+          FOREIGN KEY (old_document_id) REFERENCES documents(id),
+          FOREIGN KEY (new_document_id) REFERENCES documents(id)
+        );
+      `);
+    },
+  },
+  {
+    version: 9,
+    description: 'rows.page and full-text search index',
+    up(db) {
+      addColumn(db, 'rows', 'page', 'INTEGER');
+      // FTS4: the sql.js build has no FTS5. Only `text` is tokenized.
+      db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts4(
+          text, field, document_id, section_id, row_id, pruefidentifikator, condition_number, page,
+          notindexed=field, notindexed=document_id, notindexed=section_id, notindexed=row_id,
+          notindexed=pruefidentifikator, notindexed=condition_number, notindexed=page,
+          tokenize=unicode61
+        );
+      `);
+      backfillSearchIndex(db);
+    },
+  },
+  {
+    version: 10,
+    description: 'documents.message_type (message-type profiles)',
+    up(db) {
+      // Documents parsed before profiles existed keep NULL: the type was never read
+      addColumn(db, 'documents', 'message_type', 'TEXT');
+    },
+  },
+  {
+    version: 11,
+    description: 'MIG documents, segments and data elements',
+    up(db) {
+      db.run(`
+        CREATE TABLE IF NOT EXISTS mig_documents (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          version TEXT NOT NULL,
+          message_type TEXT,
+          filename TEXT NOT NULL,
+          page_count INTEGER,
+          parsed_at TEXT NOT NULL DEFAULT (datetime('now')),
+          content_hash TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS mig_segments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          counter TEXT,
+          number TEXT,
+          code TEXT NOT NULL,
+          kind TEXT NOT NULL,
+          segment_group TEXT,
+          path TEXT,
+          level INTEGER,
+          name TEXT,
+          standard_status TEXT,
+          standard_max_repetition INTEGER,
+          bdew_status TEXT,
+          bdew_max_repetition INTEGER,
+          page INTEGER,
+          FOREIGN KEY (document_id) REFERENCES mig_documents(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS mig_elements (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          segment_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          element_id TEXT NOT NULL,
+          name TEXT,
+          standard_status TEXT,
+          standard_format TEXT,
+          bdew_status TEXT,
+          bdew_format TEXT,
+          note TEXT,
+          page INTEGER,
+          FOREIGN KEY (segment_id) REFERENCES mig_segments(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_mig_documents_hash ON mig_documents(content_hash);
+        CREATE INDEX IF NOT EXISTS idx_mig_segments_document ON mig_segments(document_id);
+        CREATE INDEX IF NOT EXISTS idx_mig_elements_segment ON mig_elements(segment_id);
+      `);
+    },
+  },
+  {
+    version: 12,
+    description: 'mig_elements.codes (MIG code lists)',
+    up(db) {
+      // MIGs stored before keep NULL: read as an empty code list
+      addColumn(db, 'mig_elements', 'codes', 'TEXT');
+    },
+  },
+  {
+    version: 13,
+    description: 'changelog_entries (Änderungshistorie)',
+    up(db) {
+      // Documents parsed before have no entries: the table was never read
+      db.run(`
+        CREATE TABLE IF NOT EXISTS changelog_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          entry_order INTEGER NOT NULL,
+          change_id TEXT NOT NULL,
+          ort TEXT,
+          bisher TEXT,
+          neu TEXT,
+          grund TEXT,
+          status TEXT,
+          page INTEGER,
+          FOREIGN KEY (document_id) REFERENCES documents(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_changelog_document ON changelog_entries(document_id);
+      `);
+    },
+  },
+  {
+    version: 14,
+    description: 'use_cases and use_case_issues (Anwendungsfall overview)',
+    up(db) {
+      // Documents parsed before have neither: the overview was never read
+      db.run(`
+        CREATE TABLE IF NOT EXISTS use_cases (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          entry_order INTEGER NOT NULL,
+          pruefidentifikator TEXT NOT NULL,
+          anwendungsfall TEXT,
+          kommunikation_von TEXT,
+          page INTEGER,
+          FOREIGN KEY (document_id) REFERENCES documents(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS use_case_issues (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          document_id INTEGER NOT NULL,
+          kind TEXT NOT NULL,
+          pruefidentifikator TEXT NOT NULL,
+          message TEXT,
+          overview TEXT,
+          table_value TEXT,
+          page INTEGER,
+          FOREIGN KEY (document_id) REFERENCES documents(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_use_cases_document ON use_cases(document_id);
+        CREATE INDEX IF NOT EXISTS idx_use_case_issues_document ON use_case_issues(document_id);
+      `);
+    },
+  },
+  {
+    version: 15,
+    description: 'sections.kommunikation_von_cols and status_col_headers (one entry per Prüfidentifikator)',
+    up(db) {
+      // Left empty for documents parsed before: they are read from the comma-joined
+      // kommunikation_von and the two status_col*_header columns
+      addColumn(db, 'sections', 'kommunikation_von_cols', 'TEXT');
+      addColumn(db, 'sections', 'status_col_headers', 'TEXT');
+    },
+  },
+  {
+    version: 16,
+    description: 'documents.parser_version',
+    up(db) {
+      // NULL for documents parsed before: older than any versioned parser
+      addColumn(db, 'documents', 'parser_version', 'INTEGER');
+    },
+  },
+  {
+    version: 17,
+    description: 'row review keys by segment path instead of row ID',
+    up(db) {
+      rekeyRowReviews(db);
+    },
+  },
+  {
+    version: 18,
+    description: 'use_cases.source (overview or chapter headings)',
+    up(db) {
+      // Use cases stored before came from the overview: NULL is read as 'overview'
+      addColumn(db, 'use_cases', 'source', 'TEXT');
+    },
+  },
+];
+
+/**
+ * Schema version written by this code.
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Schema version of a database: the highest applied migration, 0 for a
+ * database without version tracking.
+ */
+export function getSchemaVersion(db) {
+  if (!tableExists(db, 'schema_version')) return 0;
+  const result = db.exec(`SELECT MAX(version) FROM schema_version`);
+  return result[0].values[0][0] || 0;
+}
+
+/**
+ * Bring a database up to SCHEMA_VERSION. Each step runs in its own
+ * transaction; a failing step leaves the database at the previous version.
+ * @throws {Error} if the database was written by a newer PDFCompare
+ * @returns {number[]} versions applied
+ */
+export function migrate(db) {
+  const current = getSchemaVersion(db);
+  if (current > SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${current} is newer than this PDFCompare supports ` +
+      `(version ${SCHEMA_VERSION}). Update PDFCompare to open this file.`
+    );
+  }
+
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+
+  const applied = [];
+  for (const step of MIGRATIONS.filter(m => m.version > current)) {
+    db.run('BEGIN');
+    try {
+      step.up(db);
+      db.run(`INSERT INTO schema_version (version, description) VALUES (?, ?)`,
+        [step.version, step.description]);
+      db.run('COMMIT');
+    } catch (err) {
+      db.run('ROLLBACK');
+      throw new Error(`Database migration to version ${step.version} (${step.description}) failed: ${err.message}`);
+    }
+    applied.push(step.version);
+  }
+  return applied;
+}
+
+function tableExists(db, table) {
+  const result = db.exec(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  return result.length > 0;
+}
+
+function addColumn(db, table, column, type) {
+  const columns = db.exec(`PRAGMA table_info(${table})`)[0].values.map(c => c[1]);
+  if (!columns.includes(column)) db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+}
+
+// --- Backfills for rows stored before a step ---
+
+function backfillPruefidentifikatorRows(db) {
+  const result = db.exec(`
+    SELECT r.id, s.document_id, s.pruefidentifikator, r.segment_group, r.segment_code,
+           r.data_element, r.status_col1, r.status_col2, r.status_cols
+    FROM rows r JOIN sections s ON r.section_id = s.id
+    WHERE r.is_label = 0 AND r.id NOT IN (SELECT row_id FROM pruefidentifikator_rows)
+  `);
+  if (!result.length) return;
+
+  const stmt = db.prepare(`
+    INSERT INTO pruefidentifikator_rows (document_id, pruefidentifikator, row_id,
+      segment_path, status, status_level, status_condition)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (const [rowId, docId, pids, sg, sc, de, col1, col2, cols] of result[0].values) {
+    const statusCols = cols ? JSON.parse(cols) : [col1 || '', col2 || ''];
+    const segmentPath = [sg, sc, de].filter(Boolean).join('/');
+    pids.split(',').filter(Boolean).forEach((pid, i) => {
+      const status = (statusCols[i] || '').trim();
+      const { level, condition } = parseStatus(status);
+      stmt.run([docId, pid, rowId, segmentPath, status, level, condition]);
+    });
+  }
+  stmt.free();
+}
+
+/**
+ * Rows parsed before the segment tree carry all codes of a data element in
+ * one row; the first word of the Beschreibung is taken as its code, as the
+ * row matching of that time did.
+ */
+function backfillSegmentPaths(db) {
+  const result = db.exec(`
+    SELECT id, segment_group, segment_code, data_element, beschreibung, is_label
+    FROM rows WHERE segment_path IS NULL
+  `);
+  if (!result.length) return;
+
+  const stmt = db.prepare(`
+    UPDATE rows SET code = ?, segment_path = ?, parent_path = ?, node_type = ? WHERE id = ?
+  `);
+  for (const [id, sg, sc, de, beschreibung, isLabel] of result[0].values) {
+    const dataElement = SEGMENT_COUNTER_RE.test(de || '') ? '' : de;
+    const firstWord = (beschreibung || '').trim().split(/\s+/)[0];
+    const code = dataElement && /^[A-Z0-9_]{1,10}$/.test(firstWord) ? firstWord : '';
+    const parts = [sg, sc, dataElement, code].filter(Boolean);
+    let nodeType = 'text';
+    if (isLabel) nodeType = 'label';
+    else if (code) nodeType = 'code';
+    else if (dataElement) nodeType = 'element';
+    else if (sc) nodeType = 'segment';
+    else if (sg) nodeType = 'group';
+    stmt.run([code, isLabel ? '' : parts.join('/'), parts.slice(0, -1).join('/'), nodeType, id]);
+  }
+  stmt.free();
+
+  db.run(`
+    UPDATE pruefidentifikator_rows
+    SET segment_path = (SELECT segment_path FROM rows WHERE rows.id = pruefidentifikator_rows.row_id)
+  `);
+}
+
+/**
+ * Index every document not in the search index yet. Rows parsed before
+ * rows.page existed are found on their section's first page.
+ */
+function backfillSearchIndex(db) {
+  const result = db.exec(`SELECT id FROM documents WHERE id NOT IN (SELECT DISTINCT document_id FROM search_index)`);
+  if (!result.length) return;
+
+  const statements = [
+    `INSERT INTO search_index (text, field, document_id, section_id, pruefidentifikator, page)
+     SELECT title, 'title', document_id, id, pruefidentifikator, page_start
+     FROM sections WHERE title != '' AND document_id = ?`,
+    `INSERT INTO search_index (text, field, document_id, section_id, row_id, pruefidentifikator, page)
+     SELECT r.beschreibung, 'beschreibung', s.document_id, s.id, r.id, s.pruefidentifikator, COALESCE(r.page, s.page_start)
+     FROM rows r JOIN sections s ON r.section_id = s.id
+     WHERE r.beschreibung != '' AND s.document_id = ?`,
+    `INSERT INTO search_index (text, field, document_id, section_id, row_id, pruefidentifikator, page)
+     SELECT r.bedingung, 'bedingung', s.document_id, s.id, r.id, s.pruefidentifikator, COALESCE(r.page, s.page_start)
+     FROM rows r JOIN sections s ON r.section_id = s.id
+     WHERE r.bedingung != '' AND s.document_id = ?`,
+    `INSERT INTO search_index (text, field, document_id, section_id, row_id, pruefidentifikator, page)
+     SELECT p.status, 'status', p.document_id, s.id, r.id, p.pruefidentifikator, COALESCE(r.page, s.page_start)
+     FROM pruefidentifikator_rows p JOIN rows r ON p.row_id = r.id JOIN sections s ON r.section_id = s.id
+     WHERE p.status != '' AND p.document_id = ?`,
+    `INSERT INTO search_index (text, field, document_id, condition_number, page)
+     SELECT text, 'condition', document_id, condition_number, page
+     FROM conditions WHERE document_id = ?`,
+  ];
+  for (const [docId] of result[0].values) {
+    for (const sql of statements) db.run(sql, [docId]);
+  }
+}
+
+/**
+ * Rewrite row review keys stored as "<pids>|<old row id>|<new row id>" to
+ * the segment path and occurrence of each row (see rowReviewKey). Keys whose
+ * rows are gone already stay as they are.
+ */
+function rekeyRowReviews(db) {
+  const result = db.exec(`SELECT id, target_key FROM reviews WHERE target_type = 'row'`);
+  if (!result.length) return;
+
+  const refStmt = db.prepare(`
+    SELECT COALESCE(r.segment_path, ''),
+           (SELECT COUNT(*) FROM rows o
+            WHERE o.section_id = r.section_id AND COALESCE(o.segment_path, '') = COALESCE(r.segment_path, '')
+              AND o.row_order < r.row_order)
+    FROM rows r WHERE r.id = ?
+  `);
+  const rowRef = rowId => {
+    if (rowId === '') return '';
+    if (!/^\d+$/.test(rowId)) return null;
+    refStmt.bind([Number(rowId)]);
+    const ref = refStmt.step() ? refStmt.get() : null;
+    refStmt.reset();
+    return ref && `${ref[0]}#${ref[1]}`;
+  };
+
+  const updateStmt = db.prepare(`UPDATE OR IGNORE reviews SET target_key = ? WHERE id = ?`);
+  for (const [id, key] of result[0].values) {
+    const [pids, oldRowId, newRowId, ...rest] = key.split('|');
+    if (rest.length || newRowId === undefined) continue;
+    const oldRef = rowRef(oldRowId);
+    const newRef = rowRef(newRowId);
+    if (oldRef === null || newRef === null) continue;
+    updateStmt.run([`${pids}|${oldRef}|${newRef}`, id]);
+  }
+  refStmt.free();
+  updateStmt.free();
+}
@@ -1,7 +1,10 @@
 import fs from 'fs';
 import { getDocument } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { getProfile, detectMessageType, parseMessageType } from './profiles.mjs';
 
-// --- Column x-coordinate boundaries (derived from PDF analysis) ---
+// --- Default column x-coordinate boundaries (derived from PDF analysis) ---
+// Used only when a page carries no table header and no earlier page
+// provided a detected layout.
 const COL = {
   EDIFACT_MAX: 170,
   BESCHREIBUNG_MAX: 305,
@@ -15,22 +18,123 @@ const EDIFACT_SUB = {
 };
 
 const ROW_Y_THRESHOLD = 5;
-const HEADER_Y_MIN = 775;
+const HEADER_MARGIN_TOP = 67;
 const FOOTER_Y_MAX = 30;
 
+// Horizontal gap below which adjacent header items belong to the same column
+const HEADER_ITEM_GAP = 4;
+// Distance kept between a detected column start and the boundary before it
+const COLUMN_MARGIN = 8;
+const BEDINGUNG_MARGIN = 2;
+// Änderungshistorie and overview cells start at their header label (Ort 108pt, label 109pt)
+const LABEL_COLUMN_MARGIN = 4;
+// Offsets between the first segment code / data element and the sub-column boundary
+const SEG_CODE_MARGIN = 7.8;
+const DATA_ELEMENT_MARGIN = 6.5;
+
+// Codes / qualifiers start at the left edge of the Beschreibung column,
+// their name follows indented (e.g. "Z01" at 180pt, "Laufende Nummer" at 212pt)
+const CODE_COLUMN_TOLERANCE = 4;
+const CODE_NAME_INDENT = 15;
+
 const SEGMENT_GROUP_RE = /^SG\d+$/;
-const KNOWN_SEGMENTS = new Set([
-  'UNH', 'BGM', 'DTM', 'NAD', 'CTA', 'COM', 'CNI', 'LOC',
-  'STS', 'RFF', 'FTX', 'EQD', 'GID', 'UNT', 'DOC', 'MEA',
-  'QTY', 'TDT', 'SEQ', 'PCI', 'GIN', 'IDE', 'DGS',
-]);
+const SEGMENT_COUNTER_RE = /^\d{5}$/;
+const CODE_RE = /^[A-Z0-9][A-Z0-9_]*$/;
+const CONDITION_DEF_RE = /^\[(\d+)\]\s*(.*)$/;
+const CONDITION_APPENDIX_RE = /^(\d+(\.\d+)*\s+)?(Bedingungen|Hinweise|Bedingungen und Hinweise|Bedingungen\/Hinweise)$/i;
+const CHAPTER_HEADING_RE = /^\d+(\.\d+)*\s+[A-ZÄÖÜ]/;
+const CHANGELOG_HEADING_RE = /^(\d+(\.\d+)*\s+)?Änderungshistorie$/i;
+const CHANGE_ID_RE = /^\d+$/;
+// Chapter number and title at the left margin ("5.2 Übermittlung …"); table of
+// contents lines end in dot leaders
+const CHAPTER_TITLE_RE = /^(\d{1,2}(?:\.\d{1,2})*)\s+([A-ZÄÖÜ].*)$/;
+const TOC_LEADER_RE = /\.{4,}/;
+
+// Änderungshistorie header label → field. A single "Änderungen" column is
+// read as the new text; a "Bisher / Neu" sub-header splits it in two.
+const CHANGELOG_FIELDS = {
+  ändid: 'changeId',
+  änd: 'changeId',
+  ort: 'ort',
+  änderungen: 'neu',
+  bisher: 'bisher',
+  neu: 'neu',
+  grundderanpassung: 'grund',
+  grund: 'grund',
+  status: 'status',
+};
+
+// Anwendungsfall overview header label → field. Roles are one "Kommunikation
+// von" column ("LF an NB"), or a sender and a receiver column.
+const USE_CASE_FIELDS = {
+  prüfidentifikator: 'pruefidentifikator',
+  prüfidentifikatoren: 'pruefidentifikator',
+  prüfi: 'pruefidentifikator',
+  pid: 'pruefidentifikator',
+  anwendungsfall: 'anwendungsfall',
+  anwendungsfälle: 'anwendungsfall',
+  bezeichnung: 'anwendungsfall',
+  kommunikation: 'kommunikationVon',
+  kommunikationvon: 'kommunikationVon',
+  sender: 'sender',
+  absender: 'sender',
+  von: 'sender',
+  empfänger: 'empfaenger',
+  an: 'empfaenger',
+  kapitel: 'ignored',
+  seite: 'ignored',
+};
+const PRUEFIDENTIFIKATOR_LIST_RE = /^\d{5}(?:\s*[,/]?\s*\d{5})*$/;
+
+/**
+ * Kinds of inconsistencies between the Anwendungsfall overview and the
+ * tables: `missing-table` is listed but has no table, `missing-overview` has
+ * a table but is not listed, `kommunikation` names other roles. Without an
+ * overview, a use case chapter without a table is `missing-table`.
+ */
+export const USE_CASE_ISSUE_KINDS = ['missing-table', 'missing-overview', 'kommunikation'];
+
+/**
+ * Version of what parsePDF() extracts. Raise it whenever the output changes;
+ * a library parses a stored PDF again when it was parsed by an older version
+ * (see importPDF).
+ */
+export const PARSER_VERSION = 3;
 
 /**
  * Parse a PDF file and extract structured section/row data.
  * @param {string} filePath - Path to the PDF file
- * @returns {Promise<{version: string, sections: Section[]}>}
+ * @param {object} [options]
+ * @param {string} [options.messageType] - EDIFACT message type (e.g. "UTILMD");
+ *   detected from the cover page when omitted
+ * @returns {Promise<{version: string, messageType: string|null, sections: Section[], conditions: Condition[], changelog: ChangelogEntry[], useCases: UseCase[], useCaseIssues: UseCaseIssue[], columnLayouts: ColumnLayout[], pageCount: number, parserVersion: number}>}
  */
-export async function parsePDF(filePath) {
+export async function parsePDF(filePath, options = {}) {
+  const forcedType = options.messageType ? parseMessageType(options.messageType) : null;
+  const { allPages, pageCount } = await readPages(filePath);
+
+  const version = detectVersion(allPages);
+  const messageType = forcedType || detectMessageType(pageText(allPages[0]));
+  const { sections, conditions, changelog, useCases: overview, chapters, columnLayouts } =
+    buildSections(allPages, getProfile(messageType));
+
+  // The overview names the use cases where there is one, else the chapter headings do
+  const useCases = overview.length ? overview : chapterUseCases(chapters);
+  const useCaseIssues = overview.length ? applyUseCases(sections, overview) : chapterIssues(chapters);
+
+  return {
+    version, messageType, sections, conditions, changelog, useCases, useCaseIssues, columnLayouts, pageCount,
+    parserVersion: PARSER_VERSION,
+  };
+}
+
+/**
+ * Read the text items of every page with their positions. Shared by the AHB
+ * parser and the MIG parser (mig-parser.mjs).
+ * @param {string} filePath - Path to the PDF file
+ * @returns {Promise<{allPages: {pageNum: number, width: number, height: number, items: object[]}[], pageCount: number}>}
+ */
+export async function readPages(filePath) {
   const fileData = new Uint8Array(fs.readFileSync(filePath));
   const doc = await getDocument({ data: fileData }).promise;
 
@@ -38,8 +142,11 @@ export async function parsePDF(filePath) {
   for (let i = 1; i <= doc.numPages; i++) {
     const page = await doc.getPage(i);
     const content = await page.getTextContent();
+    const [, , pageWidth, pageHeight] = page.view;
     allPages.push({
       pageNum: i,
+      width: pageWidth,
+      height: pageHeight,
       items: content.items
         .filter(item => item.str.trim())
         .map(item => ({
@@ -52,10 +159,24 @@ export async function parsePDF(filePath) {
     });
   }
 
-  const version = detectVersion(allPages);
-  const sections = buildSections(allPages);
+  return { allPages, pageCount: doc.numPages };
+}
+
+/**
+ * Text of a page (e.g. the cover page), items joined in reading order.
+ */
+export function pageText(page) {
+  return (page?.items || []).map(i => i.text).join(' ');
+}
 
-  return { version, sections, pageCount: doc.numPages };
+/**
+ * Rows of text items between the page header and footer, top to bottom.
+ */
+export function contentRows({ height, items }) {
+  const contentItems = items.filter(
+    item => item.y < height - HEADER_MARGIN_TOP && item.y > FOOTER_Y_MAX
+  );
+  return contentItems.length ? groupIntoRows(contentItems) : [];
 }
 
 function round1(n) {
@@ -72,14 +193,16 @@ function normalizeWhitespace(text) {
   return s.replace(/\s+/g, ' ').trim();
 }
 
-function detectVersion(allPages) {
+/**
+ * Version from the title page ("Version: 2.0h", MIGs "Version: S2.1").
+ */
+export function detectVersion(allPages) {
   // Look at page 1 for version info
   // Join all text from page 1 items, then collapse spaces for version matching
-  const page1Items = allPages[0]?.items || [];
-  const allText = page1Items.map(i => i.text).join(' ');
+  const allText = pageText(allPages[0]);
 
   // First try exact match
-  const versionMatch = allText.match(/Version:\s*([\d.]+\w*)/i);
+  const versionMatch = allText.match(/Version:\s*([A-Z]?[\d.]+\w*)/i);
   if (versionMatch) {
     const ver = versionMatch[1];
     // Check if version looks incomplete (e.g., "2." due to V2.1 spacing)
@@ -121,21 +244,127 @@ function groupIntoRows(items) {
   return rows;
 }
 
-function classifyColumn(x) {
-  if (x < COL.EDIFACT_MAX) return 'edifact';
-  if (x < COL.BESCHREIBUNG_MAX) return 'beschreibung';
-  if (x < COL.STATUS1_MAX) return 'status1';
-  if (x < COL.STATUS2_MAX) return 'status2';
-  return 'bedingung';
+function classifyColumn(x, layout) {
+  if (x < layout.edifactMax) return { col: 'edifact' };
+  if (x < layout.beschreibungMax) return { col: 'beschreibung' };
+  for (let i = 0; i < layout.statusMax.length; i++) {
+    if (x < layout.statusMax[i]) return { col: 'status', index: i };
+  }
+  return { col: 'bedingung' };
 }
 
-function classifyEdifactSub(x) {
-  if (x < EDIFACT_SUB.SEG_GROUP_MAX) return 'segmentGroup';
-  if (x < EDIFACT_SUB.SEG_CODE_MAX) return 'segmentCode';
+function classifyEdifactSub(x, layout) {
+  if (x < layout.segGroupMax) return 'segmentGroup';
+  if (x < layout.segCodeMax) return 'segmentCode';
   return 'dataElement';
 }
 
-function parseRow(items) {
+// --- Column layout detection ---
+
+const DEFAULT_LAYOUT = {
+  source: 'default',
+  segGroupMax: EDIFACT_SUB.SEG_GROUP_MAX,
+  segCodeMax: EDIFACT_SUB.SEG_CODE_MAX,
+  edifactMax: COL.EDIFACT_MAX,
+  beschreibungMax: COL.BESCHREIBUNG_MAX,
+  statusMax: [COL.STATUS1_MAX, COL.STATUS2_MAX],
+};
+
+/**
+ * Derive column boundaries for one page from its table header row
+ * ("EDIFACT Struktur | Beschreibung | <status headers> | Bedingung").
+ * Status columns are located by the centres of their header texts; the
+ * EDIFACT sub-columns by the leftmost segment code and data element on
+ * the page. Pages without a header row inherit the previous layout.
+ */
+function detectColumnLayout(pageRows, previous) {
+  const header = pageRows.find(isHeaderItemRow);
+  if (!header) {
+    return { ...previous, source: previous.source === 'default' ? 'default' : 'inherited' };
+  }
+
+  const sorted = [...header].sort((a, b) => a.x - b.x);
+  const edifact = sorted.find(i => /edifact/i.test(i.text));
+  const beschreibung = sorted.find(i => /^beschreibung/i.test(i.text));
+  const bedingung = sorted.find(i => /^bedingung/i.test(i.text));
+
+  const statusHeaders = mergeAdjacentItems(
+    sorted.filter(i => i.x > beschreibung.x + beschreibung.width && i.x < bedingung.x)
+  );
+  if (!statusHeaders.length) {
+    return { ...previous, source: previous.source === 'default' ? 'default' : 'inherited' };
+  }
+
+  const centers = statusHeaders.map(h => h.x + h.width / 2);
+  const lastMax = bedingung.x - BEDINGUNG_MARGIN;
+  const pitch = centers.length > 1
+    ? (centers[centers.length - 1] - centers[0]) / (centers.length - 1)
+    : 2 * (lastMax - centers[0]);
+
+  const statusMax = centers.slice(0, -1).map((c, i) => round1((c + centers[i + 1]) / 2));
+  statusMax.push(round1(lastMax));
+
+  const edifactMax = round1(beschreibung.x - COLUMN_MARGIN);
+  const { segGroupMax, segCodeMax } = detectEdifactSubColumns(
+    pageRows.flat(), edifact.x, edifactMax, previous
+  );
+
+  return {
+    source: 'header',
+    segGroupMax,
+    segCodeMax,
+    edifactMax,
+    beschreibungMax: round1(Math.min(centers[0] - pitch / 2, statusHeaders[0].x)),
+    statusMax,
+  };
+}
+
+function isHeaderItemRow(rowItems) {
+  const texts = rowItems.map(i => i.text.toLowerCase());
+  return texts.some(t => t.includes('edifact')) &&
+    texts.some(t => t.startsWith('beschreibung')) &&
+    texts.some(t => t.startsWith('bedingung'));
+}
+
+/**
+ * Merge header items closer than HEADER_ITEM_GAP into one (a header label
+ * split into several text items). Items must be sorted by x.
+ */
+export function mergeAdjacentItems(items) {
+  const merged = [];
+  for (const item of items) {
+    const last = merged[merged.length - 1];
+    if (last && item.x - (last.x + last.width) < HEADER_ITEM_GAP) {
+      last.width = item.x + item.width - last.x;
+      last.text += ' ' + item.text;
+    } else {
+      merged.push({ ...item });
+    }
+  }
+  return merged;
+}
+
+function detectEdifactSubColumns(items, edifactX, edifactMax, previous) {
+  const inEdifact = items.filter(i => i.x >= edifactX - COLUMN_MARGIN && i.x < edifactMax);
+
+  const segCodeXs = inEdifact
+    .filter(i => /^[A-Z]{3}$/.test(i.text) && i.x > edifactX + COLUMN_MARGIN)
+    .map(i => i.x);
+  const dataElementXs = inEdifact
+    .filter(i => /^\d{4}$/.test(i.text))
+    .map(i => i.x);
+
+  const segGroupMax = segCodeXs.length
+    ? round1(Math.min(...segCodeXs) - SEG_CODE_MARGIN)
+    : previous.segGroupMax;
+  const segCodeMax = dataElementXs.length
+    ? round1(Math.min(...dataElementXs) - DATA_ELEMENT_MARGIN)
+    : previous.segCodeMax;
+
+  return { segGroupMax, segCodeMax };
+}
+
+function parseRow(items, layout) {
   const row = {
     segmentGroup: '',
     segmentCode: '',
@@ -144,21 +373,23 @@ function parseRow(items) {
     statusCol1: '',
     statusCol2: '',
     bedingung: '',
+    statusCols: [],
+    code: '',
     y: items[0]?.y || 0,
   };
 
+  const beschreibungItems = [];
   const parts = {
     beschreibung: [],
-    status1: [],
-    status2: [],
+    status: layout.statusMax.map(() => []),
     bedingung: [],
   };
 
   for (const item of items) {
-    const col = classifyColumn(item.x);
+    const { col, index } = classifyColumn(item.x, layout);
 
     if (col === 'edifact') {
-      const sub = classifyEdifactSub(item.x);
+      const sub = classifyEdifactSub(item.x, layout);
       if (sub === 'segmentGroup') {
         row.segmentGroup = row.segmentGroup
           ? row.segmentGroup + ' ' + item.text
@@ -172,19 +403,37 @@ function parseRow(items) {
           ? row.dataElement + ' ' + item.text
           : item.text;
       }
+    } else if (col === 'status') {
+      parts.status[index].push(item.text);
     } else {
-      parts[col === 'status1' ? 'status1' : col === 'status2' ? 'status2' : col].push(item.text);
+      parts[col].push(item.text);
+      if (col === 'beschreibung') beschreibungItems.push(item);
     }
   }
 
+  row.code = detectCode(beschreibungItems, layout);
+
   row.beschreibung = parts.beschreibung.join(' ');
-  row.statusCol1 = parts.status1.join(' ');
-  row.statusCol2 = parts.status2.join(' ');
+  row.statusCols = parts.status.map(p => p.join(' '));
+  row.statusCol1 = row.statusCols[0] || '';
+  row.statusCol2 = row.statusCols[1] || '';
   row.bedingung = parts.bedingung.join(' ');
 
   return row;
 }
 
+/**
+ * Code value of a Beschreibung cell: a code-like first item at the column's
+ * left edge followed by an indented name ("Z01" + "Laufende Nummer").
+ */
+function detectCode(items, layout) {
+  const [first, second] = [...items].sort((a, b) => a.x - b.x);
+  if (!first || !second) return '';
+  if (first.x > layout.edifactMax + COLUMN_MARGIN + CODE_COLUMN_TOLERANCE) return '';
+  if (!CODE_RE.test(first.text) || second.x < first.x + CODE_NAME_INDENT) return '';
+  return first.text;
+}
+
 // --- Section detection and building ---
 
 function isTableHeader(row) {
@@ -196,60 +445,188 @@ function isPruefidentifikatorHeader(row) {
   // Section-level Prüfidentifikator headers have 5-digit numeric IDs in the status columns.
   // Data rows may contain "Prüfidentifikator" text but have "X", "Muss", etc. as status values.
   if (!row.beschreibung.toLowerCase().includes('prüfidentifikator')) return false;
+  return pruefidentifikatorIds(row).length > 0;
+}
 
-  const hasNumericId = /^\d{5}$/.test(row.statusCol1.trim()) ||
-    /^\d{5}$/.test(row.statusCol2.trim()) ||
-    /^\d{5}\s+\d{5}$/.test(row.statusCol1.trim()) ||
-    /^\d{5}\s+\d{5}$/.test(row.statusCol2.trim());
-
-  return hasNumericId;
+/**
+ * All 5-digit IDs of a Prüfidentifikator header row, in column order.
+ * A cell may hold several IDs when its column boundaries were not detected.
+ */
+function pruefidentifikatorIds(row) {
+  const ids = [];
+  for (const cell of row.statusCols) {
+    const tokens = cell.trim().split(/\s+/).filter(Boolean);
+    if (!tokens.length) continue;
+    if (!tokens.every(t => /^\d{5}$/.test(t))) return [];
+    ids.push(...tokens);
+  }
+  return ids;
 }
 
 function isKommunikationVon(row) {
   return row.beschreibung.toLowerCase().includes('kommunikation von');
 }
 
-function isStatusColumnHeader(row) {
+/**
+ * Status column headers of a section, one per Prüfidentifikator;
+ * `statusCol1Header` / `statusCol2Header` mirror the first two.
+ */
+function setStatusHeaders(section, headers) {
+  section.statusColHeaders = headers;
+  section.statusCol1Header = headers[0] || '';
+  section.statusCol2Header = headers[1] || '';
+}
+
+/**
+ * Chapter heading: a chapter number at the left margin followed by its
+ * title ("5.2" + "Übermittlung der Abweisung der Summenzeitreihe"). Lines of
+ * the table of contents are no headings.
+ * @returns {{number: string, title: string}|null}
+ */
+function detectChapterHeading(rowItems, layout) {
+  if (Math.min(...rowItems.map(item => item.x)) >= layout.segGroupMax) return null;
+  const match = rowText(rowItems).match(CHAPTER_TITLE_RE);
+  if (!match || TOC_LEADER_RE.test(match[2])) return null;
+  return { number: match[1], title: match[2] };
+}
+
+// A line of the table head with nothing but status cells
+function isHeadContinuation(row) {
+  return !row.segmentGroup && !row.segmentCode && !row.dataElement && !row.beschreibung && !row.bedingung &&
+    row.statusCols.some(Boolean);
+}
+
+// "Status-" + "meldung" → "Statusmeldung", "iMS-" + "Ersteinbau" → "iMS-Ersteinbau",
+// "BKV / NB an" + "BIKO" → "BKV / NB an BIKO"
+function joinWrapped(text, line) {
+  if (/[a-zäöüß]-$/.test(text) && /^[a-zäöüß]/.test(line)) return text.slice(0, -1) + line;
+  if (text.endsWith('-')) return text + line;
+  return `${text} ${line}`.trim();
+}
+
+// A Kommunikation von cell may name several directions, one per line:
+// "MSB an LF / MSB / NB" + "NB an LF" → "MSB an LF / MSB / NB; NB an LF".
+// A line continues the previous one while that still lacks its receiver.
+function joinRoleLine(text, line) {
+  const complete = /\san\s+\S/.test(text) && !/(\/|\san)$/.test(text);
+  return complete && /\S\s+an(\s|$)/.test(line) ? `${text}; ${line}` : joinWrapped(text, line);
+}
+
+function isStatusColumnHeader(row, profile) {
   const s1 = row.statusCol1.toLowerCase();
-  const s2 = row.statusCol2.toLowerCase();
   const noEdifact = !row.segmentGroup && !row.segmentCode;
-  return noEdifact && (
-    s1.includes('meldung') || s1.includes('status') || s1.includes('antwort') ||
-    s1.includes('bestellung') || s1.includes('mitteilung') || s1.includes('information') ||
-    s1.includes('konfiguration') || s1.includes('meldung') || s1.includes('übermittlung')
-  );
+  return noEdifact && profile.statusHeaderWords.some(word => s1.includes(word));
 }
 
-function hasEdifactContent(row) {
+function hasEdifactContent(row, profile) {
   return SEGMENT_GROUP_RE.test(row.segmentGroup) ||
-    KNOWN_SEGMENTS.has(row.segmentCode) ||
+    profile.segments.has(row.segmentCode) ||
     /^\d{4,5}$/.test(row.dataElement.trim());
 }
 
-function isDataRow(row) {
-  return hasEdifactContent(row) ||
-    (row.segmentGroup && row.segmentCode);
+function isDataRow(row, profile) {
+  return hasEdifactContent(row, profile);
+}
+
+// Caption printed in the EDIFACT columns ("Nachrichten - Kopfsegment",
+// "Beginn der Nachricht"): text there, but no segment group, segment tag or
+// data element number
+function isEdifactCaption(row, profile) {
+  return Boolean(row.segmentGroup || row.segmentCode || row.dataElement) && !hasEdifactContent(row, profile);
 }
 
 function isContinuationRow(row) {
   return !row.segmentGroup && !row.segmentCode && !row.dataElement &&
-    (row.beschreibung || row.statusCol1 || row.statusCol2 || row.bedingung);
+    (row.beschreibung || row.statusCols.some(Boolean) || row.bedingung);
 }
 
 function isSectionLabel(row) {
   return !row.segmentGroup && !row.segmentCode && !row.dataElement &&
-    row.beschreibung && !row.statusCol1 && !row.statusCol2;
+    row.beschreibung && !row.statusCols.some(Boolean);
 }
 
-function buildSections(allPages) {
+function labelRow(text, pageNum) {
+  return {
+    segmentGroup: '',
+    segmentCode: '',
+    dataElement: '',
+    beschreibung: text,
+    statusCol1: '',
+    statusCol2: '',
+    statusCols: [],
+    bedingung: '',
+    code: '',
+    isLabel: true,
+    pageNum,
+  };
+}
+
+function isElementRow(row) {
+  return row && !row.isLabel && row.dataElement && !SEGMENT_COUNTER_RE.test(row.dataElement);
+}
+
+/**
+ * Rebuild the EDIFACT tree of a section: every row gets its full segment
+ * path (segment group / segment / data element / code), the path of its
+ * parent node and its node type. Segment counters (5-digit numbers in the
+ * data element column) are not part of the path.
+ */
+function assignSegmentPaths(rows) {
+  for (const row of rows) {
+    const dataElement = SEGMENT_COUNTER_RE.test(row.dataElement) ? '' : row.dataElement;
+    const parts = [row.segmentGroup, row.segmentCode, dataElement, row.code].filter(Boolean);
+    row.segmentPath = row.isLabel ? '' : parts.join('/');
+    row.parentPath = parts.slice(0, -1).join('/');
+    if (row.isLabel) row.nodeType = 'label';
+    else if (row.code && dataElement) row.nodeType = 'code';
+    else if (dataElement) row.nodeType = 'element';
+    else if (row.segmentCode) row.nodeType = 'segment';
+    else if (row.segmentGroup) row.nodeType = 'group';
+    else row.nodeType = 'text';
+  }
+}
+
+export function rowText(rowItems) {
+  return [...rowItems].sort((a, b) => a.x - b.x).map(i => i.text).join(' ');
+}
+
+function buildSections(allPages, profile) {
   const sections = [];
+  const columnLayouts = [];
+  let layout = DEFAULT_LAYOUT;
   let current = null;
   let rows = [];
   let lastRow = null;
-  let pendingTitle = '';
+  let lastCaption = null;
+  // Table head above a Prüfidentifikator row: status column headers and
+  // Kommunikation von, and which of them wrapped lines continue
+  let pendingKommunikation = null;
+  let pendingStatusHeaders = null;
+  let headField = null;
+  let inConditionAppendix = false;
+
+  // Änderungshistorie: columns of its table, once the header was read
+  const changelog = [];
+  let inChangelog = false;
+  let changelogColumns = null;
+  let openChange = null;
+
+  // Chapter headings; each names the tables below it
+  const chapters = [];
+  let chapter = null;
+
+  // Anwendungsfall overview: columns of its table while it is read
+  const useCases = [];
+  let useCaseColumns = null;
+  let openUseCases = [];
+
+  // Condition catalogue: number → { number, text, source, pageNum }
+  const conditions = new Map();
+  let openCondition = null;
 
   function finalizeSection() {
     if (current) {
+      assignSegmentPaths(rows);
       current.rows = rows;
       sections.push(current);
       rows = [];
@@ -257,74 +634,233 @@ function buildSections(allPages) {
     }
   }
 
-  for (const { pageNum, items } of allPages) {
-    const contentItems = items.filter(
-      item => item.y < HEADER_Y_MIN && item.y > FOOTER_Y_MAX
-    );
-    if (contentItems.length === 0) continue;
+  // Each condition definition starts on its own line with "[n]"; following
+  // lines without a leading "[n]" continue the open definition. The first
+  // definition of a number wins; later repeats in other rows are ignored.
+  function collectConditionLine(text, pageNum, source) {
+    const line = text.trim();
+    const match = line.match(CONDITION_DEF_RE);
+    if (match) {
+      openCondition = conditions.has(match[1])
+        ? null
+        : { number: match[1], text: match[2], source, pageNum };
+      if (openCondition) conditions.set(openCondition.number, openCondition);
+    } else if (openCondition && line) {
+      openCondition.text = (openCondition.text + ' ' + line).trim();
+    }
+  }
+
+  for (const page of allPages) {
+    const { pageNum } = page;
+    const pageRows = contentRows(page);
+    if (pageRows.length === 0) continue;
 
-    const pageRows = groupIntoRows(contentItems);
+    layout = detectColumnLayout(pageRows, layout);
+    columnLayouts.push({ pageNum, ...layout });
 
     for (const rowItems of pageRows) {
-      const parsed = parseRow(rowItems);
+      const parsed = parseRow(rowItems, layout);
+      const text = rowText(rowItems);
+
+      // Bedingungen / Hinweise appendix → condition catalogue, not table rows
+      if (CONDITION_APPENDIX_RE.test(text)) {
+        finalizeSection();
+        current = null;
+        inConditionAppendix = true;
+        inChangelog = false;
+        useCaseColumns = null;
+        openCondition = null;
+        continue;
+      }
+
+      // Anwendungsfall overview → use cases, not table rows
+      const overviewColumns = detectUseCaseHeader(rowItems);
+      if (overviewColumns) {
+        finalizeSection();
+        current = null;
+        inConditionAppendix = false;
+        inChangelog = false;
+        useCaseColumns = overviewColumns;
+        openUseCases = [];
+        continue;
+      }
+      if (useCaseColumns) {
+        if (!isTableHeader(parsed) && !isPruefidentifikatorHeader(parsed)) {
+          const cells = assignLabelCells(rowItems, useCaseColumns);
+          const pids = cells.pruefidentifikator || '';
+          // Other text in the Prüfidentifikator column (the next heading) ends the table
+          if (!pids || PRUEFIDENTIFIKATOR_LIST_RE.test(pids)) {
+            if (pids) {
+              openUseCases = pids.split(/[\s,/]+/).map(pid => ({
+                pruefidentifikator: pid, anwendungsfall: '', kommunikationVon: '', sender: '', empfaenger: '', pageNum,
+              }));
+              useCases.push(...openUseCases);
+            }
+            for (const useCase of openUseCases) {
+              for (const field of ['anwendungsfall', 'kommunikationVon', 'sender', 'empfaenger']) {
+                if (cells[field]) useCase[field] = `${useCase[field]} ${cells[field]}`.trim();
+              }
+            }
+            continue;
+          }
+        }
+        useCaseColumns = null;
+        openUseCases = [];
+      }
 
-      // Skip repeated table headers
-      if (isTableHeader(parsed)) continue;
+      // Änderungshistorie → changelog entries, not table rows
+      if (CHANGELOG_HEADING_RE.test(text)) {
+        finalizeSection();
+        current = null;
+        useCaseColumns = null;
+        inChangelog = true;
+        changelogColumns = null;
+        openChange = null;
+        chapter = null;
+        continue;
+      }
+      if (inChangelog) {
+        if (!isTableHeader(parsed) && !isPruefidentifikatorHeader(parsed)) {
+          const columns = detectChangelogHeader(rowItems, changelogColumns);
+          if (columns) {
+            changelogColumns = columns;
+            continue;
+          }
+          if (!changelogColumns) continue;
+          const cells = assignLabelCells(rowItems, changelogColumns);
+          // Other text in the ID column (the next chapter heading) ends the table
+          if (!cells.changeId || CHANGE_ID_RE.test(cells.changeId)) {
+            if (cells.changeId) {
+              openChange = { changeId: cells.changeId, ort: '', bisher: '', neu: '', grund: '', status: '', pageNum };
+              changelog.push(openChange);
+            }
+            if (openChange) {
+              for (const field of ['ort', 'bisher', 'neu', 'grund', 'status']) {
+                if (cells[field]) openChange[field] = `${openChange[field]} ${cells[field]}`.trim();
+              }
+            }
+            continue;
+          }
+        }
+        inChangelog = false;
+        openChange = null;
+      }
+      if (inConditionAppendix) {
+        if (!isTableHeader(parsed) && !isPruefidentifikatorHeader(parsed) &&
+            !CHAPTER_HEADING_RE.test(text)) {
+          collectConditionLine(text, pageNum, 'appendix');
+          continue;
+        }
+        inConditionAppendix = false;
+        openCondition = null;
+      }
+
+      // Chapter heading → ends the table before it, names the tables below it
+      const heading = detectChapterHeading(rowItems, layout);
+      if (heading) {
+        finalizeSection();
+        current = null;
+        chapter = { ...heading, pageNum, sections: [] };
+        chapters.push(chapter);
+        pendingKommunikation = null;
+        pendingStatusHeaders = null;
+        headField = null;
+        continue;
+      }
+
+      // Table header (repeated on every page); the status column headers
+      // (e.g. "Statusmeldung") are printed in it
+      if (isTableHeader(parsed)) {
+        pendingStatusHeaders = parsed.statusCols.map(s => s.trim());
+        pendingKommunikation = null;
+        headField = 'status';
+        continue;
+      }
 
       // Detect Prüfidentifikator → new section or repeated page header
       if (isPruefidentifikatorHeader(parsed)) {
-        const newPruef = [parsed.statusCol1, parsed.statusCol2].filter(Boolean).map(s => s.trim());
+        const newPruef = pruefidentifikatorIds(parsed);
         const newPruefKey = newPruef.join(',');
         const currentPruefKey = current ? current.pruefidentifikator.join(',') : '';
 
         if (current && newPruefKey === currentPruefKey) {
           // Same Prüfidentifikator as current section → repeated page header, skip
+          if (!current.kommunikationVon.length && pendingKommunikation) current.kommunikationVon = pendingKommunikation;
+          if (!current.statusColHeaders.length && pendingStatusHeaders?.some(Boolean)) setStatusHeaders(current, pendingStatusHeaders);
+          pendingKommunikation = null;
+          pendingStatusHeaders = null;
+          headField = null;
           continue;
         }
 
         // Genuinely new section
         finalizeSection();
         current = {
-          title: pendingTitle.trim(),
+          title: chapter ? chapter.title : '',
           pruefidentifikator: newPruef,
-          kommunikationVon: [],
+          kommunikationVon: pendingKommunikation || [],
+          statusColHeaders: [],
           statusCol1Header: '',
           statusCol2Header: '',
           pageStart: pageNum,
           rows: [],
         };
-        pendingTitle = '';
+        if (pendingStatusHeaders?.some(Boolean)) setStatusHeaders(current, pendingStatusHeaders);
+        chapter?.sections.push(current);
+        pendingKommunikation = null;
+        pendingStatusHeaders = null;
+        headField = null;
         lastRow = null;
         continue;
       }
 
-      // Kommunikation von row → section metadata (set once, skip repeats)
-      if (isKommunikationVon(parsed) && current) {
-        if (!current.kommunikationVon.length) {
-          current.kommunikationVon = [parsed.statusCol1, parsed.statusCol2].filter(Boolean).map(s => s.trim());
-        }
+      // Kommunikation von row → metadata of the section whose Prüfidentifikator
+      // row follows it (set once, skip repeats)
+      if (isKommunikationVon(parsed)) {
+        pendingKommunikation = parsed.statusCols.map(s => s.trim());
+        headField = 'kommunikation';
         continue;
       }
 
-      // Status column header row (e.g., "Statusmeldung  Statusmeldung")
-      if (isStatusColumnHeader(parsed) && current) {
-        if (!current.statusCol1Header) {
-          current.statusCol1Header = parsed.statusCol1.trim();
-          current.statusCol2Header = parsed.statusCol2.trim();
-        }
+      // Wrapped line of the status headers ("Status-" / "meldung") or of
+      // Kommunikation von ("BKV / NB an" / "BIKO")
+      if (headField && isHeadContinuation(parsed)) {
+        const values = headField === 'status' ? pendingStatusHeaders : pendingKommunikation;
+        const join = headField === 'status' ? joinWrapped : joinRoleLine;
+        parsed.statusCols.forEach((value, i) => {
+          if (value.trim()) values[i] = join(values[i] || '', value.trim());
+        });
+        continue;
+      }
+      headField = null;
+
+      // Status column header row (e.g., "Statusmeldung  Statusmeldung"),
+      // printed above the Prüfidentifikator row like Kommunikation von
+      if (isStatusColumnHeader(parsed, profile)) {
+        pendingStatusHeaders = parsed.statusCols.map(s => s.trim());
         continue;
       }
 
-      if (!current) {
-        // Before first section — capture text as potential section title
-        if (parsed.beschreibung && !parsed.segmentGroup) {
-          pendingTitle = parsed.beschreibung;
+      // Text between a chapter heading and its first table
+      if (!current) continue;
+
+      // Caption in the EDIFACT columns → label, not a node of the tree;
+      // captions on consecutive lines are one wrapped caption
+      if (isEdifactCaption(parsed, profile)) {
+        const text = [parsed.segmentGroup, parsed.segmentCode, parsed.dataElement, parsed.beschreibung]
+          .map(s => s.trim()).filter(Boolean).join(' ');
+        if (lastRow && lastRow === lastCaption) {
+          lastRow.beschreibung = joinWrapped(lastRow.beschreibung, text);
+        } else {
+          lastRow = lastCaption = labelRow(text, pageNum);
+          rows.push(lastRow);
         }
+        openCondition = null;
         continue;
       }
 
       // Data row with EDIFACT content
-      if (isDataRow(parsed)) {
+      if (isDataRow(parsed, profile)) {
         const dataRow = {
           segmentGroup: parsed.segmentGroup.trim(),
           segmentCode: parsed.segmentCode.trim(),
@@ -332,10 +868,36 @@ function buildSections(allPages) {
           beschreibung: parsed.beschreibung.trim(),
           statusCol1: parsed.statusCol1.trim(),
           statusCol2: parsed.statusCol2.trim(),
+          statusCols: parsed.statusCols.map(v => v.trim()),
           bedingung: parsed.bedingung.trim(),
+          code: parsed.code,
+          pageNum,
         };
         rows.push(dataRow);
         lastRow = dataRow;
+        openCondition = null;
+        if (dataRow.bedingung) collectConditionLine(dataRow.bedingung, pageNum, 'inline');
+        continue;
+      }
+
+      // Further code of the previous data element → own row in the tree
+      if (isContinuationRow(parsed) && parsed.code && isElementRow(lastRow)) {
+        const codeRow = {
+          segmentGroup: lastRow.segmentGroup,
+          segmentCode: lastRow.segmentCode,
+          dataElement: lastRow.dataElement,
+          beschreibung: parsed.beschreibung.trim(),
+          statusCol1: parsed.statusCol1.trim(),
+          statusCol2: parsed.statusCol2.trim(),
+          statusCols: parsed.statusCols.map(v => v.trim()),
+          bedingung: parsed.bedingung.trim(),
+          code: parsed.code,
+          pageNum,
+        };
+        rows.push(codeRow);
+        lastRow = codeRow;
+        openCondition = null;
+        if (codeRow.bedingung) collectConditionLine(codeRow.bedingung, pageNum, 'inline');
         continue;
       }
 
@@ -350,28 +912,23 @@ function buildSections(allPages) {
         if (parsed.statusCol2) {
           lastRow.statusCol2 += ' ' + parsed.statusCol2.trim();
         }
+        parsed.statusCols.forEach((value, i) => {
+          if (value) {
+            lastRow.statusCols[i] = ((lastRow.statusCols[i] || '') + ' ' + value.trim()).trim();
+          }
+        });
         if (parsed.bedingung) {
           lastRow.bedingung += ' ' + parsed.bedingung.trim();
+          collectConditionLine(parsed.bedingung, pageNum, 'inline');
         }
         continue;
       }
 
       // Sub-section label (e.g., "Sendungsdaten", "Meldepunkt")
       if (isSectionLabel(parsed)) {
-        const labelRow = {
-          segmentGroup: '',
-          segmentCode: '',
-          dataElement: '',
-          beschreibung: parsed.beschreibung.trim(),
-          statusCol1: '',
-          statusCol2: '',
-          bedingung: '',
-          isLabel: true,
-        };
-        rows.push(labelRow);
-        lastRow = labelRow;
-        // Also capture as potential next-section title
-        pendingTitle = parsed.beschreibung;
+        lastRow = labelRow(parsed.beschreibung.trim(), pageNum);
+        rows.push(lastRow);
+        openCondition = null;
         continue;
       }
     }
@@ -380,5 +937,159 @@ function buildSections(allPages) {
   // Finalize last section
   finalizeSection();
 
-  return sections;
+  const sortedConditions = [...conditions.values()]
+    .sort((a, b) => Number(a.number) - Number(b.number));
+
+  // Separate sender and receiver columns read as one "X an Y"
+  const roles = useCases.map(({ sender, empfaenger, ...useCase }) => ({
+    ...useCase,
+    kommunikationVon: useCase.kommunikationVon || [sender, empfaenger].filter(Boolean).join(' an '),
+    source: 'overview',
+  }));
+
+  return { sections, conditions: sortedConditions, changelog, useCases: roles, chapters, columnLayouts };
+}
+
+/**
+ * Use cases named by the chapter headings, for AHBs without an overview
+ * table: every Prüfidentifikator of a table under a heading gets the
+ * heading's title, and the Kommunikation von of its own table.
+ * @returns {UseCase[]}
+ */
+function chapterUseCases(chapters) {
+  return chapters.flatMap(chapter => chapter.sections.flatMap(section =>
+    section.pruefidentifikator.map((pid, i) => ({
+      pruefidentifikator: pid,
+      anwendungsfall: chapter.title,
+      kommunikationVon: section.kommunikationVon[i] || '',
+      pageNum: chapter.pageNum,
+      source: 'chapter',
+    }))
+  ));
+}
+
+/**
+ * Use case chapters without a table: chapters with no subchapters and no
+ * table of their own, in a top-level chapter whose other chapters have
+ * tables ("6.3" in "6", but not "2 Aufbau des Dokumentes").
+ * @returns {UseCaseIssue[]}
+ */
+function chapterIssues(chapters) {
+  const withTables = new Set(chapters.filter(c => c.sections.length).map(c => c.number.split('.')[0]));
+  return chapters
+    .filter(c => !c.sections.length && withTables.has(c.number.split('.')[0]))
+    .filter(c => !chapters.some(other => other.number.startsWith(`${c.number}.`)))
+    .map(c => ({
+      kind: 'missing-table', pruefidentifikator: '', overview: c.title, table: '', pageNum: c.pageNum,
+      message: `Chapter ${c.number} "${c.title}" has no Prüfidentifikator table`,
+    }));
+}
+
+/**
+ * Give sections the titles and roles of the Anwendungsfall overview, and
+ * collect where overview and tables disagree. A table's title becomes the
+ * Anwendungsfall of its Prüfidentifikatoren (distinct names joined by " / "),
+ * the heading above it is kept only for IDs missing from the overview. The
+ * first overview entry of a Prüfidentifikator counts.
+ * @returns {UseCaseIssue[]} `{kind, pruefidentifikator, message, overview, table, pageNum}`
+ */
+function applyUseCases(sections, useCases) {
+  if (!useCases.length) return [];
+  const byPid = new Map();
+  for (const useCase of useCases) {
+    if (!byPid.has(useCase.pruefidentifikator)) byPid.set(useCase.pruefidentifikator, useCase);
+  }
+  // "NB an NB / MSB" and "NB an NB/MSB" name the same roles
+  const roleKey = text => text.toLowerCase().replace(/\s*\/\s*/g, '/').replace(/\s+/g, ' ');
+
+  const issues = [];
+  const tabled = new Set();
+  for (const section of sections) {
+    const names = [];
+    section.kommunikationVon = section.pruefidentifikator.map((pid, i) => {
+      const own = section.kommunikationVon[i] || '';
+      const useCase = byPid.get(pid);
+      tabled.add(pid);
+      if (!useCase) {
+        issues.push({
+          kind: 'missing-overview', pruefidentifikator: pid, overview: '', table: section.title, pageNum: section.pageStart,
+          message: `Prüfidentifikator ${pid} has a table but is not listed in the Anwendungsfall overview`,
+        });
+        return own;
+      }
+      if (useCase.anwendungsfall && !names.includes(useCase.anwendungsfall)) names.push(useCase.anwendungsfall);
+      if (!useCase.kommunikationVon) return own;
+      if (own && roleKey(own) !== roleKey(useCase.kommunikationVon)) {
+        issues.push({
+          kind: 'kommunikation', pruefidentifikator: pid, overview: useCase.kommunikationVon, table: own, pageNum: section.pageStart,
+          message: `Kommunikation von of ${pid} is "${own}" in its table, "${useCase.kommunikationVon}" in the overview`,
+        });
+      }
+      return useCase.kommunikationVon;
+    });
+    if (names.length) section.title = names.join(' / ');
+  }
+
+  for (const useCase of byPid.values()) {
+    if (tabled.has(useCase.pruefidentifikator)) continue;
+    issues.push({
+      kind: 'missing-table', pruefidentifikator: useCase.pruefidentifikator, overview: useCase.anwendungsfall, table: '',
+      pageNum: useCase.pageNum,
+      message: `Prüfidentifikator ${useCase.pruefidentifikator} is listed in the Anwendungsfall overview but has no table`,
+    });
+  }
+  return issues.sort((a, b) => USE_CASE_ISSUE_KINDS.indexOf(a.kind) - USE_CASE_ISSUE_KINDS.indexOf(b.kind));
+}
+
+/**
+ * Columns of an Anwendungsfall overview header row, or null for any other
+ * row: every label must be an overview label, with a Prüfidentifikator and
+ * an Anwendungsfall column among them.
+ * @returns {{field: string, start: number}[]|null}
+ */
+function detectUseCaseHeader(rowItems) {
+  const labels = headerLabels(rowItems, USE_CASE_FIELDS);
+  const fields = labels.map(l => l.field);
+  if (labels.some(l => !l.field) || !fields.includes('pruefidentifikator') || !fields.includes('anwendungsfall')) {
+    return null;
+  }
+  return labels.map(({ field, x }) => ({ field, start: x - LABEL_COLUMN_MARGIN }));
+}
+
+// Header labels merged and matched against a label → field map
+function headerLabels(rowItems, fields) {
+  return mergeAdjacentItems([...rowItems].sort((a, b) => a.x - b.x))
+    .map(item => ({ field: fields[item.text.toLowerCase().replace(/[\s.\-]/g, '')], x: item.x }));
+}
+
+/**
+ * Columns of an Änderungshistorie header row, or null for any other row.
+ * The "Bisher / Neu" sub-header below "Änderungen" replaces that column of
+ * the `previous` header.
+ * @returns {{field: string, start: number}[]|null}
+ */
+function detectChangelogHeader(rowItems, previous) {
+  const labels = headerLabels(rowItems, CHANGELOG_FIELDS);
+  const fields = labels.map(l => l.field);
+  if (labels.some(l => !l.field)) return null;
+
+  if (fields.includes('bisher') && fields.includes('neu') && previous) {
+    return [
+      ...previous.filter(c => c.field !== 'neu'),
+      ...labels.map(({ field, x }) => ({ field, start: x - LABEL_COLUMN_MARGIN })),
+    ].sort((a, b) => a.start - b.start);
+  }
+  if (!fields.includes('changeId') || !fields.includes('ort')) return null;
+  return labels.map(({ field, x }) => ({ field, start: x - LABEL_COLUMN_MARGIN }));
+}
+
+// Cell text per column field; an item belongs to the last column starting before it
+function assignLabelCells(rowItems, columns) {
+  const cells = {};
+  for (const item of [...rowItems].sort((a, b) => a.x - b.x)) {
+    let column = columns[0];
+    for (const c of columns) if (item.x >= c.start) column = c;
+    cells[column.field] = cells[column.field] ? `${cells[column.field]} ${item.text}` : item.text;
+  }
+  return cells;
 }
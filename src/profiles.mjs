@@ -0,0 +1,127 @@
+// Message-type profiles: what the parser needs to know about one EDIFACT
+// message type. `segments` are the segment codes that mark a table row as a
+// data row; `statusHeaderWords` identify the row above the status columns
+// that names the process (e.g. "Statusmeldung", "Anmeldung NN"). Words are
+// matched as lower-case substrings of the first status column.
+
+const SERVICE_SEGMENTS = ['UNH', 'UNT', 'UNS', 'BGM', 'DTM', 'RFF', 'NAD', 'CTA', 'COM', 'FTX'];
+
+const PROFILES = {
+  IFTSTA: {
+    name: 'Multimodaler Statusbericht',
+    segments: [
+      'CNI', 'LOC', 'STS', 'EQD', 'GID', 'DOC', 'MEA', 'QTY', 'TDT', 'SEQ', 'PCI', 'GIN', 'IDE', 'DGS',
+    ],
+    statusHeaderWords: [
+      'meldung', 'status', 'antwort', 'bestellung', 'mitteilung', 'information',
+      'konfiguration', 'übermittlung',
+    ],
+  },
+  UTILMD: {
+    name: 'Stammdaten',
+    segments: [
+      'MKS', 'IDE', 'LOC', 'STS', 'AGR', 'TAX', 'SEQ', 'PIA', 'QTY', 'CCI', 'CAV', 'CUX', 'PRI', 'MOA', 'IMD',
+    ],
+    statusHeaderWords: [
+      'anmeldung', 'abmeldung', 'kündigung', 'bestätigung', 'ablehnung', 'antwort', 'änderung',
+      'stammdaten', 'zuordnung', 'information', 'anfrage', 'meldung', 'übermittlung',
+    ],
+  },
+  MSCONS: {
+    name: 'Messwerte',
+    segments: ['CUX', 'LOC', 'CCI', 'MEA', 'LIN', 'PIA', 'IMD', 'PRI', 'MOA', 'QTY', 'STS', 'SEQ'],
+    statusHeaderWords: [
+      'lastgang', 'zählerstand', 'energiemenge', 'messwert', 'zeitreihe', 'summenzeitreihe',
+      'profil', 'übermittlung', 'meldung', 'korrektur',
+    ],
+  },
+  ORDERS: {
+    name: 'Bestellung',
+    segments: [
+      'PAI', 'ALI', 'IMD', 'LOC', 'FII', 'TAX', 'CUX', 'PAT', 'TDT', 'TOD', 'PAC', 'EQD', 'SCC',
+      'LIN', 'PIA', 'QTY', 'MOA', 'PRI', 'CNT', 'SEQ', 'CCI', 'CAV', 'IDE',
+    ],
+    statusHeaderWords: [
+      'bestellung', 'anfrage', 'reklamation', 'abbestellung', 'storno', 'änderung', 'anforderung',
+    ],
+  },
+  INVOIC: {
+    name: 'Rechnung',
+    segments: [
+      'PAI', 'FII', 'TAX', 'CUX', 'PAT', 'LIN', 'PIA', 'IMD', 'QTY', 'MOA', 'PRI', 'ALC', 'CNT',
+      'MEA', 'LOC', 'SEQ', 'IDE',
+    ],
+    statusHeaderWords: [
+      'rechnung', 'gutschrift', 'storno', 'abschlag', 'abrechnung', 'zahlung',
+    ],
+  },
+};
+
+/** Message types with a profile, in the order they are documented. */
+export const MESSAGE_TYPES = Object.keys(PROFILES);
+
+/**
+ * Profile for a message type. Types without a profile of their own (and a
+ * null type, when the cover page names none) get the generic profile: the
+ * union of all segment catalogues and header vocabularies.
+ * @param {string|null} messageType - e.g. "UTILMD"
+ * @returns {{messageType: string|null, name: string, segments: Set<string>, statusHeaderWords: string[], generic: boolean}}
+ */
+export function getProfile(messageType) {
+  const profile = PROFILES[messageType];
+  if (profile) {
+    return {
+      messageType,
+      name: profile.name,
+      segments: new Set([...SERVICE_SEGMENTS, ...profile.segments]),
+      statusHeaderWords: profile.statusHeaderWords,
+      generic: false,
+    };
+  }
+  const all = Object.values(PROFILES);
+  return {
+    messageType: messageType || null,
+    name: 'Anwendungshandbuch',
+    segments: new Set([...SERVICE_SEGMENTS, ...all.flatMap(p => p.segments)]),
+    statusHeaderWords: [...new Set(all.flatMap(p => p.statusHeaderWords))],
+    generic: true,
+  };
+}
+
+/**
+ * Message type named on a cover page, e.g. "UTILMD" from
+ * "UTILMD Anwendungshandbuch" or "UTILMD Nachrichtenbeschreibung" (MIG).
+ * Any six-letter EDIFACT message name before either word is accepted, so
+ * types without a profile are still recorded.
+ * @param {string} coverText - text of the first page
+ * @returns {string|null}
+ */
+export function detectMessageType(coverText) {
+  const match = coverText.match(/\b([A-Z]{6})\s+(?:Anwendungshandbuch|Nachrichtenbeschreibung)\b/);
+  if (match) return match[1];
+  const known = MESSAGE_TYPES.find(type => new RegExp(`\\b${type}\\b`).test(coverText));
+  return known || null;
+}
+
+/**
+ * Normalize a message type given by the user (--message-type, upload form).
+ * @throws {Error} for anything that is not a six-letter EDIFACT message name
+ */
+export function parseMessageType(value) {
+  const type = String(value).trim().toUpperCase();
+  if (!/^[A-Z]{6}$/.test(type)) {
+    throw new Error(`Unknown message type "${value}" (profiles: ${MESSAGE_TYPES.join(', ')})`);
+  }
+  return type;
+}
+
+/**
+ * Report heading for documents: "UTILMD AHB", or just "AHB" when no type is
+ * known. Documents of different types are joined ("UTILMD / MSCONS AHB").
+ * @param {object[]} documents - document metadata with `messageType`
+ * @param {string} [guide] - "AHB" or "MIG"
+ */
+export function documentLabel(documents, guide = 'AHB') {
+  const types = [...new Set(documents.map(d => d.messageType).filter(Boolean))];
+  return types.length ? `${types.join(' / ')} ${guide}` : guide;
+}
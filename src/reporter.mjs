@@ -1,4 +1,9 @@
 import fs from 'fs';
+import { STATUS_IMPACTS } from './expression.mjs';
+import { THREE_WAY_TYPES } from './comparator.mjs';
+import { REVIEW_STATUSES, sectionReviewKey, rowReviewKey, reviewMapKey } from './review.mjs';
+import { documentLabel } from './profiles.mjs';
+import { MIG_CHECK_KINDS } from './mig-check.mjs';
 
 /**
  * Generate an HTML comparison report.
@@ -8,13 +13,48 @@ import fs from 'fs';
  * @param {object} stats1 - Old document stats
  * @param {object} stats2 - New document stats
  * @param {string} outputPath - Path to write the HTML file
+ * @param {object} [options] - See buildHTML()
  */
-export function generateHTMLReport(comparison, doc1, doc2, stats1, stats2, outputPath) {
-  const html = buildHTML(comparison, doc1, doc2, stats1, stats2);
+export function generateHTMLReport(comparison, doc1, doc2, stats1, stats2, outputPath, options = {}) {
+  const html = buildHTML(comparison, doc1, doc2, stats1, stats2, options);
   fs.writeFileSync(outputPath, html, 'utf8');
 }
 
-export { buildHTML };
+/**
+ * Generate an HTML report of a multi-version timeline.
+ * @param {object} timeline - Output from compareTimeline()
+ * @param {string} outputPath - Path to write the HTML file
+ */
+export function generateTimelineReport(timeline, outputPath) {
+  fs.writeFileSync(outputPath, buildTimelineHTML(timeline), 'utf8');
+}
+
+/**
+ * Generate the three-way report of a compareThreeWay() result.
+ */
+export function generateThreeWayReport(threeWay, outputPath) {
+  fs.writeFileSync(outputPath, buildThreeWayHTML(threeWay), 'utf8');
+}
+
+/**
+ * Generate the HTML report of a compareMIGs() result.
+ */
+export function generateMIGReport(migComparison, outputPath) {
+  fs.writeFileSync(outputPath, buildMIGHTML(migComparison), 'utf8');
+}
+
+/**
+ * Generate the HTML report of a checkAgainstMIG() result.
+ * @param {object} check - Output from checkAgainstMIG()
+ * @param {object} ahb - AHB metadata: version, messageType, filename, pageCount, sectionCount
+ * @param {object} mig - MIG metadata: version, messageType, filename, pageCount, segmentCount
+ * @param {string} outputPath - Path to write the HTML file
+ */
+export function generateMIGCheckReport(check, ahb, mig, outputPath) {
+  fs.writeFileSync(outputPath, buildMIGCheckHTML(check, ahb, mig), 'utf8');
+}
+
+export { buildHTML, buildTimelineHTML, buildThreeWayHTML, buildMIGHTML, buildMIGCheckHTML };
 
 function esc(text) {
   return String(text || '')
@@ -24,14 +64,61 @@ function esc(text) {
     .replace(/"/g, '&quot;');
 }
 
-function buildHTML(comparison, doc1, doc2, stats1, stats2) {
-  const { summary, sectionDiffs } = comparison;
+/**
+ * Wrap every "[n]" in already-escaped HTML in a hover/click target that
+ * shows the old and new text of condition n.
+ */
+function linkConditions(html) {
+  return html.replace(/\[(\d+)\]/g, '<span class="cond-link" data-cond="$1">[$1]</span>');
+}
+
+function condCell(text) {
+  return `<td>${linkConditions(esc(text))}</td>`;
+}
+
+/**
+ * Condition texts for the inline popovers, keyed by number.
+ * Embedded as JSON; "<" is escaped so the data cannot close the script tag.
+ */
+function conditionData(conditionDiffs) {
+  const data = {};
+  for (const cd of conditionDiffs) {
+    data[cd.number] = { type: cd.type, old: cd.old, new: cd.new };
+  }
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+/**
+ * Where the inline review controls post to; null for a read-only report.
+ */
+function reviewData(review, doc1, doc2) {
+  if (!review.api) return 'null';
+  return JSON.stringify({ api: review.api, oldDocumentId: doc1.id, newDocumentId: doc2.id })
+    .replace(/</g, '\\u003c');
+}
+
+/**
+ * Options:
+ *   reviews   — getReviews() map; shown next to each section and row change
+ *   reviewApi — absolute URL of the server's review endpoint; when given,
+ *               reviewers can set status, assignee and comment inline
+ *   changelog — reconcileChangelog() result; adds the Änderungshistorie
+ *               check of the new version
+ *   useCaseIssues — {old, new} getUseCaseIssues() of both documents; adds
+ *               their use case inconsistencies
+ */
+function buildHTML(comparison, doc1, doc2, stats1, stats2, options = {}) {
+  const { summary, sectionDiffs, conditionSummary, conditionDiffs = [] } = comparison;
+  const review = { reviews: options.reviews || new Map(), api: options.reviewApi || null };
+  const changelog = options.changelog || null;
+  const useCaseIssues = options.useCaseIssues || { old: [], new: [] };
 
   const totalRowChanges = countRowChanges(sectionDiffs);
+  const statusChanges = collectStatusChanges(sectionDiffs);
 
   let sectionsHTML = '';
   for (const sd of sectionDiffs) {
-    sectionsHTML += renderSectionDiff(sd, doc1, doc2);
+    sectionsHTML += renderSectionDiff(sd, review);
   }
 
   return `<!DOCTYPE html>
@@ -44,7 +131,7 @@ function buildHTML(comparison, doc1, doc2, stats1, stats2) {
 </head>
 <body>
   <header>
-    <h1>IFTSTA AHB Comparison Report</h1>
+    <h1>${esc(documentLabel([doc1, doc2]))} Comparison Report</h1>
     <p class="subtitle">${esc(doc1.version)} &rarr; ${esc(doc2.version)}</p>
   </header>
 
@@ -55,20 +142,24 @@ function buildHTML(comparison, doc1, doc2, stats1, stats2) {
         <h3>Old Version</h3>
         <dl>
           <dt>Version</dt><dd>${esc(doc1.version)}</dd>
+          <dt>Message Type</dt><dd>${esc(doc1.messageType || 'unknown')}</dd>
           <dt>File</dt><dd>${esc(doc1.filename)}</dd>
           <dt>Pages</dt><dd>${doc1.pageCount}</dd>
           <dt>Sections</dt><dd>${stats1.sectionCount}</dd>
           <dt>Data Rows</dt><dd>${stats1.rowCount}</dd>
+          <dt>Conditions</dt><dd>${stats1.conditionCount ?? 0}</dd>
         </dl>
       </div>
       <div class="card">
         <h3>New Version</h3>
         <dl>
           <dt>Version</dt><dd>${esc(doc2.version)}</dd>
+          <dt>Message Type</dt><dd>${esc(doc2.messageType || 'unknown')}</dd>
           <dt>File</dt><dd>${esc(doc2.filename)}</dd>
           <dt>Pages</dt><dd>${doc2.pageCount}</dd>
           <dt>Sections</dt><dd>${stats2.sectionCount}</dd>
           <dt>Data Rows</dt><dd>${stats2.rowCount}</dd>
+          <dt>Conditions</dt><dd>${stats2.conditionCount ?? 0}</dd>
         </dl>
       </div>
     </div>
@@ -79,6 +170,9 @@ function buildHTML(comparison, doc1, doc2, stats1, stats2) {
       <span class="stat added">${summary.added} Added</span>
       <span class="stat removed">${summary.removed} Removed</span>
       <span class="stat unchanged">${summary.unchanged} Unchanged</span>
+      ${summary.split ? `<span class="stat split">${summary.split} Split</span>` : ''}
+      ${summary.merged ? `<span class="stat merged">${summary.merged} Merged</span>` : ''}
+      ${summary.regrouped ? `<span class="stat regrouped">${summary.regrouped} Regrouped</span>` : ''}
     </div>
 
     <h3>Row Changes</h3>
@@ -87,9 +181,42 @@ function buildHTML(comparison, doc1, doc2, stats1, stats2) {
       <span class="stat added">${totalRowChanges.added} Added</span>
       <span class="stat removed">${totalRowChanges.removed} Removed</span>
       <span class="stat unchanged">${totalRowChanges.unchanged} Unchanged</span>
+      ${totalRowChanges.moved ? `<span class="stat moved">${totalRowChanges.moved} Moved</span>` : ''}
+      ${totalRowChanges.indirect ? `<span class="stat indirect">${totalRowChanges.indirect} Indirectly Modified</span>` : ''}
     </div>
+${conditionSummary ? `
+    <h3>Condition Changes</h3>
+    <div class="stat-row">
+      <span class="stat modified">${conditionSummary.modified} Reworded</span>
+      <span class="stat added">${conditionSummary.added} Added</span>
+      <span class="stat removed">${conditionSummary.removed} Removed</span>
+      <span class="stat unchanged">${conditionSummary.unchanged} Unchanged</span>
+    </div>` : ''}
+${changelog ? `
+    <h3>\u00C4nderungshistorie</h3>
+    <div class="stat-row">
+      <span class="stat added">${changelog.summary.found} Documented and Found</span>
+      <span class="stat removed">${changelog.summary.notFound} Documented, Not Found</span>
+      <span class="stat modified">${changelog.summary.undocumented} Found, Not Documented</span>
+    </div>` : ''}
+${statusChanges.length ? `
+    <h3>Status Changes by Impact</h3>
+    <div class="stat-row">
+      ${STATUS_IMPACTS.map(impact => {
+        const count = statusChanges.filter(sc => sc.impact === impact).length;
+        return count ? `<span class="stat impact-${impact}">${count} ${IMPACT_LABELS[impact]}</span>` : '';
+      }).join('')}
+    </div>` : ''}
   </section>
 
+  ${renderChangelog(changelog)}
+
+  ${renderUseCaseIssues(useCaseIssues, doc1, doc2)}
+
+  ${renderConditionDiffs(conditionDiffs)}
+
+  ${renderStatusChanges(statusChanges)}
+
   <section class="details">
     <h2>Section Details</h2>
     <p class="filter-hint">Click section headers to expand/collapse.</p>
@@ -100,6 +227,9 @@ function buildHTML(comparison, doc1, doc2, stats1, stats2) {
     <p>Generated by PDFCompare on ${new Date().toISOString().slice(0, 16).replace('T', ' ')}</p>
   </footer>
 
+  <div id="cond-popover" class="cond-popover" hidden></div>
+  <script>const CONDITIONS = ${conditionData(conditionDiffs)};</script>
+  <script>const REVIEW = ${reviewData(review, doc1, doc2)};</script>
   <script>${JS}</script>
 </body>
 </html>`;
@@ -115,7 +245,204 @@ function countRowChanges(sectionDiffs) {
   return counts;
 }
 
-function renderSectionDiff(sd, doc1, doc2) {
+const IMPACT_LABELS = {
+  tightened: 'Tightened',
+  relaxed: 'Relaxed',
+  introduced: 'Introduced',
+  dropped: 'Dropped',
+  'level-changed': 'Level Changed',
+  'condition-changed': 'Condition Changed',
+  cosmetic: 'Cosmetic',
+};
+
+/**
+ * Flatten all classified status-cell changes, most severe impact first.
+ * Within one impact class the document order is kept.
+ */
+function collectStatusChanges(sectionDiffs) {
+  const list = [];
+  for (const sd of sectionDiffs) {
+    for (const rd of sd.rows || []) {
+      if (rd.type !== 'modified' && rd.type !== 'moved') continue;
+      for (const change of rd.changes) {
+        if (!change.status) continue;
+        list.push({ pruefidentifikator: change.pruefidentifikator, row: rd.rowNew, change, impact: change.status.impact });
+      }
+    }
+  }
+  const rank = impact => STATUS_IMPACTS.indexOf(impact);
+  return list
+    .map((sc, i) => ({ sc, i }))
+    .sort((a, b) => rank(a.sc.impact) - rank(b.sc.impact) || a.i - b.i)
+    .map(({ sc }) => sc);
+}
+
+function renderStatusChanges(statusChanges) {
+  if (!statusChanges.length) return '';
+
+  let rowsHTML = '';
+  for (const { pruefidentifikator, row, change, impact } of statusChanges) {
+    const location = [row.segmentGroup, row.segmentCode, row.dataElement].filter(Boolean).join(' ');
+    rowsHTML += `<tr>
+      <td><span class="impact impact-${impact}">${IMPACT_LABELS[impact]}</span></td>
+      <td>${esc(pruefidentifikator)}</td>
+      <td>${esc(location)}</td>
+      <td>${esc(row.beschreibung)}</td>
+      <td class="cell-changed"><div class="old-val">${linkConditions(esc(change.old))}</div></td>
+      <td class="cell-changed"><div class="new-val">${linkConditions(esc(change.new))}</div></td>
+    </tr>`;
+  }
+
+  return `<section class="status-changes">
+    <h2>Status Changes by Impact</h2>
+    <p class="filter-hint">Requirement levels: Kann &lt; Soll &lt; Muss. X marks fields used as defined in the MIG.</p>
+    <table class="diff-table">
+      <thead>
+        <tr>
+          <th class="col-status">Impact</th>
+          <th class="col-de">Pr\u00FCfidentifikator</th>
+          <th class="col-code">Segment</th>
+          <th class="col-desc">Beschreibung</th>
+          <th class="col-s1">Old</th>
+          <th class="col-s2">New</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  </section>`;
+}
+
+/**
+ * Where a change reconciled with the Änderungshistorie is: the table, row
+ * key, condition or document version.
+ */
+function changeItemLocation(item) {
+  if (item.kind === 'section') return `Table ${item.pruefidentifikator}${item.title ? ` (${item.title})` : ''}`;
+  if (item.kind === 'condition') return `[${item.number}]`;
+  if (item.kind === 'version') return `Version ${item.old} \u2192 ${item.new}`;
+  return `${item.key} (${item.pruefidentifikator})`;
+}
+
+function renderChangelog(changelog) {
+  if (!changelog) return '';
+  const notFound = changelog.entries.filter(e => !e.found);
+  const found = changelog.entries.filter(e => e.found);
+  const block = (style, count, title, collapsed, table) => `
+    <div class="section-diff ${style}${collapsed ? ' collapsed' : ''}">
+      <div class="section-header" onclick="toggleSection(this)">
+        <span class="toggle-icon">${collapsed ? '\u25B6' : '\u25BC'}</span>
+        <span class="badge ${style}">${count}</span>
+        <span class="section-title">${title}</span>
+      </div>
+      <div class="section-body">${table}</div>
+    </div>`;
+  const entryHead = last => `<thead><tr><th class="col-de">\u00C4nd-ID</th><th>Ort</th><th>Bisher</th><th>Neu</th><th>${last}</th></tr></thead>`;
+  const entryCells = e => `<td>${esc(e.changeId)}</td>
+          <td>${esc(e.ort)}</td>
+          <td class="old-val">${linkConditions(esc(e.bisher))}</td>
+          <td class="new-val">${linkConditions(esc(e.neu))}</td>`;
+
+  return `<section class="changelog">
+    <h2>\u00C4nderungshistorie</h2>
+    <p class="filter-hint">Entries of the new version's \u00C4nderungshistorie, matched to the detected changes by the Pr\u00FCfidentifikatoren, segments, data elements, codes and conditions they name. Indirect changes are not counted.</p>
+    ${notFound.length ? block('removed', notFound.length, 'Documented, Not Found', false, `<table class="diff-table">
+      ${entryHead('Status')}
+      <tbody>${notFound.map(e => `<tr>
+          ${entryCells(e)}
+          <td>${esc(e.status)}</td>
+        </tr>`).join('')}</tbody>
+    </table>`) : ''}
+    ${changelog.undocumented.length ? block('modified', changelog.undocumented.length, 'Found, Not Documented', false, `<table class="diff-table">
+      <thead><tr><th class="col-status">Change</th><th>Where</th><th class="col-desc">Beschreibung</th><th class="col-de">Page</th></tr></thead>
+      <tbody>${changelog.undocumented.map(item => `<tr>
+          <td><span class="badge ${item.type}">${item.type.charAt(0).toUpperCase() + item.type.slice(1)}</span></td>
+          <td>${esc(changeItemLocation(item))}</td>
+          <td>${esc(item.beschreibung || '')}</td>
+          <td>${item.page ?? ''}</td>
+        </tr>`).join('')}</tbody>
+    </table>`) : ''}
+    ${found.length ? block('added', found.length, 'Documented and Found', true, `<table class="diff-table">
+      ${entryHead('Detected Changes')}
+      <tbody>${found.map(e => `<tr>
+          ${entryCells(e)}
+          <td>${e.matches.map(item => esc(`${item.type}: ${changeItemLocation(item)}`)).join('<br>')}</td>
+        </tr>`).join('')}</tbody>
+    </table>`) : ''}
+  </section>`;
+}
+
+function renderUseCaseIssues(useCaseIssues, doc1, doc2) {
+  const documents = [[doc1, useCaseIssues.old], [doc2, useCaseIssues.new]].filter(([, issues]) => issues.length);
+  if (!documents.length) return '';
+
+  return `<section class="use-case-issues">
+    <h2>Anwendungsf\u00E4lle</h2>
+    <p class="filter-hint">Pr\u00FCfidentifikatoren whose entry in the Anwendungsfall overview does not match their table: listed without a table, tabled without an entry, or with another Kommunikation von. Without an overview: use case chapters without a table.</p>
+    ${documents.map(([doc, issues]) => `
+    <div class="section-diff modified">
+      <div class="section-header" onclick="toggleSection(this)">
+        <span class="toggle-icon">\u25BC</span>
+        <span class="badge modified">${issues.length}</span>
+        <span class="section-title">${esc(doc.version)}</span>
+      </div>
+      <div class="section-body"><table class="diff-table">
+        <thead><tr><th class="col-status">Pr\u00FCfidentifikator</th><th>Overview</th><th>Table</th><th class="col-desc">Inconsistency</th><th class="col-de">Page</th></tr></thead>
+        <tbody>${issues.map(issue => `<tr>
+            <td>${esc(issue.pruefidentifikator)}</td>
+            <td>${esc(issue.overview)}</td>
+            <td>${esc(issue.table)}</td>
+            <td>${esc(issue.message)}</td>
+            <td>${issue.page || ''}</td>
+          </tr>`).join('')}</tbody>
+      </table></div>
+    </div>`).join('')}
+  </section>`;
+}
+
+function renderConditionDiffs(conditionDiffs) {
+  const changed = conditionDiffs.filter(cd => cd.type !== 'unchanged');
+  if (!changed.length) return '';
+
+  let rowsHTML = '';
+  for (const cd of changed) {
+    const typeLabel = cd.type === 'modified' ? 'Reworded' : cd.type.charAt(0).toUpperCase() + cd.type.slice(1);
+    let oldHtml = esc(cd.old);
+    let newHtml = esc(cd.new);
+    if (cd.type === 'modified') {
+      ({ oldHtml, newHtml } = diffWords(cd.old, cd.new));
+    }
+    const refs = cd.references
+      .map(r => `<span class="cond-ref">${esc(r.pruefidentifikator)} (${r.rowCount})</span>`)
+      .join(' ');
+
+    rowsHTML += `<tr class="row-${cd.type}">
+      <td><span class="badge ${cd.type}">${typeLabel}</span></td>
+      <td class="cond-number">[${esc(cd.number)}]</td>
+      <td class="cell-changed"><div class="old-val">${oldHtml}</div></td>
+      <td class="cell-changed"><div class="new-val">${newHtml}</div></td>
+      <td>${refs || '<span class="cond-none">not referenced</span>'}</td>
+    </tr>`;
+  }
+
+  return `<section class="conditions">
+    <h2>Condition Changes</h2>
+    <p class="filter-hint">A reworded condition changes the meaning of every row that references it.</p>
+    <table class="diff-table">
+      <thead>
+        <tr>
+          <th class="col-status">Change</th>
+          <th class="col-de">Nr.</th>
+          <th class="col-desc">Old Text</th>
+          <th class="col-desc">New Text</th>
+          <th class="col-bed">Referenced In (rows)</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHTML}</tbody>
+    </table>
+  </section>`;
+}
+
+function renderSectionDiff(sd, review) {
   const typeClass = sd.type;
   const typeLabel = sd.type.charAt(0).toUpperCase() + sd.type.slice(1);
   const pruef = esc(sd.pruefidentifikator);
@@ -127,18 +454,33 @@ function renderSectionDiff(sd, doc1, doc2) {
     rowStats[rd.type] = (rowStats[rd.type] || 0) + 1;
   }
 
-  const hasRowChanges = rowStats.added + rowStats.removed + rowStats.modified > 0;
+  const impactStats = {};
+  for (const { impact } of collectStatusChanges([sd])) {
+    impactStats[impact] = (impactStats[impact] || 0) + 1;
+  }
   const collapsed = sd.type === 'unchanged' ? 'collapsed' : '';
 
   let content = '';
 
+  const sectionReview = sd.type !== 'unchanged' ? renderReview(review, 'section', sectionReviewKey(sd)) : '';
+  if (sectionReview) {
+    content += `<div class="section-review"><h4>Section Review</h4>${sectionReview}</div>`;
+  }
+
+  // Split / merge across versions
+  if (sd.regrouping) {
+    content += `<div class="regrouping">${typeLabel}: ${sd.regrouping.old.map(esc).join(' | ')}
+      &rarr; ${sd.regrouping.new.map(esc).join(' | ')}.
+      Compared here: ${pruef} (old table ${esc(sd.sectionOld.pruefidentifikator)}, new table ${esc(sd.sectionNew.pruefidentifikator)})</div>`;
+  }
+
   // Meta changes
   if (sd.metaChanges?.length) {
     content += `<div class="meta-changes"><h4>Section Metadata Changes</h4><table class="meta-table">
       <tr><th>Field</th><th>Old</th><th>New</th></tr>`;
     for (const mc of sd.metaChanges) {
       content += `<tr>
-        <td>${esc(mc.field)}</td>
+        <td>${esc(mc.field)}${mc.pruefidentifikator ? ` (${esc(mc.pruefidentifikator)})` : ''}</td>
         <td class="old-val">${esc(mc.old)}</td>
         <td class="new-val">${esc(mc.new)}</td>
       </tr>`;
@@ -146,9 +488,14 @@ function renderSectionDiff(sd, doc1, doc2) {
     content += `</table></div>`;
   }
 
+  // Changes grouped under their segment
+  if (sd.type !== 'added' && sd.type !== 'removed') {
+    content += renderSegmentSummary(sd.rows || []);
+  }
+
   // Row table
   if (sd.rows?.length) {
-    content += renderRowTable(sd.rows, sd.type);
+    content += renderRowTable(sd, review);
   }
 
   return `
@@ -162,6 +509,10 @@ function renderSectionDiff(sd, doc1, doc2) {
         ${rowStats.modified ? `<span class="mini-stat modified">${rowStats.modified} mod</span>` : ''}
         ${rowStats.added ? `<span class="mini-stat added">${rowStats.added} add</span>` : ''}
         ${rowStats.removed ? `<span class="mini-stat removed">${rowStats.removed} rem</span>` : ''}
+        ${rowStats.moved ? `<span class="mini-stat moved">${rowStats.moved} mov</span>` : ''}
+        ${rowStats.indirect ? `<span class="mini-stat indirect">${rowStats.indirect} ind</span>` : ''}
+        ${impactStats.tightened ? `<span class="mini-stat impact-tightened">${impactStats.tightened} tightened</span>` : ''}
+        ${impactStats.relaxed ? `<span class="mini-stat impact-relaxed">${impactStats.relaxed} relaxed</span>` : ''}
       </span>
     </div>
     <div class="section-body">
@@ -170,10 +521,109 @@ function renderSectionDiff(sd, doc1, doc2) {
   </div>`;
 }
 
-function renderRowTable(rowDiffs, sectionType) {
+const REVIEW_LABELS = {
+  open: 'Open',
+  accepted: 'Accepted',
+  'needs-implementation': 'Needs implementation',
+  'not-relevant': 'Not relevant',
+};
+
+/**
+ * Review state of one section or row change. With a review API this is a
+ * status select plus an assignee/comment button; without one, stored
+ * reviews are shown read-only and unreviewed changes get nothing.
+ */
+function renderReview(review, targetType, targetKey) {
+  const stored = review.reviews.get(reviewMapKey(targetType, targetKey));
+  const status = stored?.status || 'open';
+  const meta = `<div class="review-meta">${reviewMeta(stored)}</div>`;
+
+  if (!review.api) {
+    if (!stored) return '';
+    return `<div class="review review-${status}">
+      <span class="review-status-label">${REVIEW_LABELS[status]}</span>${meta}
+    </div>`;
+  }
+
+  const options = REVIEW_STATUSES
+    .map(s => `<option value="${s}"${s === status ? ' selected' : ''}>${REVIEW_LABELS[s]}</option>`)
+    .join('');
+  return `<div class="review review-${status}" data-target-type="${targetType}" data-target-key="${esc(targetKey)}"
+      data-assignee="${esc(stored?.assignee)}" data-comment="${esc(stored?.comment)}">
+    <select class="review-status" title="Review status">${options}</select>
+    <button type="button" class="review-edit" title="Assignee and comment">&#9998;</button>${meta}
+  </div>`;
+}
+
+function reviewMeta(stored) {
+  if (!stored) return '';
+  return [
+    stored.assignee ? `<span class="review-assignee">@${esc(stored.assignee)}</span>` : '',
+    stored.comment ? `<span class="review-comment">${esc(stored.comment)}</span>` : '',
+  ].join('');
+}
+
+const NODE_LABELS = {
+  group: ['segment group', 'segment groups'],
+  segment: ['segment', 'segments'],
+  element: ['data element', 'data elements'],
+  code: ['code', 'codes'],
+  text: ['text row', 'text rows'],
+};
+
+/**
+ * Count row changes per segment (SG + segment code) and node type,
+ * e.g. "SG7 STS: 3 codes added, 1 data element modified".
+ */
+function summarizeBySegment(rowDiffs) {
+  const segments = new Map();
+  for (const rd of rowDiffs) {
+    if (rd.type === 'unchanged' || rd.type === 'indirect') continue;
+    const row = rd.rowNew || rd.row;
+    if (!row || row.isLabel) continue;
+    const segment = [row.segmentGroup, row.segmentCode].filter(Boolean).join(' ') || '\u2014';
+    const counts = segments.get(segment) || new Map();
+    const key = `${row.nodeType || 'text'}|${rd.type}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+    segments.set(segment, counts);
+  }
+  return [...segments].map(([segment, counts]) => ({
+    segment,
+    changes: [...counts].map(([key, count]) => {
+      const [nodeType, type] = key.split('|');
+      const [singular, plural] = NODE_LABELS[nodeType] || NODE_LABELS.text;
+      return `${count} ${count === 1 ? singular : plural} ${type}`;
+    }),
+  }));
+}
+
+function renderSegmentSummary(rowDiffs) {
+  const summary = summarizeBySegment(rowDiffs);
+  if (!summary.length) return '';
+  return `<div class="segment-summary"><h4>Changes by Segment</h4><ul>
+    ${summary.map(s => `<li><strong>${esc(s.segment)}</strong>: ${esc(s.changes.join(', '))}</li>`).join('')}
+  </ul></div>`;
+}
+
+/**
+ * One status column per compared Prüfidentifikator, headed by the ID.
+ * `side` picks the column index of the old or new table.
+ */
+function statusHeaders(columns) {
+  return columns.map(c => `<th class="col-s">${esc(c.pruefidentifikator)}</th>`).join('');
+}
+
+function statusCells(row, columns, side) {
+  return columns
+    .map(c => condCell(row.statusCols[side === 'old' ? c.oldIndex : c.newIndex] || ''))
+    .join('');
+}
+
+function renderRowTable(sd, review) {
+  const { rows: rowDiffs, type: sectionType, columns } = sd;
   // For added/removed sections, show simple table
   if (sectionType === 'added' || sectionType === 'removed') {
-    return renderSimpleTable(rowDiffs, sectionType);
+    return renderSimpleTable(rowDiffs, sectionType, columns);
   }
 
   // For modified sections, show diff table
@@ -185,22 +635,24 @@ function renderRowTable(rowDiffs, sectionType) {
         <th class="col-code">Code</th>
         <th class="col-de">DE</th>
         <th class="col-desc">Beschreibung</th>
-        <th class="col-s1">Status 1</th>
-        <th class="col-s2">Status 2</th>
+        ${statusHeaders(columns)}
         <th class="col-bed">Bedingung</th>
       </tr>
     </thead>
     <tbody>`;
 
   for (const rd of rowDiffs) {
+    const reviewHTML = rd.type === 'unchanged' ? '' : renderReview(review, 'row', rowReviewKey(sd, rd));
     if (rd.type === 'unchanged') {
-      html += renderUnchangedRow(rd.row);
+      html += renderUnchangedRow(rd.row, columns);
     } else if (rd.type === 'added') {
-      html += renderAddedRow(rd.row);
+      html += renderAddedRow(rd.row, columns, reviewHTML);
     } else if (rd.type === 'removed') {
-      html += renderRemovedRow(rd.row);
-    } else if (rd.type === 'modified') {
-      html += renderModifiedRow(rd);
+      html += renderRemovedRow(rd.row, columns, reviewHTML);
+    } else if (rd.type === 'modified' || rd.type === 'moved') {
+      html += renderModifiedRow(rd, columns, reviewHTML);
+    } else if (rd.type === 'indirect') {
+      html += renderIndirectRow(rd, columns, reviewHTML);
     }
   }
 
@@ -208,8 +660,9 @@ function renderRowTable(rowDiffs, sectionType) {
   return html;
 }
 
-function renderSimpleTable(rowDiffs, type) {
+function renderSimpleTable(rowDiffs, type, columns) {
   const cssClass = type === 'added' ? 'row-added' : 'row-removed';
+  const side = type === 'added' ? 'new' : 'old';
 
   let html = `<table class="diff-table">
     <thead>
@@ -218,8 +671,7 @@ function renderSimpleTable(rowDiffs, type) {
         <th class="col-code">Code</th>
         <th class="col-de">DE</th>
         <th class="col-desc">Beschreibung</th>
-        <th class="col-s1">Status 1</th>
-        <th class="col-s2">Status 2</th>
+        ${statusHeaders(columns)}
         <th class="col-bed">Bedingung</th>
       </tr>
     </thead>
@@ -232,9 +684,8 @@ function renderSimpleTable(rowDiffs, type) {
       <td>${esc(r.segmentCode)}</td>
       <td>${esc(r.dataElement)}</td>
       <td>${esc(r.beschreibung)}</td>
-      <td>${esc(r.statusCol1)}</td>
-      <td>${esc(r.statusCol2)}</td>
-      <td>${esc(r.bedingung)}</td>
+      ${statusCells(r, columns, side)}
+      ${condCell(r.bedingung)}
     </tr>`;
   }
 
@@ -242,42 +693,39 @@ function renderSimpleTable(rowDiffs, type) {
   return html;
 }
 
-function renderUnchangedRow(r) {
+function renderUnchangedRow(r, columns) {
   return `<tr class="row-unchanged">
     <td><span class="badge unchanged">-</span></td>
     <td>${esc(r.segmentGroup)}</td>
     <td>${esc(r.segmentCode)}</td>
     <td>${esc(r.dataElement)}</td>
     <td>${esc(r.beschreibung)}</td>
-    <td>${esc(r.statusCol1)}</td>
-    <td>${esc(r.statusCol2)}</td>
-    <td>${esc(r.bedingung)}</td>
+    ${statusCells(r, columns, 'old')}
+    ${condCell(r.bedingung)}
   </tr>`;
 }
 
-function renderAddedRow(r) {
+function renderAddedRow(r, columns, reviewHTML) {
   return `<tr class="row-added">
-    <td><span class="badge added">+</span></td>
+    <td><span class="badge added">+</span>${reviewHTML}</td>
     <td>${esc(r.segmentGroup)}</td>
     <td>${esc(r.segmentCode)}</td>
     <td>${esc(r.dataElement)}</td>
     <td>${esc(r.beschreibung)}</td>
-    <td>${esc(r.statusCol1)}</td>
-    <td>${esc(r.statusCol2)}</td>
-    <td>${esc(r.bedingung)}</td>
+    ${statusCells(r, columns, 'new')}
+    ${condCell(r.bedingung)}
   </tr>`;
 }
 
-function renderRemovedRow(r) {
+function renderRemovedRow(r, columns, reviewHTML) {
   return `<tr class="row-removed">
-    <td><span class="badge removed">&minus;</span></td>
+    <td><span class="badge removed">&minus;</span>${reviewHTML}</td>
     <td>${esc(r.segmentGroup)}</td>
     <td>${esc(r.segmentCode)}</td>
     <td>${esc(r.dataElement)}</td>
     <td>${esc(r.beschreibung)}</td>
-    <td>${esc(r.statusCol1)}</td>
-    <td>${esc(r.statusCol2)}</td>
-    <td>${esc(r.bedingung)}</td>
+    ${statusCells(r, columns, 'old')}
+    ${condCell(r.bedingung)}
   </tr>`;
 }
 
@@ -327,35 +775,691 @@ function diffWords(oldText, newText) {
   return { oldHtml, newHtml };
 }
 
-function renderModifiedRow(rd) {
-  const changedFields = new Set(rd.changes.map(c => c.field));
+function renderIndirectRow(rd, columns, reviewHTML) {
+  const r = rd.row;
+  const note = rd.conditions.map(n => `[${n}]`).join(' ');
+  return `<tr class="row-indirect">
+    <td><span class="badge indirect" title="Condition text changed">&asymp;</span>${reviewHTML}</td>
+    <td>${esc(r.segmentGroup)}</td>
+    <td>${esc(r.segmentCode)}</td>
+    <td>${esc(r.dataElement)}</td>
+    <td>${esc(r.beschreibung)}</td>
+    ${statusCells(r, columns, 'old')}
+    <td>${linkConditions(esc(r.bedingung))}
+      <div class="indirect-note">Reworded: ${linkConditions(esc(note))}</div>
+    </td>
+  </tr>`;
+}
+
+const CONDITION_FIELDS = new Set(['status', 'bedingung']);
+
+const OPERATOR_NAMES = { and: 'conjunction', or: 'disjunction', xor: 'exclusive disjunction' };
+const OPERATOR_SYMBOLS = { and: '\u2227', or: '\u2228', xor: '\u22BB' };
+
+/**
+ * One-line summary of a semantic expression change from compareExpressions().
+ */
+function describeExpressionChange(expr) {
+  const prefixChange = `${expr.prefixOld || '(none)'} \u2192 ${expr.prefixNew || '(none)'}`;
+  if (expr.outcome === 'prefix-changed') return prefixChange;
+
+  const text = describeLogicChange(expr);
+  return expr.prefixOld !== expr.prefixNew ? `${text}; ${prefixChange}` : text;
+}
+
+function describeLogicChange(expr) {
+  const refs = ids => ids.map(id => `[${id}]`).join(' ');
+  switch (expr.outcome) {
+    case 'condition-added':
+      return expr.operator
+        ? `condition added to ${OPERATOR_NAMES[expr.operator]}: ${refs(expr.added)}`
+        : `condition added: ${refs(expr.added)}`;
+    case 'condition-removed':
+      return expr.operator
+        ? `condition removed from ${OPERATOR_NAMES[expr.operator]}: ${refs(expr.removed)}`
+        : `condition removed: ${refs(expr.removed)}`;
+    case 'operator-changed':
+      return `operator changed: ${OPERATOR_SYMBOLS[expr.oldOperator]} \u2192 ${OPERATOR_SYMBOLS[expr.operator]}`;
+    default: {
+      const parts = [];
+      if (expr.added.length) parts.push(`+${refs(expr.added)}`);
+      if (expr.removed.length) parts.push(`\u2212${refs(expr.removed)}`);
+      return `logic changed${parts.length ? ': ' + parts.join(' ') : ''}`;
+    }
+  }
+}
+
+function renderModifiedRow(rd, columns, reviewHTML) {
+  const changeKey = c => (c.field === 'status' ? `status:${c.pruefidentifikator}` : c.field);
+  const changes = new Map(rd.changes.map(c => [changeKey(c), c]));
 
-  function cell(field, oldVal, newVal) {
-    if (changedFields.has(field)) {
+  function cell(field, oldVal, newVal, key = field) {
+    const link = CONDITION_FIELDS.has(field) ? linkConditions : html => html;
+    if (changes.has(key)) {
       const { oldHtml, newHtml } = diffWords(oldVal, newVal);
+      const { expression, status } = changes.get(key);
       return `<td class="cell-changed">
-        <div class="old-val">${oldHtml}</div>
-        <div class="new-val">${newHtml}</div>
+        ${status ? `<span class="impact impact-${status.impact}">${IMPACT_LABELS[status.impact]}</span>` : ''}
+        <div class="old-val">${link(oldHtml)}</div>
+        <div class="new-val">${link(newHtml)}</div>
+        ${expression ? `<div class="expr-note">${linkConditions(esc(describeExpressionChange(expression)))}</div>` : ''}
       </td>`;
     }
-    return `<td>${esc(newVal)}</td>`;
+    return `<td>${link(esc(newVal))}</td>`;
   }
 
   const o = rd.rowOld;
   const n = rd.rowNew;
+  const statusHTML = columns
+    .map(c => cell('status', o.statusCols[c.oldIndex] || '', n.statusCols[c.newIndex] || '', `status:${c.pruefidentifikator}`))
+    .join('');
+
+  let badge = rd.type === 'moved'
+    ? `<span class="badge moved" title="Moved">&#8597;</span>
+      <div class="moved-note">from row ${o.rowOrder + 1}</div>`
+    : `<span class="badge modified">~</span>`;
+  if (rd.keyChanged) {
+    badge += `<div class="key-note" title="Old key: ${esc(rd.keyOld)}">key changed, ${Math.round(rd.similarity * 100)}% similar</div>`;
+  }
 
-  return `<tr class="row-modified">
-    <td><span class="badge modified">~</span></td>
+  return `<tr class="row-${rd.type}">
+    <td>${badge}${reviewHTML}</td>
     ${cell('segmentGroup', o.segmentGroup, n.segmentGroup)}
     ${cell('segmentCode', o.segmentCode, n.segmentCode)}
     ${cell('dataElement', o.dataElement, n.dataElement)}
     ${cell('beschreibung', o.beschreibung, n.beschreibung)}
-    ${cell('statusCol1', o.statusCol1, n.statusCol1)}
-    ${cell('statusCol2', o.statusCol2, n.statusCol2)}
+    ${statusHTML}
     ${cell('bedingung', o.bedingung, n.bedingung)}
   </tr>`;
 }
 
+// --- Version timeline ---
+
+const TIMELINE_EVENT_LABELS = { introduced: 'Introduced', changed: 'Changed', removed: 'Removed' };
+const PATH_FIELDS = new Set(['segmentGroup', 'segmentCode', 'dataElement', 'code', 'path']);
+
+function buildTimelineHTML(timeline) {
+  const { documents, pruefidentifikatoren } = timeline;
+  const versions = documents.map(d => esc(d.version));
+
+  const transitions = documents.slice(1).map((doc, i) => {
+    const v = i + 1;
+    const count = (events, type) => events.filter(e => e.version === v && e.type === type).length;
+    const pidEvents = pruefidentifikatoren.flatMap(e => e.events);
+    const rowEvents = pruefidentifikatoren.flatMap(e => e.rows.flatMap(chain => chain.events));
+    return `<tr>
+      <td>${versions[v - 1]} &rarr; ${versions[v]}</td>
+      <td><span class="mini-stat added">${count(pidEvents, 'introduced')} introduced</span>
+        <span class="mini-stat modified">${count(pidEvents, 'changed')} changed</span>
+        <span class="mini-stat removed">${count(pidEvents, 'removed')} removed</span></td>
+      <td><span class="mini-stat added">${count(rowEvents, 'introduced')} introduced</span>
+        <span class="mini-stat modified">${count(rowEvents, 'changed')} changed</span>
+        <span class="mini-stat removed">${count(rowEvents, 'removed')} removed</span></td>
+    </tr>`;
+  }).join('');
+
+  const matrix = pruefidentifikatoren.map(entry => `<tr>
+      <td><a href="#pid-${esc(entry.pruefidentifikator)}">${esc(entry.pruefidentifikator)}</a></td>
+      ${documents.map((_, v) => timelineSectionCell(entry, v)).join('')}
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>PDF Compare Timeline: ${versions.join(' \u2192 ')}</title>
+  <style>${CSS}${TIMELINE_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${esc(documentLabel(documents))} Version History</h1>
+    <p class="subtitle">${versions.join(' &rarr; ')}</p>
+  </header>
+
+  <section class="summary">
+    <h2>Versions</h2>
+    <table class="diff-table tl-versions">
+      <thead><tr><th>Version</th><th>File</th><th>Pages</th><th>Pr\u00FCfidentifikatoren</th></tr></thead>
+      <tbody>${documents.map((doc, v) => `<tr>
+        <td>${versions[v]}</td>
+        <td>${esc(doc.filename)}</td>
+        <td>${doc.pageCount}</td>
+        <td>${pruefidentifikatoren.filter(e => e.versions[v]).length}</td>
+      </tr>`).join('')}</tbody>
+    </table>
+
+    <h3>Changes per Version Step</h3>
+    <table class="diff-table tl-versions">
+      <thead><tr><th>Step</th><th>Pr\u00FCfidentifikatoren</th><th>Rows (per Pr\u00FCfidentifikator)</th></tr></thead>
+      <tbody>${transitions}</tbody>
+    </table>
+
+    <h3>Pr\u00FCfidentifikatoren</h3>
+    <table class="diff-table tl-matrix">
+      <thead><tr><th>Pr\u00FCfidentifikator</th>${versions.map(v => `<th>${v}</th>`).join('')}</tr></thead>
+      <tbody>${matrix}</tbody>
+    </table>
+  </section>
+
+  <section class="details">
+    <h2>Row History</h2>
+    <p class="filter-hint">Click section headers to expand/collapse. Cells show the status of the Pr\u00FCfidentifikator's own column.
+      <label><input type="checkbox" onchange="document.body.classList.toggle('tl-show-unchanged', this.checked)"> Show unchanged rows</label></p>
+    ${pruefidentifikatoren.map(entry => renderTimelineEntry(entry, documents)).join('')}
+  </section>
+
+  <footer>
+    <p>Generated by PDFCompare on ${new Date().toISOString().slice(0, 16).replace('T', ' ')}</p>
+  </footer>
+
+  <script>${TOGGLE_JS}</script>
+</body>
+</html>`;
+}
+
+function timelineSectionCell(entry, v) {
+  const event = entry.events.find(e => e.version === v);
+  if (!entry.versions[v]) {
+    return event ? `<td class="tl-removed">Removed</td>` : `<td class="tl-absent">&mdash;</td>`;
+  }
+  if (!event) return `<td>&#10003;</td>`;
+  const rows = event.type === 'changed' && event.rows ? ` (${event.rows} row${event.rows === 1 ? '' : 's'})` : '';
+  return `<td class="tl-${event.type}">${TIMELINE_EVENT_LABELS[event.type]}${rows}</td>`;
+}
+
+function renderTimelineEntry(entry, documents) {
+  const pid = esc(entry.pruefidentifikator);
+  const latest = entry.versions.filter(Boolean).pop();
+  const changed = entry.events.length > 0;
+  const changedRows = entry.rows.filter(chain => chain.events.length).length;
+
+  const rowsHTML = entry.rows.map(chain => {
+    const current = chain.values.filter(Boolean).pop();
+    return `<tr class="${chain.events.length ? '' : 'tl-unchanged'}">
+      <td>${esc(chain.path)}</td>
+      <td>${esc(current.beschreibung)}</td>
+      ${documents.map((_, v) => versionCell(chain.values[v], chain.events.find(e => e.version === v))).join('')}
+    </tr>`;
+  }).join('');
+
+  return `
+  <div class="section-diff ${changed ? 'modified' : 'unchanged collapsed'}" id="pid-${pid}">
+    <div class="section-header" onclick="toggleSection(this)">
+      <span class="toggle-icon">${changed ? '\u25BC' : '\u25B6'}</span>
+      <span class="pruef">Pr\u00FCfidentifikator: ${pid}</span>
+      ${latest?.title ? `<span class="section-title">${esc(latest.title)}</span>` : ''}
+      <span class="row-summary">
+        ${entry.events.map(e => `<span class="mini-stat tl-${e.type}">${TIMELINE_EVENT_LABELS[e.type]} in ${esc(documents[e.version].version)}</span>`).join('')}
+        ${changedRows ? `<span class="mini-stat modified">${changedRows} rows with history</span>` : ''}
+      </span>
+    </div>
+    <div class="section-body">
+      <table class="diff-table tl-rows">
+        <thead>
+          <tr>
+            <th class="col-code">Path</th>
+            <th class="col-desc">Beschreibung</th>
+            ${documents.map(d => `<th class="col-s">${esc(d.version)}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${rowsHTML}</tbody>
+      </table>
+    </div>
+  </div>`;
+}
+
+/**
+ * Status of a row in one version, marked with the event of that version
+ * (introduced / changed / removed); changed Beschreibung, Bedingung or path
+ * are shown below the status.
+ */
+function versionCell(value, event) {
+  if (!value) {
+    return event?.type === 'removed' ? `<td class="tl-removed">Removed</td>` : `<td class="tl-absent">&mdash;</td>`;
+  }
+  const fields = event?.fields || [];
+  const notes = [];
+  if (fields.includes('beschreibung')) notes.push(`Beschreibung: ${esc(value.beschreibung)}`);
+  if (fields.includes('bedingung')) notes.push(`Bedingung: ${esc(value.bedingung)}`);
+  if (fields.some(f => PATH_FIELDS.has(f))) notes.push(`Path: ${esc(value.path)}`);
+  const noteHTML = notes.map(note => `<div class="tl-note">${note}</div>`).join('');
+  return `<td${event ? ` class="tl-${event.type}"` : ''}>${esc(value.status)}${noteHTML}</td>`;
+}
+
+// --- Three-way comparison ---
+
+const THREE_WAY_LABELS = {
+  conflict: 'Conflict',
+  'draft-only': 'Draft only',
+  'final-only': 'Final only',
+  both: 'Both',
+  unchanged: 'Unchanged',
+};
+const THREE_WAY_HINTS = {
+  conflict: 'changed differently in draft and final version',
+  'draft-only': 'proposed in the draft, not in the final version',
+  'final-only': 'changed in the final version only',
+  both: 'draft change adopted in the final version',
+  unchanged: 'as in the base version',
+};
+const THREE_WAY_ROLES = ['Base', 'Draft', 'Final'];
+
+function buildThreeWayHTML(threeWay) {
+  const { documents, summary, pruefidentifikatoren, conditions } = threeWay;
+  const versions = documents.map(d => esc(d.version));
+  const statRow = counts => `<div class="stat-row">
+      ${THREE_WAY_TYPES.map(type => `<span class="stat tw-${type}" title="${THREE_WAY_HINTS[type]}">${counts[type]} ${THREE_WAY_LABELS[type]}</span>`).join('')}
+    </div>`;
+
+  const matrix = pruefidentifikatoren.map(entry => {
+    const counts = THREE_WAY_TYPES.slice(0, -1)
+      .map(type => [type, entry.rows.filter(row => row.type === type).length])
+      .filter(([, count]) => count);
+    return `<tr>
+      <td><a href="#pid-${esc(entry.pruefidentifikator)}">${esc(entry.pruefidentifikator)}</a></td>
+      ${entry.versions.map(section => section ? `<td>&#10003;</td>` : `<td class="tl-absent">&mdash;</td>`).join('')}
+      <td class="tw-${entry.type}">${THREE_WAY_LABELS[entry.type]}</td>
+      <td>${counts.map(([type, count]) => `<span class="mini-stat tw-${type}">${count} ${THREE_WAY_LABELS[type]}</span>`).join(' ')}</td>
+    </tr>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>PDF Compare Three-Way: ${versions[1]} / ${versions[2]} vs ${versions[0]}</title>
+  <style>${CSS}${TIMELINE_CSS}${THREE_WAY_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${esc(documentLabel(documents))} Three-Way Comparison</h1>
+    <p class="subtitle">Base ${versions[0]} &rarr; Draft ${versions[1]} / Final ${versions[2]}</p>
+  </header>
+
+  <section class="summary">
+    <h2>Versions</h2>
+    <table class="diff-table tl-versions">
+      <thead><tr><th>Role</th><th>Version</th><th>File</th><th>Pages</th><th>Pr\u00FCfidentifikatoren</th></tr></thead>
+      <tbody>${documents.map((doc, v) => `<tr>
+        <td>${THREE_WAY_ROLES[v]}</td>
+        <td>${versions[v]}</td>
+        <td>${esc(doc.filename)}</td>
+        <td>${doc.pageCount}</td>
+        <td>${pruefidentifikatoren.filter(e => e.versions[v]).length}</td>
+      </tr>`).join('')}</tbody>
+    </table>
+
+    <h3>Row Changes (per Pr\u00FCfidentifikator)</h3>
+    ${statRow(summary.rows)}
+    <h3>Pr\u00FCfidentifikatoren</h3>
+    ${statRow(summary.pruefidentifikatoren)}
+    <h3>Conditions</h3>
+    ${statRow(summary.conditions)}
+
+    <table class="diff-table tl-matrix tw-matrix">
+      <thead><tr><th>Pr\u00FCfidentifikator</th>${THREE_WAY_ROLES.map((role, v) => `<th>${role}<br>${versions[v]}</th>`).join('')}<th>Outcome</th><th>Rows</th></tr></thead>
+      <tbody>${matrix}</tbody>
+    </table>
+  </section>
+
+  ${renderThreeWayConditions(conditions, versions)}
+
+  <section class="details">
+    <h2>Row Details</h2>
+    <p class="filter-hint">Click section headers to expand/collapse. Cells show the status of the Pr\u00FCfidentifikator's own column.
+      <label><input type="checkbox" onchange="document.body.classList.toggle('tl-show-unchanged', this.checked)"> Show unchanged rows</label></p>
+    ${pruefidentifikatoren.map(entry => renderThreeWayEntry(entry, versions)).join('')}
+  </section>
+
+  <footer>
+    <p>Generated by PDFCompare on ${new Date().toISOString().slice(0, 16).replace('T', ' ')}</p>
+  </footer>
+
+  <script>${TOGGLE_JS}</script>
+</body>
+</html>`;
+}
+
+function renderThreeWayConditions(conditions, versions) {
+  const changed = conditions.filter(c => c.type !== 'unchanged');
+  if (!changed.length) return '';
+
+  const cell = (text, change) => {
+    if (text === null) return change ? `<td class="tl-removed">Removed</td>` : `<td class="tl-absent">&mdash;</td>`;
+    const cls = !change ? '' : change.type === 'added' ? ' class="tl-introduced"' : ' class="tl-changed"';
+    return `<td${cls}>${esc(text)}</td>`;
+  };
+  return `
+  <section class="details">
+    <h2>Condition Changes</h2>
+    <table class="diff-table tw-table">
+      <thead><tr><th class="col-num">Nr.</th>${THREE_WAY_ROLES.map((role, v) => `<th>${role} ${versions[v]}</th>`).join('')}<th class="col-badge">Outcome</th></tr></thead>
+      <tbody>${changed.map(c => `<tr class="tw-row-${c.type}">
+        <td>[${esc(c.number)}]</td>
+        ${c.values.map((text, v) => cell(text, c.changes[v])).join('')}
+        <td class="tw-${c.type}">${THREE_WAY_LABELS[c.type]}</td>
+      </tr>`).join('')}</tbody>
+    </table>
+  </section>`;
+}
+
+function renderThreeWayEntry(entry, versions) {
+  const pid = esc(entry.pruefidentifikator);
+  const section = entry.versions[2] || entry.versions[1] || entry.versions[0];
+  const changed = entry.type !== 'unchanged';
+  const border = { conflict: 'removed', 'draft-only': 'moved', 'final-only': 'indirect', both: 'added' }[entry.type];
+  const eventOf = change => change && { ...change, type: change.type === 'added' ? 'introduced' : change.type };
+
+  const rowsHTML = entry.rows.map(row => `<tr class="tw-row-${row.type}${changed && row.type === 'unchanged' ? ' tl-unchanged' : ''}">
+      <td>${esc(row.path)}</td>
+      <td>${esc((row.values[2] || row.values[1] || row.values[0]).beschreibung)}</td>
+      ${row.values.map((value, v) => versionCell(value, eventOf(row.changes[v]))).join('')}
+      <td class="tw-${row.type}">${THREE_WAY_LABELS[row.type]}</td>
+    </tr>`).join('');
+
+  return `
+  <div class="section-diff ${changed ? `modified tw-border-${border}` : 'unchanged collapsed'}" id="pid-${pid}">
+    <div class="section-header" onclick="toggleSection(this)">
+      <span class="toggle-icon">${changed ? '\u25BC' : '\u25B6'}</span>
+      <span class="pruef">Pr\u00FCfidentifikator: ${pid}</span>
+      ${section?.title ? `<span class="section-title">${esc(section.title)}</span>` : ''}
+      <span class="row-summary">
+        <span class="mini-stat tw-${entry.type}">${THREE_WAY_LABELS[entry.type]}</span>
+        ${entry.versions.map((ref, v) => ref ? '' : `<span class="mini-stat removed">not in ${THREE_WAY_ROLES[v].toLowerCase()}</span>`).join('')}
+      </span>
+    </div>
+    <div class="section-body">
+      <table class="diff-table tl-rows tw-table">
+        <thead>
+          <tr>
+            <th class="col-code">Path</th>
+            <th class="col-desc">Beschreibung</th>
+            ${THREE_WAY_ROLES.map((role, v) => `<th class="col-s">${role}<br>${versions[v]}</th>`).join('')}
+            <th class="col-badge">Outcome</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHTML}</tbody>
+      </table>
+    </div>
+  </div>`;
+}
+
+// --- MIG comparison ---
+
+const MIG_CHANGE_LABELS = {
+  'max-repetition': 'max repetition changed',
+  'format-length': 'format length changed',
+  'format-type': 'format type changed',
+  format: 'format changed',
+  status: 'status changed',
+  position: 'moved to another group',
+  name: 'name changed',
+  note: 'note changed',
+};
+const MIG_FIELD_LABELS = {
+  standardStatus: 'Standard St',
+  standardMaxRepetition: 'Standard MaxWdh',
+  standardFormat: 'Standard Format',
+  bdewStatus: 'BDEW St',
+  bdewMaxRepetition: 'BDEW MaxWdh',
+  bdewFormat: 'BDEW Format',
+  path: 'Segment group',
+  name: 'Name',
+  note: 'Anwendung',
+};
+
+function buildMIGHTML(migComparison) {
+  const { documents, summary, segments } = migComparison;
+  const versions = documents.map(d => esc(d.version));
+  const sideStats = ['old', 'new'].map(side => {
+    const present = segments.filter(sd => sd[side]);
+    return {
+      groups: present.filter(sd => sd[side].kind === 'group').length,
+      segments: present.filter(sd => sd[side].kind === 'segment').length,
+      elements: present.reduce((n, sd) => n + sd.elements.filter(ed => ed[side]).length, 0),
+    };
+  });
+  const statRow = counts => `<div class="stat-row">
+      <span class="stat modified">${counts.modified} Modified</span>
+      <span class="stat added">${counts.added} Added</span>
+      <span class="stat removed">${counts.removed} Removed</span>
+      <span class="stat unchanged">${counts.unchanged} Unchanged</span>
+    </div>`;
+  const card = (title, doc, stats) => `<div class="card">
+        <h3>${title}</h3>
+        <dl>
+          <dt>Version</dt><dd>${esc(doc.version)}</dd>
+          <dt>Message Type</dt><dd>${esc(doc.messageType || 'unknown')}</dd>
+          <dt>File</dt><dd>${esc(doc.filename)}</dd>
+          <dt>Pages</dt><dd>${doc.pageCount}</dd>
+          <dt>Segment Groups</dt><dd>${stats.groups}</dd>
+          <dt>Segments</dt><dd>${stats.segments}</dd>
+          <dt>Data Elements</dt><dd>${stats.elements}</dd>
+        </dl>
+      </div>`;
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>PDF Compare MIG: ${versions[0]} vs ${versions[1]}</title>
+  <style>${CSS}${MIG_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${esc(documentLabel(documents, 'MIG'))} Comparison Report</h1>
+    <p class="subtitle">${versions[0]} &rarr; ${versions[1]}</p>
+  </header>
+
+  <section class="summary">
+    <h2>Overview</h2>
+    <div class="cards">
+      ${card('Old Version', documents[0], sideStats[0])}
+      ${card('New Version', documents[1], sideStats[1])}
+    </div>
+
+    <h3>Segment Changes</h3>
+    ${statRow(summary.segments)}
+    <h3>Segment Group Changes</h3>
+    ${statRow(summary.groups)}
+    <h3>Data Element Changes</h3>
+    ${statRow(summary.elements)}
+    <h3>Changes by Kind</h3>
+    <div class="stat-row">
+      ${Object.entries(summary.changes).filter(([, count]) => count)
+        .map(([kind, count]) => `<span class="stat mig-${kind}">${count} ${MIG_CHANGE_LABELS[kind]}</span>`).join('')}
+    </div>
+  </section>
+
+  <section class="details">
+    <h2>Segment Details</h2>
+    <p class="filter-hint">Click segment headers to expand/collapse. Changed cells show the old value above the new one.</p>
+    ${segments.map(renderMIGSegment).join('')}
+  </section>
+
+  <footer>
+    <p>Generated by PDFCompare on ${new Date().toISOString().slice(0, 16).replace('T', ' ')}</p>
+  </footer>
+
+  <script>${TOGGLE_JS}</script>
+</body>
+</html>`;
+}
+
+function renderMIGSegment(sd) {
+  const segment = sd.new || sd.old;
+  const typeLabel = sd.type.charAt(0).toUpperCase() + sd.type.slice(1);
+  const collapsed = sd.type === 'unchanged' ? 'collapsed' : '';
+
+  const kinds = {};
+  for (const change of [...sd.changes, ...sd.elements.flatMap(ed => ed.changes)]) {
+    kinds[change.kind] = (kinds[change.kind] || 0) + 1;
+  }
+  const elementStats = { added: 0, removed: 0 };
+  for (const ed of sd.elements) elementStats[ed.type] = (elementStats[ed.type] || 0) + 1;
+
+  const repetition = side => `${esc(segment[side].status)} ${segment[side].maxRepetition ?? ''}`.trim();
+  let content = `<p class="mig-segment-meta">Z\u00E4hler ${esc(segment.counter || '\u2013')} &middot;
+      Standard: ${repetition('standard') || '\u2013'} &middot; BDEW: ${repetition('bdew') || '\u2013'}</p>`;
+  if (sd.changes.length) {
+    content += `<div class="meta-changes"><h4>${segment.kind === 'group' ? 'Segment Group' : 'Segment'} Changes</h4><table class="meta-table">
+      <tr><th>Field</th><th>Old</th><th>New</th><th>Change</th></tr>
+      ${sd.changes.map(c => `<tr>
+        <td>${MIG_FIELD_LABELS[c.field] || esc(c.field)}</td>
+        <td class="old-val">${esc(c.old ?? '')}</td>
+        <td class="new-val">${esc(c.new ?? '')}</td>
+        <td><span class="mig-change mig-${c.kind}">${MIG_CHANGE_LABELS[c.kind]}</span></td>
+      </tr>`).join('')}
+    </table></div>`;
+  }
+  if (sd.elements.length) {
+    content += `<table class="diff-table mig-table">
+      <thead>
+        <tr><th class="col-badge"></th><th>Bez</th><th>Name</th><th colspan="2">Standard St / Format</th><th colspan="2">BDEW St / Format</th><th>Anwendung</th></tr>
+      </thead>
+      <tbody>${sd.elements.map(renderMIGElement).join('')}</tbody>
+    </table>`;
+  }
+
+  return `
+  <div class="section-diff ${sd.type} ${collapsed}">
+    <div class="section-header" onclick="toggleSection(this)">
+      <span class="toggle-icon">${collapsed ? '\u25B6' : '\u25BC'}</span>
+      <span class="badge ${sd.type}">${typeLabel}</span>
+      <span class="pruef">${esc(segment.path)}</span>
+      <span class="section-title">${esc(segment.name)}</span>
+      <span class="row-summary">
+        ${Object.entries(kinds).map(([kind, count]) => `<span class="mini-stat mig-${kind}">${count} ${MIG_CHANGE_LABELS[kind]}</span>`).join('')}
+        ${elementStats.added && sd.type === 'modified' ? `<span class="mini-stat added">${elementStats.added} add</span>` : ''}
+        ${elementStats.removed && sd.type === 'modified' ? `<span class="mini-stat removed">${elementStats.removed} rem</span>` : ''}
+      </span>
+    </div>
+    <div class="section-body">
+      ${content}
+    </div>
+  </div>`;
+}
+
+function renderMIGElement(ed) {
+  const element = ed.new || ed.old;
+  const changes = new Map(ed.changes.map(c => [c.field, c]));
+  const cell = (field, value) => {
+    const change = changes.get(field);
+    if (!change) return `<td>${esc(value)}</td>`;
+    const { oldHtml, newHtml } = diffWords(change.old || '', change.new || '');
+    const label = change.kind.startsWith('format') || change.kind === 'status'
+      ? `<span class="mig-change mig-${change.kind}">${MIG_CHANGE_LABELS[change.kind]}</span>` : '';
+    return `<td class="cell-changed">${label}<div class="old-val">${oldHtml}</div><div class="new-val">${newHtml}</div></td>`;
+  };
+  const badge = { added: '+', removed: '&minus;', modified: '~', unchanged: '-' }[ed.type];
+
+  return `<tr class="row-${ed.type}">
+    <td><span class="badge ${ed.type}">${badge}</span></td>
+    <td>${esc(element.elementId)}</td>
+    ${cell('name', element.name)}
+    ${cell('standardStatus', element.standard.status)}
+    ${cell('standardFormat', element.standard.format)}
+    ${cell('bdewStatus', element.bdew.status)}
+    ${cell('bdewFormat', element.bdew.format)}
+    ${cell('note', element.note)}
+  </tr>`;
+}
+
+const MIG_CHECK_LABELS = {
+  'segment-group': 'Segment group not in MIG',
+  segment: 'Segment not in MIG',
+  nesting: 'Nesting mismatch',
+  'data-element': 'Data element not in MIG',
+  code: 'Code not in MIG',
+};
+// What the "In the MIG" column lists for each kind
+const MIG_CHECK_EXPECTED = {
+  nesting: 'Groups / parent groups',
+  'data-element': 'Data elements of the segment',
+  code: 'Codes of the data element',
+};
+
+function buildMIGCheckHTML(check, ahb, mig) {
+  const { summary, issues, rowCount } = check;
+  const card = (title, doc, countLabel, count) => `<div class="card">
+        <h3>${title}</h3>
+        <dl>
+          <dt>Version</dt><dd>${esc(doc.version)}</dd>
+          <dt>Message Type</dt><dd>${esc(doc.messageType || 'unknown')}</dd>
+          <dt>File</dt><dd>${esc(doc.filename)}</dd>
+          <dt>Pages</dt><dd>${doc.pageCount}</dd>
+          <dt>${countLabel}</dt><dd>${count}</dd>
+        </dl>
+      </div>`;
+
+  const details = MIG_CHECK_KINDS.filter(kind => summary[kind]).map(kind => `
+  <div class="section-diff ${kind === 'nesting' ? 'modified' : 'removed'}">
+    <div class="section-header" onclick="toggleSection(this)">
+      <span class="toggle-icon">\u25BC</span>
+      <span class="badge ${kind === 'nesting' ? 'modified' : 'removed'}">${summary[kind]}</span>
+      <span class="section-title">${MIG_CHECK_LABELS[kind]}</span>
+    </div>
+    <div class="section-body">
+      <table class="diff-table">
+        <thead>
+          <tr><th>Path</th><th>Issue</th>${MIG_CHECK_EXPECTED[kind] ? `<th>In the MIG: ${MIG_CHECK_EXPECTED[kind]}</th>` : ''}<th>Pr\u00FCfidentifikatoren</th><th>Pages</th></tr>
+        </thead>
+        <tbody>${issues.filter(issue => issue.kind === kind).map(issue => `<tr>
+          <td>${esc(issue.path)}</td>
+          <td>${esc(issue.message)}</td>
+          ${MIG_CHECK_EXPECTED[kind] ? `<td>${esc(issue.expected)}</td>` : ''}
+          <td>${esc(issue.pruefidentifikatoren.join(', '))}</td>
+          <td>${esc(issue.pages.join(', '))}</td>
+        </tr>`).join('')}</tbody>
+      </table>
+    </div>
+  </div>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>PDF Compare AHB/MIG Check: ${esc(ahb.version)} / ${esc(mig.version)}</title>
+  <style>${CSS}</style>
+</head>
+<body>
+  <header>
+    <h1>${esc(documentLabel([ahb, mig], 'AHB / MIG'))} Consistency Report</h1>
+    <p class="subtitle">AHB ${esc(ahb.version)} checked against MIG ${esc(mig.version)}</p>
+  </header>
+
+  <section class="summary">
+    <h2>Overview</h2>
+    <div class="cards">
+      ${card('AHB', ahb, 'Sections', ahb.sectionCount)}
+      ${card('MIG', mig, 'Segments', mig.segmentCount)}
+    </div>
+
+    <h3>Inconsistencies</h3>
+    <div class="stat-row">
+      ${MIG_CHECK_KINDS.map(kind => `<span class="stat ${summary[kind] ? (kind === 'nesting' ? 'modified' : 'removed') : 'unchanged'}">${summary[kind]} ${MIG_CHECK_LABELS[kind]}</span>`).join('')}
+    </div>
+    <p class="filter-hint">${rowCount} AHB rows checked. Each inconsistency is listed once, with all Pr\u00FCfidentifikatoren and pages it occurs on.</p>
+  </section>
+
+  <section class="details">
+    <h2>Details</h2>
+    ${details || '<p class="filter-hint">No inconsistencies found.</p>'}
+  </section>
+
+  <footer>
+    <p>Generated by PDFCompare on ${new Date().toISOString().slice(0, 16).replace('T', ' ')}</p>
+  </footer>
+
+  <script>${TOGGLE_JS}</script>
+</body>
+</html>`;
+}
+
 // --- Embedded CSS ---
 const CSS = `
   :root {
@@ -365,6 +1469,10 @@ const CSS = `
     --red-bg: #ffeef0;
     --yellow: #b08800;
     --yellow-bg: #fff8c5;
+    --blue: #0366d6;
+    --blue-bg: #e8f1fb;
+    --purple: #6f42c1;
+    --purple-bg: #f5f0ff;
     --gray: #586069;
     --gray-bg: #f6f8fa;
     --border: #e1e4e8;
@@ -427,6 +1535,9 @@ const CSS = `
   .stat.removed { background: var(--red-bg); color: var(--red); }
   .stat.modified { background: var(--yellow-bg); color: var(--yellow); }
   .stat.unchanged { background: var(--gray-bg); color: var(--gray); }
+  .stat.indirect { background: var(--blue-bg); color: var(--blue); }
+  .stat.moved { background: var(--purple-bg); color: var(--purple); }
+  .stat.split, .stat.merged, .stat.regrouped { background: var(--blue-bg); color: var(--blue); }
 
   .filter-hint { color: var(--gray); font-size: 13px; margin-bottom: 12px; }
 
@@ -440,6 +1551,7 @@ const CSS = `
   .section-diff.removed { border-left: 4px solid var(--red); }
   .section-diff.modified { border-left: 4px solid var(--yellow); }
   .section-diff.unchanged { border-left: 4px solid var(--border); }
+  .section-diff.split, .section-diff.merged, .section-diff.regrouped { border-left: 4px solid var(--blue); }
 
   .section-header {
     display: flex;
@@ -469,11 +1581,16 @@ const CSS = `
   .badge.removed { background: var(--red-bg); color: var(--red); }
   .badge.modified { background: var(--yellow-bg); color: var(--yellow); }
   .badge.unchanged { background: var(--gray-bg); color: var(--gray); }
+  .badge.indirect { background: var(--blue-bg); color: var(--blue); }
+  .badge.moved { background: var(--purple-bg); color: var(--purple); }
+  .badge.split, .badge.merged, .badge.regrouped { background: var(--blue-bg); color: var(--blue); }
 
   .mini-stat { font-size: 11px; padding: 1px 6px; border-radius: 8px; }
   .mini-stat.modified { background: var(--yellow-bg); color: var(--yellow); }
   .mini-stat.added { background: var(--green-bg); color: var(--green); }
   .mini-stat.removed { background: var(--red-bg); color: var(--red); }
+  .mini-stat.indirect { background: var(--blue-bg); color: var(--blue); }
+  .mini-stat.moved { background: var(--purple-bg); color: var(--purple); }
 
   .row-summary { margin-left: auto; display: flex; gap: 6px; }
 
@@ -481,6 +1598,10 @@ const CSS = `
   .collapsed .section-body { display: none; }
 
   .meta-changes { padding: 12px 14px; }
+  .segment-summary { padding: 12px 14px; font-size: 13px; }
+  .segment-summary h4 { margin-bottom: 4px; }
+  .segment-summary ul { margin: 0; padding-left: 18px; }
+  .regrouping { padding: 10px 14px; font-size: 13px; color: var(--blue); background: var(--blue-bg); }
   .meta-table {
     width: 100%;
     border-collapse: collapse;
@@ -524,11 +1645,16 @@ const CSS = `
   .col-desc { width: 25%; }
   .col-s1 { width: 15%; }
   .col-s2 { width: 15%; }
+  .col-s { width: 10%; }
   .col-bed { width: 25%; }
 
   .row-added { background: var(--green-bg); }
   .row-removed { background: var(--red-bg); }
   .row-modified { background: var(--yellow-bg); }
+  .row-indirect { background: var(--blue-bg); }
+  .row-moved { background: var(--purple-bg); }
+  .moved-note { font-size: 10px; color: var(--purple); white-space: nowrap; }
+  .key-note { font-size: 10px; color: var(--yellow); }
   .row-unchanged { background: #fff; }
   .row-unchanged:hover { background: #f9f9f9; }
 
@@ -553,6 +1679,77 @@ const CSS = `
     background: rgba(0, 180, 0, 0.1);
   }
 
+  .cond-number { font-weight: 600; white-space: nowrap; }
+  .cond-ref {
+    display: inline-block;
+    padding: 0 6px;
+    margin: 1px 0;
+    border-radius: 8px;
+    background: var(--gray-bg);
+    white-space: nowrap;
+  }
+  .cond-none { color: var(--gray); font-style: italic; }
+
+  .cond-link {
+    color: var(--blue);
+    cursor: pointer;
+    border-bottom: 1px dotted var(--blue);
+  }
+  .expr-note {
+    margin-top: 4px;
+    font-size: 11px;
+    font-style: italic;
+    color: var(--yellow);
+  }
+  .impact {
+    display: inline-block;
+    padding: 0 6px;
+    margin-bottom: 2px;
+    border-radius: 8px;
+    font-size: 10px;
+    font-weight: 600;
+    text-transform: uppercase;
+    white-space: nowrap;
+  }
+  .impact-tightened { background: var(--red-bg); color: var(--red); }
+  .impact-relaxed { background: var(--green-bg); color: var(--green); }
+  .impact-introduced, .impact-dropped, .impact-level-changed { background: var(--yellow-bg); color: var(--yellow); }
+  .impact-condition-changed { background: var(--blue-bg); color: var(--blue); }
+  .impact-cosmetic { background: var(--gray-bg); color: var(--gray); }
+  .indirect-note { margin-top: 4px; font-size: 11px; color: var(--blue); font-weight: 600; }
+
+  .section-review { display: flex; align-items: center; gap: 10px; padding: 10px 14px; font-size: 13px; }
+  .review { margin-top: 4px; font-size: 11px; }
+  .section-review .review { margin-top: 0; display: flex; align-items: center; gap: 6px; }
+  .review select, .review button { font-size: 11px; padding: 1px 2px; }
+  .review button { cursor: pointer; border: 1px solid var(--border); background: #fff; border-radius: 3px; }
+  .review-status-label { display: inline-block; padding: 0 6px; border-radius: 8px; font-weight: 600; white-space: nowrap; }
+  .review-open .review-status-label, .review-open select { background: var(--gray-bg); }
+  .review-accepted .review-status-label, .review-accepted select { background: var(--green-bg); color: var(--green); }
+  .review-needs-implementation .review-status-label, .review-needs-implementation select { background: var(--yellow-bg); color: var(--yellow); }
+  .review-not-relevant .review-status-label, .review-not-relevant select { background: var(--gray-bg); color: var(--gray); }
+  .review-meta span { display: block; color: var(--gray); }
+  .review-assignee { font-weight: 600; }
+  .review-comment { font-style: italic; }
+
+  .cond-popover {
+    position: absolute;
+    z-index: 10;
+    max-width: 640px;
+    background: #fff;
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
+    font-size: 12px;
+  }
+  .cond-popover h5 { padding: 6px 10px; font-size: 12px; border-bottom: 1px solid var(--border); }
+  .cond-popover .cond-versions { display: grid; grid-template-columns: 1fr 1fr; }
+  .cond-popover .cond-versions > div { padding: 6px 10px; }
+  .cond-popover .cond-versions > div + div { border-left: 1px solid var(--border); }
+  .cond-popover .cond-label { display: block; font-size: 10px; text-transform: uppercase; color: var(--gray); }
+  .cond-popover .old-val { background: var(--red-bg); }
+  .cond-popover .new-val { background: var(--green-bg); }
+
   footer {
     margin-top: 32px;
     padding-top: 16px;
@@ -567,8 +1764,46 @@ const CSS = `
   }
 `;
 
+const TIMELINE_CSS = `
+  .tl-versions { margin-bottom: 8px; }
+  .tl-matrix td, .tl-matrix th { text-align: center; }
+  .tl-matrix td:first-child { text-align: left; font-weight: 600; }
+  .tl-introduced { background: var(--green-bg); color: var(--green); }
+  .tl-changed { background: var(--yellow-bg); color: var(--yellow); }
+  .tl-removed { background: var(--red-bg); color: var(--red); }
+  .tl-absent { color: var(--border); text-align: center; }
+  .tl-note { margin-top: 2px; font-size: 11px; font-style: italic; }
+  .tl-rows .tl-unchanged { display: none; }
+  .tl-show-unchanged .tl-rows .tl-unchanged { display: table-row; }
+`;
+
+const THREE_WAY_CSS = `
+  .tw-conflict { background: var(--red-bg); color: var(--red); font-weight: 600; }
+  .tw-draft-only { background: var(--purple-bg); color: var(--purple); }
+  .tw-final-only { background: var(--blue-bg); color: var(--blue); }
+  .tw-both { background: var(--green-bg); color: var(--green); }
+  .tw-unchanged { background: var(--gray-bg); color: var(--gray); }
+  .tw-matrix td:last-child { text-align: left; }
+  .tw-table tr.tw-row-conflict td { border-top: 2px solid var(--red); border-bottom: 2px solid var(--red); }
+  .section-diff.tw-border-removed { border-left-color: var(--red); }
+  .section-diff.tw-border-moved { border-left-color: var(--purple); }
+  .section-diff.tw-border-indirect { border-left-color: var(--blue); }
+  .section-diff.tw-border-added { border-left-color: var(--green); }
+`;
+
+const MIG_CSS = `
+  .mig-change { display: inline-block; margin-bottom: 2px; padding: 0 4px; border-radius: 3px; font-size: 10px; font-weight: 600; }
+  .mig-max-repetition, .mig-format-type { background: var(--red-bg); color: var(--red); }
+  .mig-format-length, .mig-format { background: var(--yellow-bg); color: var(--yellow); }
+  .mig-status { background: var(--blue-bg); color: var(--blue); }
+  .mig-position { background: var(--purple-bg); color: var(--purple); }
+  .mig-name, .mig-note { background: var(--gray-bg); color: var(--gray); }
+  .mig-table { margin-bottom: 8px; }
+  .mig-segment-meta { margin: 4px 0 8px; font-size: 12px; color: var(--gray); }
+`;
+
 // --- Embedded JS for interactivity ---
-const JS = `
+const TOGGLE_JS = `
   function toggleSection(header) {
     const section = header.closest('.section-diff');
     section.classList.toggle('collapsed');
@@ -576,3 +1811,104 @@ const JS = `
     icon.textContent = section.classList.contains('collapsed') ? '\\u25B6' : '\\u25BC';
   }
 `;
+
+const JS = TOGGLE_JS + `
+  // Condition popover: hover shows, click pins until the next click elsewhere
+  const popover = document.getElementById('cond-popover');
+  let pinned = null;
+
+  function escText(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '(not defined)' : text;
+    return div.innerHTML;
+  }
+
+  function showCondition(el) {
+    const n = el.dataset.cond;
+    const c = CONDITIONS[n];
+    const changed = c && c.type !== 'unchanged';
+    popover.innerHTML = '<h5>[' + n + ']' + (c ? ' &middot; ' + c.type : ' &middot; not in catalogue') + '</h5>' +
+      '<div class="cond-versions">' +
+      '<div class="' + (changed ? 'old-val' : '') + '"><span class="cond-label">Old</span>' + escText(c && c.old) + '</div>' +
+      '<div class="' + (changed ? 'new-val' : '') + '"><span class="cond-label">New</span>' + escText(c && c.new) + '</div>' +
+      '</div>';
+    const rect = el.getBoundingClientRect();
+    popover.style.left = (window.scrollX + rect.left) + 'px';
+    popover.style.top = (window.scrollY + rect.bottom + 4) + 'px';
+    popover.hidden = false;
+  }
+
+  document.addEventListener('mouseover', (e) => {
+    const el = e.target.closest('.cond-link');
+    if (el && !pinned) showCondition(el);
+  });
+  document.addEventListener('mouseout', (e) => {
+    if (e.target.closest('.cond-link') && !pinned) popover.hidden = true;
+  });
+  // Review controls: only active when the report was served with a review API
+  function showReview(el, review) {
+    el.className = 'review review-' + review.status;
+    el.dataset.assignee = review.assignee || '';
+    el.dataset.comment = review.comment || '';
+    el.querySelector('.review-status').value = review.status;
+    const meta = el.querySelector('.review-meta');
+    meta.textContent = '';
+    for (const [cls, text] of [['review-assignee', review.assignee && '@' + review.assignee], ['review-comment', review.comment]]) {
+      if (!text) continue;
+      const span = document.createElement('span');
+      span.className = cls;
+      span.textContent = text;
+      meta.appendChild(span);
+    }
+  }
+
+  async function saveReview(el, fields) {
+    try {
+      const response = await fetch(REVIEW.api, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          oldDocumentId: REVIEW.oldDocumentId,
+          newDocumentId: REVIEW.newDocumentId,
+          targetType: el.dataset.targetType,
+          targetKey: el.dataset.targetKey,
+          ...fields,
+        }),
+      });
+      const body = await response.json();
+      if (!response.ok) throw new Error(body.error || 'Saving the review failed.');
+      showReview(el, body);
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  document.addEventListener('change', (e) => {
+    const select = e.target.closest('.review-status');
+    if (select && REVIEW) saveReview(select.closest('.review'), { status: select.value });
+  });
+
+  document.addEventListener('click', (e) => {
+    const button = e.target.closest('.review-edit');
+    if (!button || !REVIEW) return;
+    const el = button.closest('.review');
+    const assignee = prompt('Assignee', el.dataset.assignee);
+    if (assignee === null) return;
+    const comment = prompt('Comment', el.dataset.comment);
+    if (comment === null) return;
+    saveReview(el, { assignee: assignee.trim(), comment: comment.trim() });
+  });
+
+  document.addEventListener('click', (e) => {
+    const el = e.target.closest('.cond-link');
+    if (el) {
+      e.stopPropagation();
+      pinned = pinned === el ? null : el;
+      showCondition(el);
+      if (!pinned) popover.hidden = true;
+    } else if (!e.target.closest('.cond-popover')) {
+      pinned = null;
+      popover.hidden = true;
+    }
+  });
+`;
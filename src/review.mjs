@@ -0,0 +1,44 @@
+// --- Review workflow ---
+//
+// Reviewers mark each section diff and row diff of a comparison as open,
+// accepted, needing implementation or not relevant. Review state is stored
+// per document pair (not per comparison run), so comparing the same two
+// documents again shows the decisions already made.
+
+/**
+ * Review statuses, in workflow order. `open` is the state of every change
+ * nobody has reviewed yet.
+ */
+export const REVIEW_STATUSES = ['open', 'accepted', 'needs-implementation', 'not-relevant'];
+
+export const REVIEW_TARGETS = ['section', 'row'];
+
+/**
+ * Review key of a section diff: its Prüfidentifikator(s), as compared.
+ */
+export function sectionReviewKey(sd) {
+  return sd.pruefidentifikator;
+}
+
+/**
+ * Review key of a row diff: section plus the old and new row, each as its
+ * segment path and occurrence among the rows with that path in its table
+ * ("SG4/STS/9015/Z01#0"). Row IDs change when a document is parsed again;
+ * these do not, so reviews carry over to the new parse.
+ */
+export function rowReviewKey(sd, rd) {
+  const oldRow = rd.rowOld || (rd.type === 'added' ? null : rd.row);
+  const newRow = rd.rowNew || (rd.type === 'added' ? rd.row : null);
+  return `${sd.pruefidentifikator}|${rowReviewRef(oldRow)}|${rowReviewRef(newRow)}`;
+}
+
+function rowReviewRef(row) {
+  return row ? `${row.segmentPath}#${row.occurrence}` : '';
+}
+
+/**
+ * Map key for getReviews() results.
+ */
+export function reviewMapKey(targetType, targetKey) {
+  return `${targetType}:${targetKey}`;
+}
@@ -3,80 +3,203 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
-import { parsePDF } from './parser.mjs';
 import {
   initDatabase,
+  openDatabase,
   createDatabase,
-  insertDocument,
+  saveDatabase,
+  listDocuments,
   getDocument as getDoc,
   getDocumentStats,
+  getReviews,
+  getChangelog,
+  getUseCaseIssues,
+  setReview,
+  getSection,
+  getRows,
+  getRowsOnPage,
+  searchDocuments,
+  SEARCH_FIELDS,
 } from './database.mjs';
+import { importPDF } from './library.mjs';
 import { compareDocuments } from './comparator.mjs';
+import { reconcileChangelog } from './changelog.mjs';
 import { buildHTML } from './reporter.mjs';
+import { buildJSONExport } from './export.mjs';
+import { parseMessageType } from './profiles.mjs';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Document library file; without it there is no library and every comparison
+// parses its PDFs into a database of its own
+const LIBRARY_PATH = process.env.PDFCOMPARE_DB || null;
 
 // Temp directory for uploads and URL downloads
 const tmpDir = path.join(os.tmpdir(), 'pdfcompare');
 fs.mkdirSync(tmpDir, { recursive: true });
 
 const upload = multer({ dest: tmpDir });
+app.use(express.json());
+
+// Initialize sql.js and open the document library once at startup (empty
+// without PDFCOMPARE_DB)
+let db = null;
+initDatabase().then(() => {
+  db = LIBRARY_PATH ? openDatabase(LIBRARY_PATH) : createDatabase();
+}).catch(err => {
+  console.error(`[PDFCompare] Cannot open ${LIBRARY_PATH}: ${err.message}`);
+  process.exit(1);
+});
 
-// Initialize sql.js once at startup
-let dbReady = false;
-initDatabase().then(() => { dbReady = true; });
+const NO_LIBRARY = 'No document library configured: start the server with PDFCOMPARE_DB set.';
+
+// Guard of the library endpoints: without PDFCOMPARE_DB there are no stored
+// documents, sections or reviews to answer with
+function requireLibrary(_req, res, next) {
+  if (!LIBRARY_PATH) return res.status(503).json({ error: NO_LIBRARY });
+  if (!db) {
+    return res.status(503).json({ error: 'Database engine still initializing, please retry.' });
+  }
+  next();
+}
 
 // Serve the upload page
 app.get('/', (_req, res) => {
   res.type('html').send(PAGE_HTML);
 });
 
+// Stored documents, oldest first
+app.get('/api/documents', requireLibrary, (_req, res) => {
+  res.json(listDocuments(db).map(doc => ({ ...doc, ...getDocumentStats(db, doc.id) })));
+});
+
+// Full-text search across stored documents; hits link to their section and page
+app.get('/api/search', requireLibrary, (req, res) => {
+  const list = value => String(value || '').split(',').filter(Boolean);
+  const documentIds = list(req.query.doc).map(Number);
+  const fields = list(req.query.field);
+  const limit = parseInt(req.query.limit, 10) || 100;
+  if (documentIds.some(id => !Number.isInteger(id)) || fields.some(f => !SEARCH_FIELDS.includes(f))) {
+    return res.status(400).json({ error: `"doc" must list document IDs, "field" one of ${SEARCH_FIELDS.join(', ')}.` });
+  }
+  try {
+    const hits = searchDocuments(db, req.query.q, { documentIds, fields });
+    res.json({
+      query: req.query.q,
+      total: hits.length,
+      hits: hits.slice(0, limit).map(hit => ({
+        ...hit,
+        links: {
+          section: hit.sectionId ? `/api/sections/${hit.sectionId}` : null,
+          page: `/api/documents/${hit.documentId}/pages/${hit.page}`,
+        },
+      })),
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// One section with its rows
+app.get('/api/sections/:id', requireLibrary, (req, res) => {
+  const section = getSection(db, parseInt(req.params.id, 10));
+  if (!section) return res.status(404).json({ error: 'Unknown section.' });
+  res.json({ ...section, rows: getRows(db, section.id) });
+});
+
+// Rows of a document printed on one page
+app.get('/api/documents/:id/pages/:page', requireLibrary, (req, res) => {
+  const documentId = parseInt(req.params.id, 10);
+  const page = parseInt(req.params.page, 10);
+  if (!getDoc(db, documentId)) return res.status(404).json({ error: 'Unknown document.' });
+  res.json({ documentId, page, rows: getRowsOnPage(db, documentId, page) });
+});
+
 // Compare endpoint
 app.post(
   '/api/compare',
   upload.fields([{ name: 'file1', maxCount: 1 }, { name: 'file2', maxCount: 1 }]),
   async (req, res) => {
     const tempFiles = [];
+    let requestDb = null;
     try {
-      if (!dbReady) {
+      if (!db) {
         return res.status(503).json({ error: 'Database engine still initializing, please retry.' });
       }
 
-      // Resolve PDF paths: uploaded file or URL download
-      const pdf1Path = await resolvePDF(req, 'file1', 'url1', tempFiles);
-      const pdf2Path = await resolvePDF(req, 'file2', 'url2', tempFiles);
-
-      if (!pdf1Path || !pdf2Path) {
-        return res.status(400).json({ error: 'Please provide two PDFs (via file upload or URL).' });
+      // Message type of uploaded PDFs; detected from the cover page when not given
+      let messageType = null;
+      if (req.body.messageType) {
+        try {
+          messageType = parseMessageType(req.body.messageType);
+        } catch (err) {
+          return res.status(400).json({ error: err.message });
+        }
       }
 
-      // Run the comparison pipeline
-      const db = createDatabase();
-
-      const parsed1 = await parsePDF(pdf1Path);
-      const parsed2 = await parsePDF(pdf2Path);
+      // Same range as the CLI's --fuzzy-threshold
+      const { fuzzyThreshold } = req.body;
+      const hasThreshold = fuzzyThreshold !== undefined && fuzzyThreshold !== '';
+      if (hasThreshold && !(parseFloat(fuzzyThreshold) >= 0 && parseFloat(fuzzyThreshold) <= 1)) {
+        return res.status(400).json({ error: `fuzzyThreshold must be a number between 0 and 1, got: ${fuzzyThreshold}` });
+      }
 
-      const name1 = req.files?.file1?.[0]?.originalname || filenameFromUrl(req.body.url1) || 'old.pdf';
-      const name2 = req.files?.file2?.[0]?.originalname || filenameFromUrl(req.body.url2) || 'new.pdf';
+      // Without a library the PDFs go into a database dropped after the request
+      if (!LIBRARY_PATH) requestDb = createDatabase();
+      const store = requestDb || db;
 
-      const docId1 = insertDocument(db, name1, parsed1);
-      const docId2 = insertDocument(db, name2, parsed2);
+      for (const n of ['1', '2']) {
+        const storedId = parseInt(req.body[`doc${n}`], 10);
+        if (Number.isInteger(storedId) && !LIBRARY_PATH) {
+          return res.status(503).json({ error: NO_LIBRARY });
+        }
+        if (Number.isInteger(storedId) && !getDoc(store, storedId)) {
+          return res.status(404).json({ error: `Unknown document #${storedId}.` });
+        }
+      }
 
-      const comparison = compareDocuments(db, docId1, docId2);
+      // Resolve each side: stored document ID, uploaded file or URL download
+      const docId1 = await resolveDocument(store, req, '1', tempFiles, messageType);
+      const docId2 = await resolveDocument(store, req, '2', tempFiles, messageType);
 
-      const doc1Meta = getDoc(db, docId1);
-      const doc2Meta = getDoc(db, docId2);
-      const stats1 = getDocumentStats(db, docId1);
-      const stats2 = getDocumentStats(db, docId2);
+      if (!docId1 || !docId2) {
+        return res.status(400).json({ error: 'Please provide two PDFs (via file upload, URL or stored document).' });
+      }
+      if (LIBRARY_PATH) saveDatabase(db, LIBRARY_PATH);
+
+      const comparison = compareDocuments(store, docId1, docId2,
+        hasThreshold ? { fuzzyThreshold: parseFloat(fuzzyThreshold) } : {});
+
+      const doc1Meta = getDoc(store, docId1);
+      const doc2Meta = getDoc(store, docId2);
+      const stats1 = getDocumentStats(store, docId1);
+      const stats2 = getDocumentStats(store, docId2);
+      const changelog = reconcileChangelog(getChangelog(store, docId2), comparison, doc1Meta, doc2Meta);
+      const useCaseIssues = { old: getUseCaseIssues(store, docId1), new: getUseCaseIssues(store, docId2) };
+
+      // Clients asking for JSON (Accept: application/json) get the export
+      // format instead of the HTML report
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.json(buildJSONExport(comparison, doc1Meta, doc2Meta, stats1, stats2, {
+          reviews: getReviews(store, docId1, docId2),
+          changelog,
+          useCaseIssues,
+        }));
+      }
 
-      const html = buildHTML(comparison, doc1Meta, doc2Meta, stats1, stats2);
+      const html = buildHTML(comparison, doc1Meta, doc2Meta, stats1, stats2, {
+        reviews: getReviews(store, docId1, docId2),
+        reviewApi: LIBRARY_PATH ? `${req.protocol}://${req.get('host')}/api/reviews` : null,
+        changelog,
+        useCaseIssues,
+      });
 
       res.type('html').send(html);
     } catch (err) {
       console.error('Comparison error:', err);
       res.status(500).json({ error: err.message || 'Comparison failed.' });
     } finally {
+      requestDb?.close();
       // Clean up temp files
       for (const f of tempFiles) {
         try { fs.unlinkSync(f); } catch { /* ignore */ }
@@ -92,6 +215,51 @@ app.post(
   }
 );
 
+// Review state of the changes between two documents
+app.get('/api/reviews', requireLibrary, (req, res) => {
+  const oldId = parseInt(req.query.old, 10);
+  const newId = parseInt(req.query.new, 10);
+  if (!Number.isInteger(oldId) || !Number.isInteger(newId)) {
+    return res.status(400).json({ error: 'Query parameters "old" and "new" must be document IDs.' });
+  }
+  res.json([...getReviews(db, oldId, newId).values()]);
+});
+
+// Set status, assignee or comment of one section or row change
+app.post('/api/reviews', requireLibrary, (req, res) => {
+  const { oldDocumentId, newDocumentId, targetType, targetKey, status, assignee, comment } = req.body || {};
+  if (!getDoc(db, oldDocumentId) || !getDoc(db, newDocumentId)) {
+    return res.status(400).json({ error: 'Unknown document.' });
+  }
+  if (typeof targetKey !== 'string' || !targetKey) {
+    return res.status(400).json({ error: 'Missing targetKey.' });
+  }
+  try {
+    const review = setReview(db, { oldDocumentId, newDocumentId, targetType, targetKey, status, assignee, comment });
+    if (LIBRARY_PATH) saveDatabase(db, LIBRARY_PATH);
+    res.json(review);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+/**
+ * Document ID in `store` for one side of the comparison: `doc<n>` picks a
+ * stored document (checked by the caller), otherwise the PDF from `file<n>` / `url<n>` is added
+ * (parsed only if its content is not stored yet).
+ */
+async function resolveDocument(store, req, n, tempFiles, messageType) {
+  const storedId = parseInt(req.body?.[`doc${n}`], 10);
+  if (Number.isInteger(storedId)) return storedId;
+
+  const pdfPath = await resolvePDF(req, `file${n}`, `url${n}`, tempFiles);
+  if (!pdfPath) return null;
+
+  const name = req.files?.[`file${n}`]?.[0]?.originalname || filenameFromUrl(req.body[`url${n}`]) || (n === '1' ? 'old.pdf' : 'new.pdf');
+  const { id } = await importPDF(store, pdfPath, name, { messageType });
+  return id;
+}
+
 async function resolvePDF(req, fileField, urlField, tempFiles) {
   // Prefer uploaded file
   const uploaded = req.files?.[fileField]?.[0];
@@ -293,6 +461,16 @@ const PAGE_HTML = `<!DOCTYPE html>
       background: var(--green-bg);
     }
 
+    .doc-select {
+      width: 100%;
+      padding: 10px 12px;
+      border: 1px solid var(--border);
+      border-radius: 8px;
+      font-size: 14px;
+      font-family: inherit;
+      background: var(--card-bg);
+    }
+
     .actions {
       text-align: center;
     }
@@ -362,6 +540,24 @@ const PAGE_HTML = `<!DOCTYPE html>
       background: rgba(0,0,0,0.08);
     }
 
+    .search-panel { margin-top: 32px; }
+    .search-panel h2 { font-size: 16px; margin-bottom: 12px; }
+    .search-row { display: flex; gap: 8px; }
+    .btn-search {
+      padding: 10px 20px;
+      border: none;
+      border-radius: 8px;
+      background: var(--primary);
+      color: #fff;
+      font-size: 14px;
+      cursor: pointer;
+    }
+    .search-summary { margin-top: 12px; font-size: 13px; color: #6b7280; }
+    .search-results { list-style: none; margin-top: 8px; font-size: 13px; }
+    .search-results li { padding: 6px 0; border-top: 1px solid var(--border); }
+    .search-results .hit-where { color: #6b7280; }
+    .search-results mark { background: #fef08a; }
+    .search-results a { margin-left: 8px; font-size: 12px; }
     footer {
       text-align: center;
       margin-top: 32px;
@@ -378,7 +574,7 @@ const PAGE_HTML = `<!DOCTYPE html>
   <div class="container">
     <header>
       <h1>PDFCompare</h1>
-      <p>Compare two IFTSTA AHB PDF versions side by side</p>
+      <p>Compare two AHB PDF versions side by side</p>
     </header>
 
     <form id="compareForm">
@@ -392,6 +588,10 @@ const PAGE_HTML = `<!DOCTYPE html>
           </div>
           <div class="divider">or paste a URL</div>
           <input type="text" class="url-input" id="urlInput1" name="url1" placeholder="https://example.com/old-version.pdf">
+          <div class="divider">or pick a stored document</div>
+          <select class="doc-select" id="docSelect1" name="doc1">
+            <option value="">No stored documents yet</option>
+          </select>
         </div>
 
         <div class="panel">
@@ -403,6 +603,10 @@ const PAGE_HTML = `<!DOCTYPE html>
           </div>
           <div class="divider">or paste a URL</div>
           <input type="text" class="url-input" id="urlInput2" name="url2" placeholder="https://example.com/new-version.pdf">
+          <div class="divider">or pick a stored document</div>
+          <select class="doc-select" id="docSelect2" name="doc2">
+            <option value="">No stored documents yet</option>
+          </select>
         </div>
       </div>
 
@@ -412,6 +616,16 @@ const PAGE_HTML = `<!DOCTYPE html>
       <div class="status" id="status"></div>
     </form>
 
+    <form id="searchForm" class="panel search-panel">
+      <h2>Search Stored Documents</h2>
+      <div class="search-row">
+        <input type="text" class="url-input" id="searchInput" name="q" placeholder="Meldepunkt, &quot;Datum und Uhrzeit&quot;, Melde*, [503]">
+        <button type="submit" class="btn-search">Search</button>
+      </div>
+      <div class="search-summary" id="searchSummary"></div>
+      <ul class="search-results" id="searchResults"></ul>
+    </form>
+
     <footer>
       <p>PDFCompare &mdash; Upload files or provide URLs to PDF documents</p>
     </footer>
@@ -513,6 +727,57 @@ const PAGE_HTML = `<!DOCTYPE html>
     setupDropZone('dropZone1', 'fileInput1', 'urlInput1');
     setupDropZone('dropZone2', 'fileInput2', 'urlInput2');
 
+    // Stored documents (library): parsed earlier, compared without re-parsing
+    async function loadDocuments() {
+      try {
+        const response = await fetch('/api/documents');
+        if (!response.ok) return;
+        const documents = await response.json();
+        if (!documents.length) return;
+        for (const id of ['docSelect1', 'docSelect2']) {
+          const select = document.getElementById(id);
+          const current = select.value;
+          select.innerHTML = '<option value="">\u2014</option>' + documents.map(d =>
+            '<option value="' + d.id + '">#' + d.id + ' ' + escapeHtml(d.messageType || '') + ' ' + escapeHtml(d.version) + ' \u2014 ' + escapeHtml(d.filename) + '</option>'
+          ).join('');
+          select.value = current;
+        }
+      } catch { /* library listing is optional */ }
+    }
+
+    document.getElementById('searchForm').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const query = document.getElementById('searchInput').value.trim();
+      const summary = document.getElementById('searchSummary');
+      const results = document.getElementById('searchResults');
+      if (!query) return;
+      results.innerHTML = '';
+      try {
+        const response = await fetch('/api/search?q=' + encodeURIComponent(query));
+        const body = await response.json();
+        if (!response.ok) throw new Error(body.error || 'Search failed.');
+        summary.textContent = body.total + ' hit(s)' + (body.total > body.hits.length ? ', showing ' + body.hits.length : '');
+        results.innerHTML = body.hits.map(hit => {
+          const where = hit.field === 'condition'
+            ? 'condition [' + hit.conditionNumber + ']'
+            : hit.field + ' \u00B7 ' + hit.pruefidentifikator + (hit.segmentPath ? ' \u00B7 ' + hit.segmentPath : '');
+          const snippet = escapeHtml(hit.snippet).replace(/\u00AB/g, '<mark>').replace(/\u00BB/g, '</mark>');
+          return '<li><span class="hit-where">' + escapeHtml(hit.version) + ' \u00B7 p. ' + hit.page + ' \u00B7 ' + escapeHtml(where) + '</span><br>' +
+            snippet +
+            (hit.links.section ? '<a href="' + hit.links.section + '" target="_blank">section</a>' : '') +
+            '<a href="' + hit.links.page + '" target="_blank">page</a></li>';
+        }).join('');
+      } catch (err) {
+        summary.textContent = err.message;
+      }
+    });
+
+    function escapeHtml(text) {
+      return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    }
+
+    loadDocuments();
+
     // Form submission
     const form = document.getElementById('compareForm');
     const btn = document.getElementById('btnCompare');
@@ -525,13 +790,15 @@ const PAGE_HTML = `<!DOCTYPE html>
       const file2 = document.getElementById('fileInput2').files[0];
       const url1 = document.getElementById('urlInput1').value.trim();
       const url2 = document.getElementById('urlInput2').value.trim();
+      const doc1 = document.getElementById('docSelect1').value;
+      const doc2 = document.getElementById('docSelect2').value;
 
-      const has1 = file1 || url1;
-      const has2 = file2 || url2;
+      const has1 = file1 || url1 || doc1;
+      const has2 = file2 || url2 || doc2;
 
       if (!has1 || !has2) {
         status.className = 'status error';
-        status.textContent = 'Please provide both PDFs (file or URL for each).';
+        status.textContent = 'Please provide both PDFs (file, URL or stored document for each).';
         return;
       }
 
@@ -542,9 +809,11 @@ const PAGE_HTML = `<!DOCTYPE html>
       try {
         const formData = new FormData();
         if (file1) formData.append('file1', file1);
-        else formData.append('url1', url1);
+        else if (url1) formData.append('url1', url1);
+        else formData.append('doc1', doc1);
         if (file2) formData.append('file2', file2);
-        else formData.append('url2', url2);
+        else if (url2) formData.append('url2', url2);
+        else formData.append('doc2', doc2);
 
         const response = await fetch('/api/compare', {
           method: 'POST',
@@ -586,6 +855,7 @@ const PAGE_HTML = `<!DOCTYPE html>
         status.textContent = err.message;
       } finally {
         btn.disabled = false;
+        loadDocuments();
       }
     });
   </script>
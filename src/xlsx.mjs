@@ -0,0 +1,241 @@
+import zlib from 'zlib';
+
+// --- Minimal XLSX writer ---
+//
+// Writes an Office Open XML workbook (zip of XML parts) with inline strings,
+// cell styles, column widths, a frozen header row and auto filter. Enough for
+// report export; no formulas, no shared strings. Zipping uses Node's zlib, so
+// there is no dependency beyond Node itself.
+
+/**
+ * Build an XLSX workbook.
+ * @param {Array<{name: string, rows: Array<Array<Cell>>, widths?: number[], filterRow?: number}>} sheets
+ *   `rows` are arrays of cells; `widths` column widths in characters;
+ *   `filterRow` (0-based) is the header row of the table: rows above and
+ *   including it stay frozen, and the auto filter starts there.
+ * @param {Object<string, {bold?: boolean, color?: string, fill?: string}>} [styles]
+ *   named cell styles, colours as RRGGBB
+ * @returns {Buffer}
+ * @typedef {string|number|null|{value: string|number|null, style: string}} Cell
+ */
+export function buildXLSX(sheets, styles = {}) {
+  const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+  const styleIndex = new Map(Object.keys(styles).map((name, i) => [name, i + 1]));
+
+  const files = [
+    ['[Content_Types].xml', contentTypes(sheets.length)],
+    ['_rels/.rels', XML_HEADER + `<Relationships xmlns="${NS_PACKAGE_RELS}">` +
+      `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ['xl/workbook.xml', workbook(names, sheets)],
+    ['xl/_rels/workbook.xml.rels', workbookRels(sheets.length)],
+    ['xl/styles.xml', stylesheet(Object.values(styles))],
+    ...sheets.map((sheet, i) => [`xl/worksheets/sheet${i + 1}.xml`, worksheet(sheet, styleIndex)]),
+  ];
+  return zip(files.map(([name, xml]) => ({ name, data: Buffer.from(xml, 'utf8') })));
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const NS_PACKAGE_RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const MAX_ROWS = 1048576;
+
+function contentTypes(sheetCount) {
+  const sheets = Array.from({ length: sheetCount }, (_, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+  return XML_HEADER + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheets + '</Types>';
+}
+
+function workbook(names, sheets) {
+  const sheetEntries = names.map((name, i) => `<sheet name="${xmlEscape(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`);
+  // Excel expects the hidden _FilterDatabase name for every sheet with an auto filter
+  const filters = sheets.map((sheet, i) => {
+    const ref = filterRef(sheet);
+    if (!ref) return '';
+    const [from, to] = ref.split(':').map(cell => cell.replace(/([A-Z]+)(\d+)/, '$$$1$$$2'));
+    const range = `'${names[i].replace(/'/g, "''")}'!${from}:${to}`;
+    return `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">${xmlEscape(range)}</definedName>`;
+  }).join('');
+  return XML_HEADER + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>${sheetEntries.join('')}</sheets>` +
+    (filters ? `<definedNames>${filters}</definedNames>` : '') + '</workbook>';
+}
+
+function workbookRels(sheetCount) {
+  const rels = Array.from({ length: sheetCount }, (_, i) =>
+    `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+  );
+  rels.push(`<Relationship Id="rId${sheetCount + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`);
+  return XML_HEADER + `<Relationships xmlns="${NS_PACKAGE_RELS}">${rels.join('')}</Relationships>`;
+}
+
+/**
+ * Style 0 is the default; named style i is cell format i + 1 with its own
+ * font and fill.
+ */
+function stylesheet(styles) {
+  const fonts = ['<font><sz val="11"/><name val="Calibri"/></font>', ...styles.map(style =>
+    `<font>${style.bold ? '<b/>' : ''}<sz val="11"/>${style.color ? `<color rgb="FF${style.color}"/>` : ''}<name val="Calibri"/></font>`
+  )];
+  // Fills 0 and 1 are reserved (none, gray125)
+  const fills = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>',
+    ...styles.map(style => style.fill
+      ? `<fill><patternFill patternType="solid"><fgColor rgb="FF${style.fill}"/><bgColor indexed="64"/></patternFill></fill>`
+      : '<fill><patternFill patternType="none"/></fill>')];
+  const xfs = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>', ...styles.map((style, i) =>
+    `<xf numFmtId="0" fontId="${i + 1}" fillId="${i + 2}" borderId="0" xfId="0" applyFont="1" applyFill="1"/>`
+  )];
+  return XML_HEADER + `<styleSheet xmlns="${NS_MAIN}">` +
+    `<fonts count="${fonts.length}">${fonts.join('')}</fonts>` +
+    `<fills count="${fills.length}">${fills.join('')}</fills>` +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+}
+
+function worksheet(sheet, styleIndex) {
+  const rows = sheet.rows.slice(0, MAX_ROWS);
+  const rowsXML = rows.map((cells, r) => {
+    const cellsXML = cells.map((cell, c) => cellXML(cell, `${columnName(c)}${r + 1}`, styleIndex)).join('');
+    return `<row r="${r + 1}">${cellsXML}</row>`;
+  }).join('');
+
+  const frozen = sheet.filterRow !== undefined
+    ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.filterRow + 1}" topLeftCell="A${sheet.filterRow + 2}" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>`
+    : '';
+  const cols = sheet.widths?.length
+    ? `<cols>${sheet.widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const ref = filterRef(sheet);
+  return XML_HEADER + `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">${frozen}${cols}` +
+    `<sheetData>${rowsXML}</sheetData>${ref ? `<autoFilter ref="${ref}"/>` : ''}</worksheet>`;
+}
+
+function filterRef(sheet) {
+  if (sheet.filterRow === undefined || !sheet.rows[sheet.filterRow]?.length) return null;
+  const lastColumn = columnName(sheet.rows[sheet.filterRow].length - 1);
+  const lastRow = Math.max(Math.min(sheet.rows.length, MAX_ROWS), sheet.filterRow + 1);
+  return `A${sheet.filterRow + 1}:${lastColumn}${lastRow}`;
+}
+
+function cellXML(cell, ref, styleIndex) {
+  const { value, style } = cell !== null && typeof cell === 'object' ? cell : { value: cell, style: null };
+  const s = style && styleIndex.has(style) ? ` s="${styleIndex.get(style)}"` : '';
+  if (value === null || value === undefined || value === '') return s ? `<c r="${ref}"${s}/>` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  // Excel cells hold at most 32767 characters
+  const text = String(value).slice(0, 32767);
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(text)}</t></is></c>`;
+}
+
+/** 0 → A, 25 → Z, 26 → AA */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Sheet names: at most 31 characters, none of []:*?/\, unique ignoring case.
+ */
+function uniqueSheetNames(names) {
+  const used = new Set();
+  return names.map(name => {
+    const base = (String(name).replace(/[[\]:*?/\\]/g, '_').trim() || 'Sheet').slice(0, 31);
+    let candidate = base;
+    for (let i = 2; used.has(candidate.toLowerCase()); i++) {
+      const suffix = ` (${i})`;
+      candidate = base.slice(0, 31 - suffix.length) + suffix;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+function xmlEscape(text) {
+  // Control characters other than tab / newline are not allowed in XML 1.0
+  return String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// --- ZIP container ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Entries are dated 1980-01-01, the earliest date ZIP can hold
+const DOS_DATE = (1 << 5) | 1;
+
+/**
+ * Zip archive of deflated files (no ZIP64: fine for report sizes).
+ */
+function zip(files) {
+  const local = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, data } of files) {
+    const nameBytes = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034B50, 0);
+    header.writeUInt16LE(20, 4);          // version needed
+    header.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    header.writeUInt16LE(8, 8);           // deflate
+    header.writeUInt16LE(0, 10);          // time
+    header.writeUInt16LE(DOS_DATE, 12);
+    header.writeUInt32LE(crc, 14);
+    header.writeUInt32LE(compressed.length, 18);
+    header.writeUInt32LE(data.length, 22);
+    header.writeUInt16LE(nameBytes.length, 26);
+    header.writeUInt16LE(0, 28);
+    local.push(header, nameBytes, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014B50, 0);
+    entry.writeUInt16LE(20, 4);           // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(0, 12);
+    entry.writeUInt16LE(DOS_DATE, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBytes.length, 28);
+    entry.writeUInt32LE(offset, 42);      // local header offset
+    central.push(entry, nameBytes);
+
+    offset += header.length + nameBytes.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((sum, b) => sum + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...local, ...central, end]);
+}
@@ -0,0 +1,16 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rowSimilarity } from '../src/comparator.mjs';
+
+const columns = [{ oldIndex: 0, newIndex: 0 }];
+const row = fields => ({ beschreibung: '', bedingung: '', statusCols: [''], ...fields });
+
+test('rowSimilarity ignores rows with nothing but status cells', () => {
+  assert.equal(rowSimilarity(row({ statusCols: ['Muss'] }), row({ statusCols: ['Muss'] }), columns), 0);
+});
+
+test('rowSimilarity scores rows whose only evidence is the Bedingung', () => {
+  const a = row({ bedingung: '[494] Das hier genannte Datum' });
+  assert.equal(rowSimilarity(a, a, columns), 1);
+  assert.equal(rowSimilarity(row({ ...a, statusCols: ['Muss'] }), row({ ...a, statusCols: ['Muss'] }), columns), 1);
+});
@@ -0,0 +1,27 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, createDatabase, setReview, getReviews } from '../src/database.mjs';
+import { importPDF } from '../src/library.mjs';
+import { compareDocuments } from '../src/comparator.mjs';
+import { rowReviewKey } from '../src/review.mjs';
+
+const PDF = 'Test/IFTSTA_AHB_2_0h_20250401.pdf';
+
+before(() => initDatabase());
+
+test('row reviews carry over when a stored PDF is parsed again', async () => {
+  const db = createDatabase();
+  const { id } = await importPDF(db, PDF);
+  const rowKeys = () => compareDocuments(db, id, id).sectionDiffs
+    .flatMap(sd => sd.rows.map(rd => rowReviewKey(sd, rd)));
+
+  const keys = rowKeys();
+  assert.equal(new Set(keys).size, keys.length, 'row review keys are unique');
+  setReview(db, { oldDocumentId: id, newDocumentId: id, targetType: 'row', targetKey: keys[42], status: 'accepted' });
+
+  const { id: reparsedId, reparsed } = await importPDF(db, PDF, undefined, { reparse: true });
+  assert.equal(reparsedId, id);
+  assert.ok(reparsed);
+  assert.deepEqual(rowKeys(), keys);
+  assert.equal(getReviews(db, id, id).get(`row:${keys[42]}`).status, 'accepted');
+});
@@ -0,0 +1,43 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePDF } from '../src/parser.mjs';
+
+const PDF = 'Test/IFTSTA_AHB_2_0h_20250401.pdf';
+
+let parsed;
+before(async () => {
+  parsed = await parsePDF(PDF);
+});
+
+const kommunikationVon = pid => {
+  const section = parsed.sections.find(s => s.pruefidentifikator.includes(pid));
+  return section.kommunikationVon[section.pruefidentifikator.indexOf(pid)];
+};
+
+test('Kommunikation von keeps each table to its own roles', () => {
+  assert.equal(kommunikationVon('21040'), 'NB an MSB');
+  assert.equal(kommunikationVon('21043'), 'MSB an LF / MSB / NB; NB an LF');
+  assert.equal(kommunikationVon('21044'), 'MSB an NB / LF');
+  assert.equal(kommunikationVon('21047'), 'LF an MSB / NB / ÜNB; MSB an LF / MSB / NB / ÜNB; NB an LF / MSB / ÜNB');
+  assert.equal(kommunikationVon('21010'), 'gMSB / MSBN an NB; MSBN an MSBA');
+  assert.equal(kommunikationVon('21005'), 'BKV / NB an BIKO');
+});
+
+test('use cases come from the chapter headings', () => {
+  assert.equal(parsed.useCases.length, 35);
+  assert.ok(parsed.useCases.every(u => u.source === 'chapter' && u.anwendungsfall));
+  assert.equal(parsed.sections.find(s => s.pruefidentifikator.includes('21002')).title,
+    'Übermittlung der Abweisung der Summenzeitreihe');
+  assert.deepEqual(parsed.useCaseIssues, []);
+});
+
+test('captions in the EDIFACT columns are labels, not segment paths', () => {
+  const rows = parsed.sections.flatMap(s => s.rows);
+  const paths = rows.filter(r => r.segmentPath).map(r => r.segmentPath.split('/')[0]);
+  assert.ok(paths.every(head => /^SG\d+$/.test(head) || /^[A-Z]{3}$/.test(head)),
+    paths.find(head => !/^SG\d+$/.test(head) && !/^[A-Z]{3}$/.test(head)));
+  const kopf = rows.filter(r => r.beschreibung === 'Nachrichten - Kopfsegment');
+  assert.ok(kopf.length > 0);
+  assert.ok(kopf.every(r => r.isLabel && r.nodeType === 'label' && r.segmentPath === ''));
+  assert.ok(rows.some(r => r.isLabel && r.beschreibung === 'Versionsangabe der betrachteten Summenzeitreihe'));
+});
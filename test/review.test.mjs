@@ -0,0 +1,28 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { initDatabase, createDatabase, setReview } from '../src/database.mjs';
+
+before(() => initDatabase());
+
+function storePair(db) {
+  for (const version of ['2.0h', '2.1']) {
+    db.run(`INSERT INTO documents (version, filename, page_count) VALUES (?, ?, ?)`, [version, `${version}.pdf`, 1]);
+  }
+  return { oldDocumentId: 1, newDocumentId: 2, targetType: 'row', targetKey: '21000|SG4/STS/9015|0' };
+}
+
+test('setReview starts a new review as open', () => {
+  const db = createDatabase();
+  const target = storePair(db);
+  assert.equal(setReview(db, { ...target, comment: 'check' }).status, 'open');
+});
+
+test('setReview without a status keeps the stored status', () => {
+  const db = createDatabase();
+  const target = storePair(db);
+  setReview(db, { ...target, status: 'accepted' });
+  const review = setReview(db, { ...target, comment: 'Looks right', assignee: 'mk' });
+  assert.equal(review.status, 'accepted');
+  assert.equal(review.comment, 'Looks right');
+  assert.equal(review.assignee, 'mk');
+});